@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+(function(undefined) {
+    "use strict";
+
+    var fs = require("fs");
+    var path = require("path");
+    var minimist = require("minimist");
+    var GetRequestDefinitions = require("../js/WebApiClient.RequestDefinitions.js");
+    var Typings = require("../js/WebApiClient.Typings.js");
+
+    var usage = [
+        "Usage: webapiclient-requests --metadata <file> [--names <names>] [--module <name>] [--out <file>] [--typings <file>]",
+        "",
+        "  --metadata  CSDL document, as returned by the $metadata endpoint",
+        "  --names     Comma separated names of the actions and functions to generate, defaults to all",
+        "  --module    Name of the module to augment in the typings, defaults to xrm-webapi-client",
+        "  --out       Output file for the request definitions, defaults to stdout",
+        "  --typings   Output file for the request typings"
+    ].join("\n");
+
+    var args = minimist(process.argv.slice(2), {
+        string: ["metadata", "names", "module", "out", "typings"],
+        boolean: ["help"],
+        alias: { m: "metadata", n: "names", o: "out", t: "typings", h: "help" }
+    });
+
+    if (args.help || !args.metadata) {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    // Requests that are part of the library are already declared in its typings
+    function GetDeclaredRequests () {
+        var declarations = fs.readFileSync(path.join(__dirname, "../types/WebApiClient.d.ts"), "utf8");
+        var pattern = /class (\w+Request) extends Request/g;
+        var names = [];
+        var match;
+
+        while ((match = pattern.exec(declarations)) !== null) {
+            names.push(match[1]);
+        }
+
+        return names;
+    }
+
+    try {
+        var names = args.names ? args.names.split(",").map(function (name) { return name.trim(); }) : null;
+        var definitions = GetRequestDefinitions(fs.readFileSync(args.metadata, "utf8")).filter(function (definition) {
+            return !names || names.indexOf(definition.name) !== -1;
+        });
+
+        // Registers itself when loaded as script, exports the definitions when loaded as module
+        var source = [
+            "// Generated by webapiclient-requests from CSDL metadata, changes will be overwritten",
+            "(function (definitions) {",
+            "    \"use strict\";",
+            "",
+            "    if (typeof(module) !== \"undefined\" && module.exports) {",
+            "        module.exports = definitions;",
+            "    }",
+            "    else {",
+            "        WebApiClient.Requests.Register(definitions);",
+            "    }",
+            "} (" + JSON.stringify(definitions, null, 4) + "));",
+            ""
+        ].join("\n");
+
+        if (args.out) {
+            fs.writeFileSync(args.out, source, "utf8");
+        }
+        else {
+            process.stdout.write(source);
+        }
+
+        if (args.typings) {
+            fs.writeFileSync(args.typings, Typings.GenerateRequestTypings(definitions, { exclude: GetDeclaredRequests(), moduleName: args.module }), "utf8");
+        }
+    }
+    catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+} ());
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+(function(undefined) {
+    "use strict";
+
+    var fs = require("fs");
+    var minimist = require("minimist");
+    var Typings = require("../js/WebApiClient.Typings.js");
+
+    var usage = [
+        "Usage: webapiclient-typings --metadata <file> [--definitions <file>] [--entities <names>] [--module <name>] [--out <file>]",
+        "",
+        "  --metadata     CSDL document, as returned by the $metadata endpoint",
+        "  --definitions  EntityDefinitions JSON including attributes with option sets, for generating option set enums",
+        "  --entities     Comma separated logical names of the entities to generate, defaults to all entities",
+        "  --module       Name of the module to augment, defaults to xrm-webapi-client",
+        "  --out          Output file, defaults to stdout"
+    ].join("\n");
+
+    var args = minimist(process.argv.slice(2), {
+        string: ["metadata", "definitions", "entities", "module", "out"],
+        boolean: ["help"],
+        alias: { m: "metadata", d: "definitions", e: "entities", o: "out", h: "help" }
+    });
+
+    if (args.help || !args.metadata) {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    try {
+        var typings = Typings.GenerateEntityTypings(fs.readFileSync(args.metadata, "utf8"), {
+            entityDefinitions: args.definitions ? JSON.parse(fs.readFileSync(args.definitions, "utf8")) : null,
+            entities: args.entities ? args.entities.split(",").map(function (name) { return name.trim(); }) : null,
+            moduleName: args.module
+        });
+
+        if (args.out) {
+            fs.writeFileSync(args.out, typings, "utf8");
+        }
+        else {
+            process.stdout.write(typings);
+        }
+    }
+    catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+} ());
@@ -1,6 +1,8 @@
 (function(undefined) {
     "use strict";
 
+    var Multipart = require("./WebApiClient.Multipart.js");
+
     /**
      * Batch to send using WebApiClient.SendBatch.
      * Batches can be used for sending multiple requests at once.
@@ -8,11 +10,18 @@
      * @constructor
      * @see https://msdn.microsoft.com/en-us/library/mt607719.aspx#bkmk_BatchRequests
      * @param {Object} parameters
-     * @param {String} [parameters.name] Name to set for this batch. Will be set to a default name if ommitted
+     * @param {String} [parameters.name] Name to set for this batch. Set to a random name in GUID format if ommitted, such as "batch_5a0c35b4-a5a2-4b6e-9b1c-6f0e5c3b1f0a"
      * @param {Array<ChangeSet>} [parameters.changeSets] Change Sets to include in this batch. Defaults to an empty array
      * @param {Array<Request>} [parameters.requests] GET requests to include in this batch. GET requests must be contained in here and are forbidden in change sets. Defaults to an empty array 
      * @param {Array<{key:string,value:string}>} [parameters.headers] Headers to append to the batch.
      * @param {bool} [parameters.async] True for sending async, false for sending sync. WebApiClient default is async
+     * @param {Object} [parameters.retryPolicy] Retry policy for sending this batch, overrides WebApiClient.RetryPolicy
+     * @param {Number} [parameters.timeout] Timeout in milliseconds after which sending this batch is aborted
+     * @param {AbortSignal} [parameters.signal] Signal for cancelling this batch
+     * @param {Number} [parameters.maxOperations] Set for sending the batch as multiple batches with at most this number of requests each, such as 1000. Change sets are kept together
+     * @param {Number} [parameters.maxPayloadSize] Set for sending the batch as multiple batches with at most this payload length each
+     * @param {Number} [parameters.concurrency] Number of batches that are sent in parallel if the batch is split. Defaults to 1
+     * @param {bool} [parameters.continueOnError] True for processing all requests even if some of them fail, by sending the Prefer: odata.continue-on-error header. Processing stops on the first error otherwise
      * @param {bool} [parameters.isOverLengthGet] Used internally for flagging a GET request that was originally not a batch but had to be transformed to a batch request automatically since the url was too long
      * @memberof module:WebApiClient
      */
@@ -23,7 +32,7 @@
          * @property {String} name - Name of the batch
          * @this {Batch}
          */
-        this.name = params.name || "batch_AAA123";
+        this.name = params.name || Multipart.CreateBoundary("batch");
 
         /**
          * @property {Array<ChangeSet>} changeSets - Change sets included in this batch. Only non GET requests may be included here. Each change set will execute as a separate transaction
@@ -49,6 +58,48 @@
          */
         this.async = params.async;
 
+        /**
+         * @property {Object} retryPolicy - Retry policy for sending this batch, overrides WebApiClient.RetryPolicy
+         * @this {Batch}
+         */
+        this.retryPolicy = params.retryPolicy;
+
+        /**
+         * @property {Number} timeout - Timeout in milliseconds after which sending this batch is aborted
+         * @this {Batch}
+         */
+        this.timeout = params.timeout;
+
+        /**
+         * @property {AbortSignal} signal - Signal for cancelling this batch
+         * @this {Batch}
+         */
+        this.signal = params.signal;
+
+        /**
+         * @property {Number} maxOperations - Maximum number of requests per sent batch, the batch is split on sending if exceeded
+         * @this {Batch}
+         */
+        this.maxOperations = params.maxOperations;
+
+        /**
+         * @property {Number} maxPayloadSize - Maximum payload length per sent batch, the batch is split on sending if exceeded
+         * @this {Batch}
+         */
+        this.maxPayloadSize = params.maxPayloadSize;
+
+        /**
+         * @property {Number} concurrency - Number of batches that are sent in parallel if the batch is split
+         * @this {Batch}
+         */
+        this.concurrency = params.concurrency;
+
+        /**
+         * @property {bool} continueOnError - True for processing all requests even if some of them fail
+         * @this {Batch}
+         */
+        this.continueOnError = params.continueOnError;
+
         /**
          * @property {bool} isOverLengthGet - Used internally for flagging a GET request that was originally not a batch but had to be transformed to a batch request automatically since the url was too long
          * @this {Batch}
@@ -56,39 +107,103 @@
         this.isOverLengthGet = params.isOverLengthGet;
     };
 
+    function ChangeSetPart (changeSet) {
+        return {
+            headers: [{ key: "Content-Type", value: "multipart/mixed; boundary=" + changeSet.name }],
+            body: changeSet.stringify()
+        };
+    }
+
+    function RequestPart (request) {
+        return {
+            headers: [
+                { key: "Content-Type", value: "application/http" },
+                { key: "Content-Transfer-Encoding", value: "binary" }
+            ],
+            body: request.stringify()
+        };
+    }
+
+    function CreatePart (batch) {
+        return new Batch({
+            name: batch.name,
+            headers: batch.headers.slice(),
+            async: batch.async,
+            retryPolicy: batch.retryPolicy,
+            timeout: batch.timeout,
+            signal: batch.signal,
+            continueOnError: batch.continueOnError
+        });
+    }
+
     /**
-     * @description Creates a text representation of the whole batch for sending as message body
+     * @description Creates a text representation of the whole batch for sending as message body, using CRLF line breaks
      * @return {String}
      * @this {Batch}
      */
     Batch.prototype.buildPayload = function() {
-        var payload = "";
-
-        for (var i = 0; i < this.changeSets.length; i++) {
-            payload += "--" + this.name + "\n";
-            payload += "Content-Type: multipart/mixed;boundary=" + this.changeSets[i].name + "\n\n";
-            var changeSet = this.changeSets[i];
-
-            payload += changeSet.stringify();
-        }
+        return Multipart.Serialize(this.name, this.changeSets.map(ChangeSetPart).concat(this.requests.map(RequestPart)));
+    };
 
-        for (var j = 0; j < this.requests.length; j++) {
-            payload += "--" + this.name + "\n";
+    /**
+     * @description Splits the batch into batches that don't exceed the given limits, keeping the order of change sets and requests.
+     * Change sets are never split, as all of their requests have to be executed in one transaction.
+     * @param {Object} [limits]
+     * @param {Number} [limits.maxOperations] Maximum number of requests per batch. Defaults to 1000, which is the limit of Dynamics 365
+     * @param {Number} [limits.maxPayloadSize] Maximum length of the payload per batch. Not limited by default
+     * @return {Array<Batch>} - The batches, a single batch with all change sets and requests if no limit is exceeded
+     * @this {Batch}
+     */
+    Batch.prototype.split = function(limits) {
+        var params = limits || {};
+        var maxOperations = params.maxOperations || 1000;
+        var maxPayloadSize = params.maxPayloadSize || Number.POSITIVE_INFINITY;
+        var name = this.name;
+        // Every batch needs its closing boundary
+        var closingSize = Multipart.SerializeEnd(name).length;
+        var batches = [];
+        var current = null;
+        var operations = 0;
+        var size = 0;
+
+        var parts = this.changeSets.map(function (changeSet) {
+            return { changeSet: changeSet, operations: changeSet.requests.length, size: Multipart.SerializePart(name, ChangeSetPart(changeSet)).length, name: "Change set " + changeSet.name };
+        })
+        .concat(this.requests.map(function (request) {
+            return { request: request, operations: 1, size: Multipart.SerializePart(name, RequestPart(request)).length, name: "Request " + request.method + " " + request.url };
+        }));
+
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i];
+
+            if (part.operations > maxOperations) {
+                throw new Error(part.name + " contains " + part.operations + " requests, but batches are limited to " + maxOperations + " operations!");
+            }
 
-            payload += "Content-Type: application/http\n";
-            payload += "Content-Transfer-Encoding:binary\n\n";
+            if (part.size + closingSize > maxPayloadSize) {
+                throw new Error(part.name + " exceeds the maximum batch payload size of " + maxPayloadSize + "!");
+            }
 
-            var request = this.requests[j];
+            if (!current || operations + part.operations > maxOperations || size + part.size > maxPayloadSize) {
+                current = CreatePart(this);
+                operations = 0;
+                size = closingSize;
 
-            payload += request.stringify();
+                batches.push(current);
+            }
 
-            // When all requests are stringified, we need a closing batch tag
-            if (j === this.requests.length - 1) {
-                payload += "--" + this.name + "--\n";
+            if (part.changeSet) {
+                current.changeSets.push(part.changeSet);
             }
+            else {
+                current.requests.push(part.request);
+            }
+
+            operations += part.operations;
+            size += part.size;
         }
 
-        return payload;
+        return batches.length ? batches : [this];
     };
 
     module.exports = Batch;
@@ -0,0 +1,261 @@
+(function(undefined) {
+    "use strict";
+
+    var Promise = require("bluebird").noConflict();
+
+    var Multipart = require("./WebApiClient.Multipart.js");
+
+    function Copy (parameters) {
+        var copy = {};
+
+        for (var key in parameters) {
+            if (parameters.hasOwnProperty(key)) {
+                copy[key] = parameters[key];
+            }
+        }
+
+        return copy;
+    }
+
+    function AsBatch (parameters) {
+        var params = Copy(parameters);
+        params.asBatch = true;
+
+        return params;
+    }
+
+    function GetRequestHeader (request, name) {
+        var header = request.headers.filter(function (header) {
+            return header.key.toLowerCase() === name.toLowerCase();
+        })[0];
+
+        return header ? header.value : null;
+    }
+
+    // Resolves with the same values as regular calls do for the same response
+    function GetValue (result) {
+        if (result.status === 204) {
+            // Creating records without returning their representation returns the url of the new record
+            if (result.request.method.toUpperCase() === "POST") {
+                return Multipart.GetHeader(result.headers, "OData-EntityId") || null;
+            }
+
+            // No content returned for delete, update, ...
+            return result.statusText;
+        }
+
+        // Conditional retrieves return no content if the record was not modified
+        if (result.status === 304) {
+            return {
+                notModified: true,
+                "@odata.etag": Multipart.GetHeader(result.headers, "ETag") || GetRequestHeader(result.request, "If-None-Match")
+            };
+        }
+
+        return result.payload;
+    }
+
+    // Calls that resolve with a different value than the payload of their response, same as their regular counterparts
+    var Results = {
+        Upsert: function (result) {
+            return { created: result.status === 201, entity: result.payload };
+        }
+    };
+
+    /**
+     * @description Creates the batch builder for a client, which creates its batch requests using the client's configuration.
+     * @param {Object} client Client instance to use for creating and sending requests
+     * @return {Function} - The BatchBuilder constructor
+     */
+    function CreateBatchBuilder (client) {
+        var Methods = {
+            Create: function (parameters) {
+                return client.Create(AsBatch(parameters));
+            },
+            Retrieve: function (parameters) {
+                return client.Retrieve(AsBatch(parameters));
+            },
+            Update: function (parameters) {
+                return client.Update(AsBatch(parameters));
+            },
+            Upsert: function (parameters) {
+                return client.Upsert(AsBatch(parameters));
+            },
+            Delete: function (parameters) {
+                return client.Delete(AsBatch(parameters));
+            },
+            Associate: function (parameters) {
+                return client.Associate(AsBatch(parameters));
+            },
+            Disassociate: function (parameters) {
+                return client.Disassociate(AsBatch(parameters));
+            },
+            Execute: function (request) {
+                return client.Execute(request && request.with ? request.with({ asBatch: true }) : request);
+            },
+            SendRequest: function (method, url, payload, parameters) {
+                return client.SendRequest(method, url, payload, AsBatch(parameters));
+            }
+        };
+
+        function Queue (builder, transaction, name, request) {
+            if (builder.isSent) {
+                throw new Error("Calls can not be added after the batch was sent!");
+            }
+
+            var call = { request: request, transaction: transaction, getValue: Results[name] || GetValue };
+            var promise = new Promise(function (resolve, reject) {
+                call.resolve = resolve;
+                call.reject = reject;
+            });
+
+            builder.calls.push(call);
+
+            return promise;
+        }
+
+        function BuildBatch (builder) {
+            var params = Copy(builder.parameters);
+            var transactions = {};
+
+            params.async = true;
+            params.changeSets = [];
+            params.requests = [];
+
+            // Calls outside of transactions are independent of each other, so a failing call must not skip the following ones
+            if (typeof(params.continueOnError) === "undefined") {
+                params.continueOnError = true;
+            }
+
+            builder.calls.forEach(function (call) {
+                if (call.request.method.toUpperCase() === "GET") {
+                    params.requests.push(call.request);
+                }
+                // Each call that is not part of a transaction is sent as separate change set, so that it succeeds or fails on its own
+                else if (call.transaction === null) {
+                    params.changeSets.push(new client.ChangeSet({ requests: [call.request] }));
+                }
+                else {
+                    if (!transactions.hasOwnProperty(call.transaction)) {
+                        transactions[call.transaction] = new client.ChangeSet();
+                        params.changeSets.push(transactions[call.transaction]);
+                    }
+
+                    transactions[call.transaction].requests.push(call.request);
+                }
+            });
+
+            return new client.Batch(params);
+        }
+
+        /**
+         * Collects calls such as Create, Retrieve, Update, Upsert or Execute and sends them in one batch.
+         * Each call returns a promise that resolves with its result once the batch was sent, or rejects with its WebApiError.
+         * GET requests are sent as batch requests, all other requests as change sets. Use transaction for grouping requests into one change set.
+         * The batch is sent with continueOnError, so that failing calls don't skip the following ones, unless continueOnError is set to false in the parameters.
+         * Every call that fails rejects its promise, so handle the rejections of all calls, not only the one of send.
+         * Calls take the same parameters as the corresponding WebApiClient functions, except for asBatch, which is set automatically.
+         * @constructor
+         * @param {Object} [parameters] Parameters for the batch, such as headers, timeout, signal or maxOperations. See WebApiClient.Batch
+         * @memberof module:WebApiClient
+         */
+        var BatchBuilder = function (parameters) {
+            /**
+             * @property {Object} parameters - Parameters for the batch
+             * @this {BatchBuilder}
+             */
+            this.parameters = parameters || {};
+
+            /**
+             * @property {Array<Object>} calls - Queued calls in order, each containing its request and the name of its transaction
+             * @this {BatchBuilder}
+             */
+            this.calls = [];
+
+            /**
+             * @property {bool} isSent - True once send was called, no further calls can be added then
+             * @this {BatchBuilder}
+             */
+            this.isSent = false;
+        };
+
+        Object.keys(Methods).forEach(function (name) {
+            BatchBuilder.prototype[name] = function () {
+                return Queue(this, null, name, Methods[name].apply(null, arguments));
+            };
+        });
+
+        /**
+         * @description Gets an object with the same calls as the builder, that adds all of its requests to one change set.
+         * All calls of a transaction succeed or fail together and can reference each other using referenceName and WebApiClient.BatchRequest.ref.
+         * @param {String} name Name of the transaction, calls using the same name share their change set
+         * @return {Object} - Object containing Create, Retrieve, Update, Upsert, Delete, Associate, Disassociate, Execute and SendRequest
+         * @this {BatchBuilder}
+         */
+        BatchBuilder.prototype.transaction = function (name) {
+            var builder = this;
+            var transaction = {};
+
+            if (!name) {
+                throw new Error("Name of the transaction has to be passed!");
+            }
+
+            Object.keys(Methods).forEach(function (method) {
+                transaction[method] = function () {
+                    return Queue(builder, name, method, Methods[method].apply(null, arguments));
+                };
+            });
+
+            return transaction;
+        };
+
+        /**
+         * @description Sends all calls in one batch and settles their promises. Can only be called once
+         * @return {Promise<BatchResponse>} - Resolves with the batch response, rejects if the batch could not be sent
+         * @this {BatchBuilder}
+         */
+        BatchBuilder.prototype.send = function () {
+            if (this.isSent) {
+                throw new Error("Batch builder was already sent!");
+            }
+
+            this.isSent = true;
+
+            var calls = this.calls;
+
+            if (!calls.length) {
+                return Promise.resolve(new client.BatchResponse());
+            }
+
+            return client.SendBatch(BuildBatch(this))
+            .then(function (batchResponse) {
+                calls.forEach(function (call) {
+                    var result = batchResponse.getResult(call.request);
+
+                    if (!result) {
+                        call.reject(new Error("No response was returned for request " + call.request.method + " " + call.request.url + "!"));
+                    }
+                    else if (result.error) {
+                        call.reject(result.error);
+                    }
+                    else {
+                        call.resolve(call.getValue(result));
+                    }
+                });
+
+                return batchResponse;
+            })
+            .catch(function (error) {
+                calls.forEach(function (call) {
+                    call.reject(error);
+                });
+
+                throw error;
+            });
+        };
+
+        return BatchBuilder;
+    }
+
+    module.exports = CreateBatchBuilder;
+} ());
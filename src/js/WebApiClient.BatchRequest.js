@@ -1,6 +1,20 @@
 (function(undefined) {
     "use strict";
 
+    var Multipart = require("./WebApiClient.Multipart.js");
+
+    var ReferencePattern = /\$\{ref:([^}]+)\}/g;
+
+    function ResolveReferences (text, references) {
+        return text.replace(ReferencePattern, function (match, name) {
+            if (!references.hasOwnProperty(name)) {
+                throw new Error("Reference '" + name + "' has to be the name of a preceding request in the same change set!");
+            }
+
+            return "$" + references[name];
+        });
+    }
+
     /**
      * Request used inside batches, used for all HTTP methods
      * @constructor
@@ -10,7 +24,8 @@
      * @param {String} parameters.url The url used for this request
      * @param {Object} [parameters.payload] The request body for this request. Will be stringified and embedded.
      * @param {Array<{key:string,value:string}>} [parameters.headers] Headers to append to this request
-     * @param {String} parameters.contentId Content ID to set for this request
+     * @param {String} parameters.contentId Content ID to set for this request, has to be unique inside its change set. Requests without one are numbered automatically, skipping the IDs that are already taken
+     * @param {String} [parameters.referenceName] Name for referencing this request from later requests of the same change set, using WebApiClient.BatchRequest.ref
      * @memberof module:WebApiClient
      */
     var BatchRequest = function (parameters) {
@@ -45,38 +60,58 @@
          * @this {BatchRequest}
          */
         this.contentId = params.contentId;
+
+        /**
+         * @property {String} referenceName - Name for referencing this request from later requests of the same change set, using WebApiClient.BatchRequest.ref
+         * @this {BatchRequest}
+         */
+        this.referenceName = params.referenceName;
     };
 
     /**
-     * @description Converts current batch request into a string representation for including in the batch body
+     * @description Creates a reference to an earlier request of the same change set, for usage in URLs, payloads and headers of later requests.
+     * It is replaced by the Content-ID of the referenced request when stringifying, such as "$1".
+     * @param {String} name Reference name of the referenced request
      * @return {String}
-     * @this {BatchRequest}
+     * @memberof module:WebApiClient.BatchRequest
      */
-    BatchRequest.prototype.stringify = function () {
-        var payload = "";
-
-        if (this.contentId) {
-            payload += "Content-ID: " + this.contentId + "\n\n";
+    BatchRequest.ref = function (name) {
+        if (!name) {
+            throw new Error("Name of the referenced request has to be passed!");
         }
 
-        payload += this.method + " " + this.url + " HTTP/1.1\n";
+        return "${ref:" + name + "}";
+    };
+
+    /**
+     * @description Converts current batch request into its HTTP message for including in the batch body, using CRLF line breaks.
+     * The Content-ID is not part of the HTTP message, it is set as header of the enclosing part by the change set
+     * @param {Object} [references] Content IDs of preceding requests keyed by their reference name, used for resolving references. Passed by the change set
+     * @return {String}
+     * @this {BatchRequest}
+     */
+    BatchRequest.prototype.stringify = function (references) {
+        var resolve = function (text) {
+            return ResolveReferences(String(text), references || {});
+        };
+        var payload = this.method + " " + resolve(this.url) + " HTTP/1.1" + Multipart.CRLF;
 
         for (var i = 0; i < this.headers.length; i++) {
             var header = this.headers[i];
 
             if (["accept", "content-type"].indexOf(header.key.toLowerCase()) === -1) {
-                payload += header.key + ": " + header.value + "\n";
+                payload += header.key + ": " + resolve(header.value) + Multipart.CRLF;
             }
         }
 
         if (this.method.toLowerCase() === "get") {
-            payload += "Accept: application/json\n\n";
+            payload += "Accept: application/json" + Multipart.CRLF + Multipart.CRLF;
         } else {
-            payload += "Content-Type: application/json;type=entry\n\n";
+            payload += "Content-Type: application/json;type=entry" + Multipart.CRLF + Multipart.CRLF;
         }
 
         if (this.payload) {
-            payload += JSON.stringify(this.payload);
+            payload += resolve(JSON.stringify(this.payload));
         }
         else if (this.method.toLowerCase() === "delete") {
             // Delete requests need an empty payload, pass it if not already set
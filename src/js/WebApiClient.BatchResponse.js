@@ -1,8 +1,111 @@
 (function(undefined) {
     "use strict";
-    
+
     var WebApiClient = require("./WebApiClient.Core.js");
 
+    var Errors = require("./WebApiClient.Errors.js");
+
+    var Multipart = require("./WebApiClient.Multipart.js");
+
+    // Uses the first delimiter of the body if no boundary was passed in the content type
+    function GetBoundary (contentType, text) {
+        var delimiter = /^--([^\s]+?)\r?$/m.exec(text || "");
+
+        return Multipart.GetBoundary(contentType) || (delimiter ? delimiter[1] : null);
+    }
+
+    function IsFailed (response) {
+        return parseInt(response.status, 10) >= 400 || !!(response.payload && response.payload.error);
+    }
+
+    function GetErrorDetails (response) {
+        if (response.payload && response.payload.error) {
+            return response.payload.error;
+        }
+
+        // Errors might be returned as plain text as well
+        return { message: typeof(response.payload) === "string" ? response.payload : "Request failed with status " + response.status };
+    }
+
+    function CreateResponse (rawData) {
+        return new WebApiClient.Response({
+            rawData: rawData
+        });
+    }
+
+    function AddError (batchResponse, response) {
+        if (IsFailed(response)) {
+            batchResponse.isFaulted = true;
+            batchResponse.errors.push(GetErrorDetails(response));
+        }
+    }
+
+    function GetEntityId (headers) {
+        var entityUrl = headers ? Multipart.GetHeader(headers, "OData-EntityId") : null;
+        var id = /\(([^()]*)\)\s*$/.exec(entityUrl || "");
+
+        return id ? id[1] : null;
+    }
+
+    function CreateError (response, request) {
+        var error = GetErrorDetails(response);
+
+        return Errors.CreateWebApiError({
+            message: error.message,
+            status: parseInt(response.status, 10) || 0,
+            code: error.code,
+            innererror: error.innererror,
+            method: request.method,
+            url: request.url,
+            headers: response.headers || {}
+        });
+    }
+
+    function CreateResult (request, response, changeSet) {
+        var status = parseInt(response.status, 10) || 0;
+
+        return {
+            request: request,
+            contentId: request.contentId,
+            changeSet: changeSet,
+            status: status,
+            statusText: response.statusText || "",
+            payload: response.payload,
+            headers: response.headers || {},
+            entityId: GetEntityId(response.headers),
+            error: IsFailed(response) ? CreateError(response, request) : null
+        };
+    }
+
+    function CreateSkippedResult (request, changeSet) {
+        return {
+            request: request,
+            contentId: request.contentId,
+            changeSet: changeSet,
+            status: 0,
+            statusText: "",
+            payload: null,
+            headers: {},
+            entityId: null,
+            error: new Errors.WebApiError({
+                message: "Request was not processed, as a preceding request of the batch failed",
+                status: 0,
+                method: request.method,
+                url: request.url
+            })
+        };
+    }
+
+    function FindResponse (responses, request, index) {
+        for (var i = 0; i < responses.length; i++) {
+            if (request.contentId && String(responses[i].contentId) === String(request.contentId)) {
+                return responses[i];
+            }
+        }
+
+        return responses[index];
+    }
+
     /**
      * Response returned from WebApiClient.SendBatch method. You will usually not instantiate this yourself.
      * @constructor
@@ -13,6 +116,10 @@
      * @param {Array<Response>} [parameters.batchResponses] Array of responses for GET batch requests
      * @param {bool} [parameters.isFaulted] Indicates whether any of the requests failed
      * @param {Array<string>} [parameters.errors] List of error messages if requests failed
+     * @param {Array<Object>} [parameters.parts] Top level parts of the response in order, each either a change set response or a Response
+     * @param {Array<Object>} [parameters.results] Results per request, see results property
+     * @param {Array<Object>} [parameters.succeeded] Results of the requests that succeeded
+     * @param {Array<Object>} [parameters.failed] Results of the requests that failed
      * @param {XMLHttpRequest} [parameters.xhr] XMLHttpRequest to use for parsing the results and filling the other properties
      * @memberof module:WebApiClient
      */
@@ -49,61 +156,133 @@
          */
         this.errors = params.errors || [];
 
+        /**
+         * @property {Array<Object>} parts - Top level parts of the response in order, each either a change set response or a Response
+         * @this {BatchResponse}
+         */
+        this.parts = params.parts || [];
+
+        /**
+         * @property {Array<Object>} results - One result per request in the order of the batch, filled by WebApiClient.SendBatch.
+         * Each result contains request, contentId, changeSet (name of the request's change set), status, statusText, payload, headers, entityId (parsed from the OData-EntityId header) and error (WebApiError if the request failed, otherwise null)
+         * @this {BatchResponse}
+         */
+        this.results = params.results || [];
+
+        /**
+         * @property {Array<Object>} succeeded - Results of the requests that succeeded, filled by WebApiClient.SendBatch
+         * @this {BatchResponse}
+         */
+        this.succeeded = params.succeeded || [];
+
+        /**
+         * @property {Array<Object>} failed - Results of the requests that failed or were not processed, filled by WebApiClient.SendBatch.
+         * Each contains the failed request, its status and its error, so that only these requests can be sent again
+         * @this {BatchResponse}
+         */
+        this.failed = params.failed || [];
+
         if (params.xhr) {
             var xhr = params.xhr;
             var responseText = xhr.responseText;
 
-            var responseContentType = xhr.getResponseHeader("Content-Type");
-            this.name = responseContentType.substring(responseContentType.indexOf("boundary=")).replace("boundary=", "");
+            this.name = GetBoundary(xhr.getResponseHeader("Content-Type"), responseText);
 
-            var changeSetBoundaries = responseText.match(/boundary=changesetresponse.*/g);
+            var parts = Multipart.Split(responseText, this.name);
 
-            for (var i = 0; changeSetBoundaries && i < changeSetBoundaries.length; i++) {
-                var changeSetName = changeSetBoundaries[i].replace("boundary=", "");
+            for (var i = 0; i < parts.length; i++) {
+                var part = Multipart.ParsePart(parts[i]);
+                var changeSetBoundary = Multipart.GetBoundary(Multipart.GetHeader(part.headers, "Content-Type"));
 
-                // Find all change set responses in responseText
-                var changeSetRegex = new RegExp("--" + changeSetName + "[\\S\\s]*?(?=--" + changeSetName + ")", "gm");
+                if (changeSetBoundary) {
+                    var changeSetResponse = {
+                        name: changeSetBoundary,
+                        responses: Multipart.Split(part.body, changeSetBoundary).map(CreateResponse)
+                    };
 
-                var changeSetResponse = {
-                    name: changeSetName,
-                    responses: []
-                };
+                    changeSetResponse.responses.forEach(AddError.bind(null, this));
 
-                var changeSets = responseText.match(changeSetRegex);
+                    this.changeSetResponses.push(changeSetResponse);
+                    this.parts.push(changeSetResponse);
 
-                for (var k = 0; k < changeSets.length; k++) {
-                    var response = new WebApiClient.Response({
-                        rawData: changeSets[k]
-                    });
+                    continue;
+                }
 
-                    if (response.payload && response.payload.error) {
-                        this.isFaulted = true;
-                        this.errors.push(response.payload.error);
-                    }
+                var batchResponse = CreateResponse(parts[i]);
 
-                    changeSetResponse.responses.push(response);
-                }
+                AddError(this, batchResponse);
 
-                this.changeSetResponses.push(changeSetResponse);
+                this.batchResponses.push(batchResponse);
+                this.parts.push(batchResponse);
             }
+        }
+    };
+
+    /**
+     * @description Assigns the responses to the requests of the batch that was sent and fills the results, succeeded and failed. Called by WebApiClient.SendBatch.
+     * Requests of a change set that failed as a whole all get the error of the change set, requests that were not processed since the batch stopped on an error get an error with status 0.
+     * @param {Batch} batch The batch that was sent
+     * @return {BatchResponse} - The batch response itself
+     * @this {BatchResponse}
+     */
+    BatchResponse.prototype.correlate = function (batch) {
+        var parts = this.parts.slice();
+        var results = [];
 
-            // Find all batch responses in responseText
-            var batchRegex = new RegExp("--" + this.name + "[\\r\\n]+Content-Type: application\\/http[\\S\\s]*?(?=--" + this.name + ")", "gm");
-            var batchResponsesRaw = responseText.match(batchRegex);
+        batch.changeSets.forEach(function (changeSet) {
+            var part = parts.shift();
 
-            for (var j = 0; batchResponsesRaw && j < batchResponsesRaw.length; j++) {
-                var batchResponse = new WebApiClient.Response({
-                    rawData: batchResponsesRaw[j]
-                });
+            changeSet.requests.forEach(function (request, index) {
+                if (!part) {
+                    results.push(CreateSkippedResult(request, changeSet.name));
+                }
+                // A single response instead of a change set response means that the whole change set failed
+                else if (!part.responses) {
+                    results.push(CreateResult(request, part, changeSet.name));
+                }
+                else {
+                    var response = FindResponse(part.responses, request, index);
 
-                if (batchResponse.payload && batchResponse.payload.error) {
-                    this.isFaulted = true;
-                    this.errors.push(batchResponse.payload.error);
+                    results.push(response ? CreateResult(request, response, changeSet.name) : CreateSkippedResult(request, changeSet.name));
                 }
+            });
+        });
 
-                this.batchResponses.push(batchResponse);
+        batch.requests.forEach(function (request) {
+            var part = parts.shift();
+
+            results.push(part && !part.responses ? CreateResult(request, part, null) : CreateSkippedResult(request, null));
+        });
+
+        this.results = results;
+
+        this.succeeded = results.filter(function (result) {
+            return !result.error;
+        });
+
+        this.failed = results.filter(function (result) {
+            return !!result.error;
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Gets the result of a request of the batch
+     * @param {BatchRequest|String|Number} request The request or its Content-ID. Content-IDs might repeat in multiple change sets, the first match is returned then
+     * @return {Object} - The result, see results property. Null if not found
+     * @this {BatchResponse}
+     */
+    BatchResponse.prototype.getResult = function (request) {
+        for (var i = 0; i < this.results.length; i++) {
+            var result = this.results[i];
+
+            if (typeof(request) === "object" ? result.request === request : String(result.contentId) === String(request)) {
+                return result;
             }
         }
+
+        return null;
     };
 
     module.exports = BatchResponse;
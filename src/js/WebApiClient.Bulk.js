@@ -0,0 +1,404 @@
+(function(undefined) {
+    "use strict";
+
+    var Promise = require("bluebird").noConflict();
+
+    var Errors = require("./WebApiClient.Errors.js");
+
+    var Operations = {
+        Create: { message: "CreateMultiple", bound: true },
+        Update: { message: "UpdateMultiple", bound: true },
+        Upsert: { message: "UpsertMultiple", bound: true },
+        Delete: { message: "DeleteMultiple", bound: false }
+    };
+
+    var Modes = ["auto", "action", "batch"];
+
+    function RemoveIdBrackets (id) {
+        return String(id).replace("{", "").replace("}", "");
+    }
+
+    function Chunk (items, size) {
+        var chunks = [];
+
+        for (var i = 0; i < items.length; i += size) {
+            chunks.push({ offset: i, items: items.slice(i, i + size) });
+        }
+
+        return chunks;
+    }
+
+    function Copy (record) {
+        var copy = {};
+
+        for (var key in record) {
+            if (record.hasOwnProperty(key)) {
+                copy[key] = record[key];
+            }
+        }
+
+        return copy;
+    }
+
+    // Codes of OData routing errors, which older organizations return for the unknown actions, such as "Resource not found for the segment"
+    var RoutingErrorCodes = ["0x8006088a", "0x80060888"];
+
+    function GetErrorText (error) {
+        return (error.message || "") + " " + (error.innererror && error.innererror.message ? error.innererror.message : "");
+    }
+
+    // Actions are missing on older organizations and not every table supports them
+    function IsUnsupported (error, chunk) {
+        if (!(error instanceof Errors.WebApiError)) {
+            return false;
+        }
+
+        if (error.status === 404 || /does not support entities of type/i.test(GetErrorText(error))) {
+            return true;
+        }
+
+        // Bad requests only show that the action is unknown if the first chunk failed with a routing error or one naming the action's type.
+        // Later chunks reached the action before, so their errors are about the records
+        return chunk.offset === 0 && error.status === 400 &&
+            (RoutingErrorCodes.indexOf(String(error.code).toLowerCase()) !== -1 || /Microsoft\.Dynamics\.CRM\.\w+Multiple\b/.test(GetErrorText(error)));
+    }
+
+    /**
+     * @description Creates the bulk operations for a client, which send many records using the CreateMultiple, UpdateMultiple, UpsertMultiple and DeleteMultiple actions or batches.
+     * @param {Object} client Client instance to use for sending requests
+     * @return {Object} - Object containing CreateMultiple, UpdateMultiple, UpsertMultiple and DeleteMultiple
+     */
+    function CreateBulkOperations (client) {
+        // Operations and entities that don't support the actions, keyed by message and entity name
+        var unsupported = {};
+
+        function GetPrimaryIdAttribute (params) {
+            return params.primaryIdAttribute || params.entityName + "id";
+        }
+
+        function GetHeaders (params) {
+            return params.headers ? params.headers.slice() : undefined;
+        }
+
+        function GetRecordId (operation, params, item) {
+            return operation === Operations.Delete ? RemoveIdBrackets(item) : item[GetPrimaryIdAttribute(params)];
+        }
+
+        function GetRecordUrl (params, item, id) {
+            // Upserts by alternate key pass the record path as @odata.id, such as "accounts(accountnumber='1')"
+            if (item && item["@odata.id"]) {
+                return client.GetApiUrl() + item["@odata.id"];
+            }
+
+            return client.GetApiUrl() + client.GetSetName(params.entityName, params.overriddenSetName) + "(" + RemoveIdBrackets(id) + ")";
+        }
+
+        function GetMode (operation, params) {
+            var mode = params.mode || "auto";
+
+            if (mode === "auto" && unsupported[operation.message + ":" + params.entityName]) {
+                return "batch";
+            }
+
+            return mode;
+        }
+
+        function ToTarget (operation, params, item) {
+            if (operation === Operations.Delete) {
+                var reference = { "@odata.type": "Microsoft.Dynamics.CRM." + params.entityName };
+                reference[GetPrimaryIdAttribute(params)] = RemoveIdBrackets(item);
+
+                return reference;
+            }
+
+            var target = Copy(item);
+            target["@odata.type"] = "Microsoft.Dynamics.CRM." + params.entityName;
+
+            return target;
+        }
+
+        function SendAction (operation, params, chunk) {
+            var url = client.GetApiUrl();
+
+            if (operation.bound) {
+                url += client.GetSetName(params.entityName, params.overriddenSetName) + "/Microsoft.Dynamics.CRM.";
+            }
+
+            var payload = {
+                Targets: chunk.items.map(function (item) {
+                    return ToTarget(operation, params, item);
+                })
+            };
+
+            return client.SendRequest("POST", url + operation.message, payload, { async: true, headers: GetHeaders(params), signal: params.signal })
+            .then(function (response) {
+                return chunk.items.map(function (item, index) {
+                    var id = operation === Operations.Create ? (response && response.Ids ? response.Ids[index] : undefined) : GetRecordId(operation, params, item);
+
+                    return { index: chunk.offset + index, record: item, success: true, id: id };
+                });
+            });
+        }
+
+        function ToBatchRequest (operation, params, item, index) {
+            var id = GetRecordId(operation, params, item);
+            var request = { contentId: index + 1 };
+            var payload;
+
+            switch (operation) {
+                case Operations.Create:
+                    request.method = "POST";
+                    request.url = client.GetApiUrl() + client.GetSetName(params.entityName, params.overriddenSetName);
+                    request.payload = item;
+                    break;
+                case Operations.Update:
+                    request.method = "PATCH";
+                    request.url = GetRecordUrl(params, item, id);
+                    request.payload = item;
+                    // UpdateMultiple does not create missing records, neither should the fallback
+                    request.headers = [{ key: "If-Match", value: "*" }];
+                    break;
+                case Operations.Upsert:
+                    payload = Copy(item);
+                    delete payload["@odata.id"];
+
+                    request.method = "PATCH";
+                    request.url = GetRecordUrl(params, item, id);
+                    request.payload = payload;
+                    break;
+                default:
+                    request.method = "DELETE";
+                    request.url = GetRecordUrl(params, null, id);
+                    break;
+            }
+
+            return new client.BatchRequest(request);
+        }
+
+        function SendBatch (operation, params, chunk) {
+            var requests = chunk.items.map(function (item, index) {
+                return ToBatchRequest(operation, params, item, index);
+            });
+
+            var batch = new client.Batch({
+                changeSets: [ new client.ChangeSet({ requests: requests }) ],
+                headers: GetHeaders(params),
+                async: true,
+                signal: params.signal
+            });
+
+            return client.SendBatch(batch)
+            .then(function (batchResponse) {
+                var results = requests.map(function (request) {
+                    return batchResponse.getResult(request);
+                });
+
+                // Change sets are transactions, so a single failure fails all of their requests
+                for (var i = 0; i < results.length; i++) {
+                    if (!results[i] || results[i].error) {
+                        throw results[i] ? results[i].error : new Errors.WebApiError({
+                            message: "No response was returned for record at index " + (chunk.offset + i) + "!",
+                            method: requests[i].method,
+                            url: requests[i].url
+                        });
+                    }
+                }
+
+                return chunk.items.map(function (item, index) {
+                    return { index: chunk.offset + index, record: item, success: true, id: results[index].entityId || GetRecordId(operation, params, item) };
+                });
+            });
+        }
+
+        function SendChunk (operation, params, chunk) {
+            var mode = GetMode(operation, params);
+
+            if (mode === "batch") {
+                return SendBatch(operation, params, chunk);
+            }
+
+            return SendAction(operation, params, chunk)
+            .catch(function (error) {
+                if (mode !== "auto" || !IsUnsupported(error, chunk)) {
+                    throw error;
+                }
+
+                unsupported[operation.message + ":" + params.entityName] = true;
+
+                return SendBatch(operation, params, chunk);
+            });
+        }
+
+        function Execute (operation, params, items) {
+            var mode = params.mode || "auto";
+            var chunkSize = params.chunkSize || 100;
+            var concurrency = params.concurrency || 1;
+            var results = new Array(items.length);
+
+            if (Modes.indexOf(mode) === -1) {
+                throw new Error("Bulk mode has to be one of auto, action or batch!");
+            }
+
+            if (params.async === false || (typeof(params.async) === "undefined" && client.Async === false)) {
+                throw new Error("Bulk operations are only supported asynchronously!");
+            }
+
+            function Send (chunk) {
+                return SendChunk(operation, params, chunk)
+                .catch(function (error) {
+                    // Only failures reported by the server are results of the records, cancellations and other errors reject the whole operation
+                    if (!(error instanceof Errors.WebApiError)) {
+                        throw error;
+                    }
+
+                    return chunk.items.map(function (item, index) {
+                        return { index: chunk.offset + index, record: item, success: false, error: error };
+                    });
+                })
+                .then(function (chunkResults) {
+                    chunkResults.forEach(function (result) {
+                        results[result.index] = result;
+                    });
+                });
+            }
+
+            var chunks = Chunk(items, chunkSize);
+            var setNames = client.ResolveSetNames ? client.LoadSetNames() : Promise.resolve();
+
+            return setNames
+            .then(function () {
+                // The first chunk shows whether the action is supported, before the others are sent in parallel
+                return chunks.length ? Send(chunks[0]) : undefined;
+            })
+            .then(function () {
+                return Promise.map(chunks.slice(1), Send, { concurrency: concurrency });
+            })
+            .then(function () {
+                var failed = results.filter(function (result) {
+                    return !result.success;
+                });
+
+                return {
+                    results: results,
+                    succeeded: results.filter(function (result) {
+                        return result.success;
+                    }),
+                    failed: failed,
+                    isFaulted: failed.length > 0
+                };
+            });
+        }
+
+        function ValidateRecords (operation, params) {
+            if (!params.entityName || !Array.isArray(params.entities)) {
+                throw new Error("Entity name and entities array have to be passed!");
+            }
+
+            if (operation === Operations.Create) {
+                return;
+            }
+
+            var idAttribute = GetPrimaryIdAttribute(params);
+
+            for (var i = 0; i < params.entities.length; i++) {
+                var record = params.entities[i];
+
+                if (!record || (!record[idAttribute] && !(operation === Operations.Upsert && record["@odata.id"]))) {
+                    throw new Error("Record at index " + i + " has no value for its primary id attribute " + idAttribute + "!");
+                }
+            }
+        }
+
+        /**
+         * @description Creates many records at once. Records are sent in chunks using the CreateMultiple action, or as change sets inside batches if the action is not supported.
+         * Each chunk is a transaction, so if a record fails, all records of its chunk fail. Failed requests are reported in the result instead of rejecting the promise, cancellations reject with an AbortError.
+         * @method CreateMultiple
+         * @param {Object} parameters
+         * @param {String} parameters.entityName Logical name of the entity, such as "account"
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {Array<Object>} parameters.entities Records to create
+         * @param {String} [parameters.mode] "auto" (default) for using the action and falling back to batches if not supported, "action" or "batch" for using only one of them
+         * @param {Number} [parameters.chunkSize] Number of records per action call or change set. Defaults to 100
+         * @param {Number} [parameters.concurrency] Number of chunks that are sent in parallel. Defaults to 1
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to the requests
+         * @param {AbortSignal} [parameters.signal] Signal for cancelling the requests
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>} - Resolves with results (one per record in original order, containing index, record, success, id and error), succeeded, failed and isFaulted
+         */
+        function CreateMultiple (parameters) {
+            var params = parameters || {};
+
+            ValidateRecords(Operations.Create, params);
+
+            return Execute(Operations.Create, params, params.entities);
+        }
+
+        /**
+         * @description Updates many records at once using the UpdateMultiple action, or change sets inside batches if the action is not supported. Records that don't exist are not created.
+         * Accepts the same parameters as CreateMultiple, each record has to contain its primary id.
+         * @method UpdateMultiple
+         * @param {Object} parameters
+         * @param {String} parameters.entityName Logical name of the entity, such as "account"
+         * @param {Array<Object>} parameters.entities Records to update, including their primary id attribute
+         * @param {String} [parameters.primaryIdAttribute] Primary id attribute of the entity, defaults to entityName + "id"
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>}
+         */
+        function UpdateMultiple (parameters) {
+            var params = parameters || {};
+
+            ValidateRecords(Operations.Update, params);
+
+            return Execute(Operations.Update, params, params.entities);
+        }
+
+        /**
+         * @description Creates or updates many records at once using the UpsertMultiple action, or change sets inside batches if the action is not supported.
+         * Accepts the same parameters as CreateMultiple, each record has to contain its primary id or an @odata.id with its alternate key, such as "accounts(accountnumber='1')".
+         * @method UpsertMultiple
+         * @param {Object} parameters
+         * @param {String} parameters.entityName Logical name of the entity, such as "account"
+         * @param {Array<Object>} parameters.entities Records to upsert
+         * @param {String} [parameters.primaryIdAttribute] Primary id attribute of the entity, defaults to entityName + "id"
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>}
+         */
+        function UpsertMultiple (parameters) {
+            var params = parameters || {};
+
+            ValidateRecords(Operations.Upsert, params);
+
+            return Execute(Operations.Upsert, params, params.entities);
+        }
+
+        /**
+         * @description Deletes many records at once using the DeleteMultiple action, or change sets inside batches if the action is not supported.
+         * Accepts the same parameters as CreateMultiple, but takes the ids of the records to delete instead of entities.
+         * @method DeleteMultiple
+         * @param {Object} parameters
+         * @param {String} parameters.entityName Logical name of the entity, such as "account"
+         * @param {Array<String>} parameters.entityIds IDs of the records to delete
+         * @param {String} [parameters.primaryIdAttribute] Primary id attribute of the entity, defaults to entityName + "id"
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>}
+         */
+        function DeleteMultiple (parameters) {
+            var params = parameters || {};
+
+            if (!params.entityName || !Array.isArray(params.entityIds)) {
+                throw new Error("Entity name and entity ids array have to be passed!");
+            }
+
+            return Execute(Operations.Delete, params, params.entityIds);
+        }
+
+        return {
+            CreateMultiple: CreateMultiple,
+            UpdateMultiple: UpdateMultiple,
+            UpsertMultiple: UpsertMultiple,
+            DeleteMultiple: DeleteMultiple
+        };
+    }
+
+    module.exports = CreateBulkOperations;
+} ());
@@ -1,7 +1,7 @@
 (function(undefined) {
     "use strict";
 
-    var instanceCount = 1;
+    var Multipart = require("./WebApiClient.Multipart.js");
 
     /**
      * Change sets are containers for requests inside batch requests.
@@ -10,8 +10,9 @@
      * @constructor
      * @see https://msdn.microsoft.com/en-us/library/mt607719.aspx#bkmk_ChangeSets
      * @param {Object} [parameters]
-     * @param {String} [parameters.name] The name of the change set (should be unique for this batch). Auto generated if ommitted
-     * @param {Array<Request>} [parameters.requests] Array of _POST_ requests for this change set. No get requests are allowed inside change sets. Initialized as empty array if ommitted
+     * @param {String} [parameters.name] The name of the change set (should be unique for this batch). Set to a random name in GUID format if ommitted
+     * @param {Array<Request>} [parameters.requests] Array of _POST_ requests for this change set. No get requests are allowed inside change sets. Initialized as empty array if ommitted.
+     * Requests can reference preceding requests of the change set using WebApiClient.BatchRequest.ref, such as for creating a record and its children in one transaction
      * @memberof module:WebApiClient
      */
     var ChangeSet = function (parameters) {
@@ -21,7 +22,7 @@
          * @property {String} name - Name of the change set
          * @this {ChangeSet}
          */
-        this.name = params.name || "changeset_" + instanceCount++;
+        this.name = params.name || Multipart.CreateBoundary("changeset");
 
         /**
          * @property {Array<Request>} requests - Requests included in the change set. Only non GET requests are allowed.
@@ -31,32 +32,64 @@
     };
 
     /**
-     * @description Converts current change set into a string representation for including in the batch body
+     * @description Converts current change set into its multipart body for including in the batch body, using CRLF line breaks
      * @return {String}
      * @this {ChangeSet}
      */
     ChangeSet.prototype.stringify = function () {
-        var payload = "";
+        var parts = [];
         var contentId = 1;
+        var references = {};
+        var usedIds = {};
+        var i;
 
-        for (var i = 0; i < this.requests.length; i++) {
-            payload += "--" + this.name + "\n";
+        // Content IDs have to be unique, so generated IDs skip the ones that were set by the caller
+        for (i = 0; i < this.requests.length; i++) {
+            var presetId = this.requests[i].contentId;
 
-            payload += "Content-Type: application/http\n";
-            payload += "Content-Transfer-Encoding:binary\n";
+            if (!presetId) {
+                continue;
+            }
+
+            if (usedIds.hasOwnProperty(presetId)) {
+                throw new Error("Content ID '" + presetId + "' is used by multiple requests of change set " + this.name + "!");
+            }
+
+            usedIds[presetId] = true;
+        }
 
+        for (i = 0; i < this.requests.length; i++) {
             var request = this.requests[i];
-            request.contentId = request.contentId || contentId++;
 
-            payload += request.stringify() + "\n";
+            if (!request.contentId) {
+                while (usedIds.hasOwnProperty(contentId)) {
+                    contentId++;
+                }
+
+                usedIds[contentId] = true;
+                request.contentId = contentId++;
+            }
+
+            // Only preceding requests can be referenced, so references are registered after stringifying
+            parts.push({
+                headers: [
+                    { key: "Content-Type", value: "application/http" },
+                    { key: "Content-Transfer-Encoding", value: "binary" },
+                    { key: "Content-ID", value: String(request.contentId) }
+                ],
+                body: request.stringify(references)
+            });
+
+            if (request.referenceName) {
+                if (references.hasOwnProperty(request.referenceName)) {
+                    throw new Error("Reference name '" + request.referenceName + "' is used by multiple requests of change set " + this.name + "!");
+                }
 
-            // When all requests are stringified, we need a closing changeSet tag
-            if (i === this.requests.length - 1) {
-                payload += "--" + this.name + "--\n\n";
+                references[request.referenceName] = request.contentId;
             }
         }
 
-        return payload;
+        return Multipart.Serialize(this.name, parts);
     };
 
     module.exports = ChangeSet;
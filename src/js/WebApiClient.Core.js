@@ -28,60 +28,29 @@
 
 /**
  * This is the core functionality of Xrm-WebApi-Client
- * No instantiation needed, it's a singleton.
+ * The module itself is the default client instance, further isolated instances can be created using WebApiClient.CreateClient.
  * @module WebApiClient
  */
 (function (undefined) {
     "use strict";
-    var WebApiClient = {};
 
-    var batchName = "batch_UrlLimitExeedingRequest";
+    // This is for ensuring that we use bluebird internally, so that calls to WebApiClient have no differing set of
+    // functions that can be applied to the Promise. For example Promise.finally would not be available without Bluebird.
+    var Promise = require("bluebird").noConflict();
 
-	/**
-     * @description The API version that will be used when sending requests. Default is "8.0"
-     * @param {String}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.ApiVersion = "8.0";
+    var Transports = require("./WebApiClient.Transports.js");
 
-    /**
-     * @description Checks for more pages when retrieving results. If set to true, all pages will be retrieved, if set to false, only the first page will be retrieved.
-     * @param {boolean}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.ReturnAllPages = false;
+    var Errors = require("./WebApiClient.Errors.js");
 
-    /**
-     * @description Set to true for retrieving formatted error in style 'xhr.statusText: xhr.error.Message'. If set to false, error json will be returned.
-     * @param {boolean}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.PrettifyErrors = true;
+    var FetchXml = require("./WebApiClient.FetchXml.js");
 
-    /**
-     * @description Set to false for sending all requests synchronously. True by default.
-     * @param {boolean}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.Async = true;
+    var CreateMetadata = require("./WebApiClient.Metadata.js");
 
-    /**
-     * @description Connection to use when being used in a single page app.
-     * @param {String}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.ClientUrl = null;
+    var CreateBulkOperations = require("./WebApiClient.Bulk.js");
 
-    /**
-     * @description Token to use for authenticating when being used in a single page app.
-     * @param {String}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.Token = null;
+    var CreateBatchBuilder = require("./WebApiClient.BatchBuilder.js");
 
-    // This is for ensuring that we use bluebird internally, so that calls to WebApiClient have no differing set of
-    // functions that can be applied to the Promise. For example Promise.finally would not be available without Bluebird.
-    var Promise = require("bluebird").noConflict();
+    var Multipart = require("./WebApiClient.Multipart.js");
 
     function GetCrmContext() {
         if (typeof (GetGlobalContext) !== "undefined") {
@@ -93,21 +62,6 @@
         }
     }
 
-    function GetClientUrl () {
-        var context = GetCrmContext();
-
-        if(context)
-        {
-            return context.getClientUrl();
-        }
-
-        if (WebApiClient.ClientUrl) {
-            return WebApiClient.ClientUrl;
-        }
-
-        throw new Error("Failed to retrieve client url, is ClientGlobalContext.aspx available?");
-    }
-
     function MergeResults (firstResponse, secondResponse) {
         if (!firstResponse && !secondResponse) {
             return null;
@@ -137,130 +91,12 @@
         return id.replace("{", "").replace("}", "");
     }
 
-    /**
-     * @description Builds the set name of a given entity name.
-     * @method GetSetName
-     * @param {String} entityName Logical name of the entity, such as "account"
-     * @param {String}[overriddenSetName] Override set name if it can't be infered from plural rules
-     * @memberof module:WebApiClient
-     * @return {String}
-     */
-    WebApiClient.GetSetName = function (entityName, overriddenSetName) {
-        if (overriddenSetName) {
-            return overriddenSetName;
-        }
-
-        var ending = entityName.slice(-1);
-
-        switch(ending)
-        {
-            case 's':
-                return entityName + "es";
-            case 'y':
-                return entityName.substring(0, entityName.length - 1) + "ies";
-            default:
-                return entityName + "s";
-        }
-    };
-
-    var DefaultHeaders = [
-        { key: "Accept", value: "application/json" },
-        { key: "OData-Version", value: "4.0" },
-        { key: "OData-MaxVersion", value: "4.0" },
-        // Prevent caching since it sometimes sends old data as unmodified
-        { key: "If-None-Match", value: null },
-        { key: "Content-Type", value: "application/json; charset=utf-8" }
-    ];
-
-    /**
-     * @description Returns array of default headers.
-     * @method GetDefaultHeaders
-     * @return {Array<{key: String, value:String}>}
-     * @memberof module:WebApiClient
-     */
-    WebApiClient.GetDefaultHeaders = function() {
-        return DefaultHeaders;
-    };
-
     function VerifyHeader(header) {
         if (!header.key || typeof(header.value) === "undefined") {
             throw new Error("Each request header needs a key and a value!");
         }
     }
 
-    /**
-     * @description Function for building the set name of a given entity name.
-     * @method AppendToDefaultHeaders
-     * @param {...{key:String, value:String}} var_args Headers as variable arguments
-     * @memberof module:WebApiClient
-     * @return {void}
-     */
-    WebApiClient.AppendToDefaultHeaders = function () {
-        if (!arguments.length) {
-            return;
-        }
-
-        for(var i = 0; i < arguments.length; i++) {
-            var argument = arguments[i];
-
-            VerifyHeader(argument);
-
-            DefaultHeaders.push(argument);
-        }
-    };
-
-    function AppendHeaders(xhr, headers) {
-        if (headers) {
-            for (var i = 0; i < headers.length; i++) {
-                var header = headers[i];
-
-                VerifyHeader(header);
-
-                xhr.setRequestHeader(header.key, header.value);
-            }
-        }
-    }
-
-    function GetRecordUrl (parameters) {
-        var params = parameters || {};
-
-        if ((!params.entityName && !params.overriddenSetName) || (!params.entityId && !params.alternateKey)) {
-            throw new Error("Need entity name or overridden set name and entity id or alternate key for getting record url!");
-        }
-
-        var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
-
-        if (params.alternateKey) {
-            url += BuildAlternateKeyUrl(params);
-        } else {
-            url += "(" + RemoveIdBrackets(params.entityId) + ")";
-        }
-
-        return url;
-    }
-
-    function FormatError (xhr) {
-        if (xhr && xhr.response) {
-            var json = JSON.parse(xhr.response);
-
-            if (!WebApiClient.PrettifyErrors) {
-                json.xhrStatusText = xhr.statusText;
-
-                return JSON.stringify(json);
-            } else {
-                var error = "";
-
-                if (json.error) {
-                    error = json.error.message;
-                }
-
-                return xhr.statusText + ": " + error;
-            }
-        }
-
-        return "";
-    }
-
     function GetNextLink (response) {
         return response["@odata.nextLink"];
     }
@@ -269,6 +105,15 @@
         return response["@Microsoft.Dynamics.CRM.fetchxmlpagingcookie"];
     }
 
+    function GetRecords (response) {
+        if (!response) {
+            return [];
+        }
+
+        // Single record retrieves are no collection
+        return Array.isArray(response.value) ? response.value : [response];
+    }
+
     function SetCookie (pagingCookie, parameters) {
         var unescapedCookie = unescape(pagingCookie);
 
@@ -293,11 +138,105 @@
         return serializer.serializeToString(fetchXml);
     }
 
+    function ValidateFetchXml (fetchXml) {
+        // Validation needs an XML parser, which is not available in every environment
+        if (typeof(DOMParser) === "undefined") {
+            return;
+        }
+
+        var errors = FetchXml.validate(fetchXml);
+
+        if (errors.length) {
+            throw new Error("FetchXml is invalid: " + errors.join(", ") + "!");
+        }
+    }
+
     function SetPreviousResponse (parameters, response) {
         // Set previous response
         parameters._previousResponse = response;
     }
 
+    function GetEtag (parameters) {
+        // Retrieved records contain their etag, so passing them enables the concurrency check as well
+        return parameters.etag || (parameters.entity ? parameters.entity["@odata.etag"] : undefined);
+    }
+
+    function GetConditionalHeaders (parameters) {
+        // The etag of a retrieved record is only used implicitly, if the caller did not choose a different condition
+        var etag = parameters.preventCreate || parameters.preventUpdate ? parameters.etag : GetEtag(parameters);
+
+        if (parameters.preventCreate && parameters.preventUpdate) {
+            throw new Error("preventCreate and preventUpdate can not be combined!");
+        }
+
+        if (parameters.etag && parameters.preventUpdate) {
+            throw new Error("etag and preventUpdate can not be combined!");
+        }
+
+        // Only matches if the record was not changed since it was retrieved, fails with status 412 otherwise
+        if (etag) {
+            return [{ key: "If-Match", value: etag }];
+        }
+
+        // If-Match only matches existing records, If-None-Match only missing ones
+        if (parameters.preventCreate) {
+            return [{ key: "If-Match", value: "*" }];
+        }
+
+        if (parameters.preventUpdate) {
+            return [{ key: "If-None-Match", value: "*" }];
+        }
+
+        return [];
+    }
+
+    function GetRepresentationHeaders (headers) {
+        var prefer = (headers || []).filter(function (header) {
+            return header.key.toLowerCase() === "prefer";
+        })[0];
+
+        if (prefer && /return=representation/i.test(prefer.value)) {
+            return [];
+        }
+
+        // Preferences are combined, so that other preferences such as odata.include-annotations are kept
+        return [{ key: prefer ? prefer.key : "Prefer", value: "return=representation" + (prefer ? "," + prefer.value : "") }];
+    }
+
+    function RemoveEtag (entity) {
+        if (!entity || !entity.hasOwnProperty("@odata.etag")) {
+            return entity;
+        }
+
+        var copy = {};
+
+        for (var key in entity) {
+            if (entity.hasOwnProperty(key) && key !== "@odata.etag") {
+                copy[key] = entity[key];
+            }
+        }
+
+        return copy;
+    }
+
+    function CreateNotModifiedResult (xhr, request) {
+        var ifNoneMatch = request.headers.filter(function (header) {
+            return header.key.toLowerCase() === "if-none-match";
+        })[0];
+
+        return {
+            notModified: true,
+            "@odata.etag": xhr.getResponseHeader("ETag") || (ifNoneMatch ? ifNoneMatch.value : null)
+        };
+    }
+
+    function CreateUpsertResult (status, response) {
+        return {
+            created: status === 201,
+            entity: response && typeof(response) === "object" ? response : null
+        };
+    }
+
     function MergeHeaders() {
         var headers = [];
 
@@ -334,237 +273,224 @@
         return headers;
     }
 
-    function IsBatch(responseText) {
-        return responseText && /^--batchresponse_[a-fA-F0-9\-]+$/m.test(responseText);
+    function IsBatch(xhr) {
+        var boundary = Multipart.GetBoundary(xhr.getResponseHeader("Content-Type"));
+
+        // Fall back to the default boundary of Dynamics 365 if no content type was returned
+        return boundary ? !!xhr.responseText : !!xhr.responseText && /^--batchresponse_[a-fA-F0-9\-]+\r?$/m.test(xhr.responseText);
+    }
+
+    function IsOverlengthGet (method, url) {
+        return method && method.toLowerCase() === "get" && url && url.length > 2048;
     }
 
-    function ParseResponse(xhr) {
-        var responseText = xhr.responseText;
+    function ParseErrorResponse (responseText) {
+        if (!responseText || typeof(responseText) !== "string") {
+            return null;
+        }
+
+        // Gateways and proxies might respond with HTML or plain text
+        try {
+            var json = JSON.parse(responseText);
 
-        // Check if it is a batch response
-        if (IsBatch(responseText)) {
-            return new WebApiClient.BatchResponse({
-                xhr: xhr
-            });
+            return json && typeof(json) === "object" ? json : null;
         }
-        else {
-            return JSON.parse(xhr.responseText);
+        catch (e) {
+            return null;
         }
     }
 
-    function IsOverlengthGet (method, url) {
-        return method && method.toLowerCase() === "get" && url && url.length > 2048;
+    function GetStatusText (xhr) {
+        if (!xhr) {
+            return "Network Error";
+        }
+
+        return xhr.statusText || (xhr.status ? "HTTP " + xhr.status : "Network Error");
     }
 
-    function SendAsync(method, url, payload, parameters) {
-        var xhr = new XMLHttpRequest();
+    function GetResponseHeaders (xhr) {
+        var headers = {};
 
-        var promise = new Promise(function(resolve, reject) {
-            xhr.onload = function() {
-                if(xhr.readyState !== 4) {
-                    return;
-                }
+        if (!xhr || !xhr.getAllResponseHeaders) {
+            return headers;
+        }
 
-                if(xhr.status === 200){
-                    var response = ParseResponse(xhr);
+        var lines = (xhr.getAllResponseHeaders() || "").split(/\r?\n/);
 
-                    if (response instanceof WebApiClient.BatchResponse) {
-                        // If it was an overlength fetchXml, that was sent as batch automatically, we don't want it to behave as a batch
-                        if (parameters.isOverLengthGet) {
-                            response = response.batchResponses[0].payload;
-                        }
-                        // If we received multiple responses, but not from overlength get, it was a custom batch. Just resolve all matches
-                        else {
-                            resolve(response);
-                        }
-                    }
+        for (var i = 0; i < lines.length; i++) {
+            var separator = lines[i].indexOf(":");
 
-                    var nextLink = GetNextLink(response);
-                    var pagingCookie = GetPagingCookie(response);
+            if (separator === -1) {
+                continue;
+            }
 
-                    response = MergeResults(parameters._previousResponse, response);
+            headers[lines[i].substring(0, separator).trim().toLowerCase()] = lines[i].substring(separator + 1).trim();
+        }
 
-                    // Results are paged, we don't have all results at this point
-                    if (nextLink && (WebApiClient.ReturnAllPages || parameters.returnAllPages)) {
-                        SetPreviousResponse(parameters, response);
+        return headers;
+    }
 
-                        resolve(SendAsync("GET", nextLink, null, parameters));
-                    }
-                    else if (pagingCookie && (WebApiClient.ReturnAllPages || parameters.returnAllPages)) {
-                        var nextPageFetch = SetCookie(pagingCookie, parameters);
+    function GetRemainingTime (parameters) {
+        if (!parameters._deadline) {
+            return undefined;
+        }
 
-                        SetPreviousResponse(parameters, response);
+        return Math.max(0, parameters._deadline - new Date().getTime());
+    }
 
-                        parameters.fetchXml = nextPageFetch;
+    function CreateAbortSignal (signal, timeout) {
+        var listeners = [];
+        var timer;
 
-                        resolve(WebApiClient.Retrieve(parameters));
-                    }
-                    else {
-                        resolve(response);
-                    }
-                }
-                else if (xhr.status === 201) {
-                    resolve(ParseResponse(xhr));
+        var abortSignal = {
+            aborted: false,
+            isTimeout: false,
+            addEventListener: function (type, listener) {
+                if (type === "abort") {
+                    listeners.push(listener);
                 }
-                else if (xhr.status === 204) {
-                    if (method.toLowerCase() === "post") {
-                        resolve(xhr.getResponseHeader("OData-EntityId"));
-                    }
-                    // No content returned for delete, update, ...
-                    else {
-                        resolve(xhr.statusText);
-                    }
+            },
+            removeEventListener: function (type, listener) {
+                var index = listeners.indexOf(listener);
+
+                if (index !== -1) {
+                    listeners.splice(index, 1);
                 }
-                else {
-                    reject(new Error(FormatError(xhr)));
+            },
+            dispose: function () {
+                clearTimeout(timer);
+
+                if (signal && signal.removeEventListener) {
+                    signal.removeEventListener("abort", onAbort);
                 }
-            };
-            xhr.onerror = function() {
-                reject(new Error(FormatError(xhr)));
-            };
-        });
 
-        var headers = [];
+                listeners = [];
+            }
+        };
 
-        if (IsOverlengthGet(method, url)) {
-            var batch = new WebApiClient.Batch({
-                requests: [new WebApiClient.BatchRequest({
-                    method: method,
-                    url: url,
-                    payload: payload,
-                    headers: parameters.headers
-                })],
-                async: true,
-                isOverLengthGet: true
-            });
+        function abort (isTimeout) {
+            if (abortSignal.aborted) {
+                return;
+            }
 
-            return WebApiClient.SendBatch(batch);
-        }
+            abortSignal.aborted = true;
+            abortSignal.isTimeout = isTimeout;
 
-        xhr.open(method, url, true);
+            var abortListeners = listeners;
+            abortSignal.dispose();
 
-        headers = MergeHeaders(headers, parameters.headers, DefaultHeaders);
+            for (var i = 0; i < abortListeners.length; i++) {
+                abortListeners[i]();
+            }
+        }
 
-        AppendHeaders(xhr, headers);
+        function onAbort () {
+            abort(false);
+        }
 
-        // Bugfix for IE. If payload is undefined, IE would send "undefined" as request body
-        if (payload) {
-            // For batch requests, we just want to send a string body
-            if (typeof(payload) === "string") {
-                xhr.send(payload);
+        if (signal && signal.aborted) {
+            abort(false);
+        }
+        else if (typeof(timeout) !== "undefined" && timeout <= 0) {
+            abort(true);
+        }
+        else {
+            if (signal && signal.addEventListener) {
+                signal.addEventListener("abort", onAbort);
             }
-            else {
-              xhr.send(JSON.stringify(payload));
+
+            if (typeof(timeout) !== "undefined") {
+                timer = setTimeout(function () {
+                    abort(true);
+                }, timeout);
             }
-        } else {
-            xhr.send();
         }
 
-        return promise;
+        return abortSignal;
     }
 
-    function SendSync(method, url, payload, parameters) {
-        var xhr = new XMLHttpRequest();
-        var response;
-        var headers = [];
+    function CreateAbortError (abortSignal) {
+        return abortSignal.isTimeout ? new Errors.AbortError("Request timed out", true) : new Errors.AbortError("Request was aborted", false);
+    }
 
-        if (IsOverlengthGet(method, url)) {
-            var batch = new WebApiClient.Batch({
-                requests: [new WebApiClient.BatchRequest({
-                    method: method,
-                    url: url,
-                    payload: payload,
-                    headers: parameters.headers
-                })],
-                async: false,
-                isOverLengthGet: true
+    function WithAbort (promise, abortSignal) {
+        return new Promise(function (resolve, reject) {
+            if (abortSignal.aborted) {
+                return reject(CreateAbortError(abortSignal));
+            }
+
+            abortSignal.addEventListener("abort", function () {
+                reject(CreateAbortError(abortSignal));
             });
 
-            return WebApiClient.SendBatch(batch);
-        }
+            Promise.resolve(promise).then(resolve, reject);
+        });
+    }
 
-        xhr.open(method, url, false);
+    var DefaultRetryPolicy = {
+        maxAttempts: 5,
+        baseDelay: 1000,
+        maxDelay: 60000,
+        jitter: true,
+        statusCodes: [429, 503]
+    };
 
-        headers = MergeHeaders(headers, parameters.headers, DefaultHeaders);
+    function GetRetryPolicy (policy) {
+        if (!policy) {
+            return null;
+        }
 
-        AppendHeaders(xhr, headers);
+        var retryPolicy = {};
 
-        // Bugfix for IE. If payload is undefined, IE would send "undefined" as request body
-        if (payload) {
-            // For batch requests, we just want to send a string body
-            if (typeof(payload) === "string") {
-                xhr.send(payload);
-            }
-            else {
-              xhr.send(JSON.stringify(payload));
+        for (var property in DefaultRetryPolicy) {
+            if (!DefaultRetryPolicy.hasOwnProperty(property)) {
+                continue;
             }
-        } else {
-            xhr.send();
-        }
 
-        if(xhr.readyState !== 4) {
-            return;
+            retryPolicy[property] = typeof(policy[property]) !== "undefined" ? policy[property] : DefaultRetryPolicy[property];
         }
 
-        if(xhr.status === 200){
-            response = ParseResponse(xhr);
-
-            // If we received multiple responses, it was a custom batch. Just resolve all matches
-            if (response instanceof WebApiClient.BatchResponse) {
-              // If it was an overlength fetchXml, that was sent as batch automatically, we don't want it to behave as a batch
-              if (parameters.isOverLengthGet) {
-                    response = response.batchResponses[0].payload;
-                } else {
-                    return response;
-                }
-            }
-
-            var nextLink = GetNextLink(response);
-            var pagingCookie = GetPagingCookie(response);
+        return retryPolicy;
+    }
 
-            response = MergeResults(parameters._previousResponse, response);
+    function IsRateLimitExhausted (xhr) {
+        return xhr.getResponseHeader("x-ms-ratelimit-burst-remaining-xrm-requests") === "0" ||
+            xhr.getResponseHeader("x-ms-ratelimit-time-remaining-xrm-requests") === "0";
+    }
 
-            // Results are paged, we don't have all results at this point
-            if (nextLink && (WebApiClient.ReturnAllPages || parameters.returnAllPages)) {
-                SetPreviousResponse(parameters, response);
+    function IsRetryable (xhr, retryPolicy) {
+        if (retryPolicy.statusCodes.indexOf(xhr.status) !== -1) {
+            return true;
+        }
 
-                SendSync("GET", nextLink, null, parameters);
-            }
-            else if (pagingCookie && (WebApiClient.ReturnAllPages || parameters.returnAllPages)) {
-                var nextPageFetch = SetCookie(pagingCookie, parameters);
+        return xhr.status >= 400 && IsRateLimitExhausted(xhr);
+    }
 
-                SetPreviousResponse(parameters, response);
+    function GetRetryDelay (xhr, retryPolicy, attempt) {
+        var retryAfter = xhr.getResponseHeader("Retry-After");
 
-                parameters.fetchXml = nextPageFetch;
+        if (retryAfter) {
+            // Retry-After is either passed as seconds or as HTTP date
+            var seconds = Number(retryAfter);
+            var delay = isNaN(seconds) ? Date.parse(retryAfter) - new Date().getTime() : seconds * 1000;
 
-                WebApiClient.Retrieve(parameters);
-            }
-        }
-        else if (xhr.status === 201) {
-            response = ParseResponse(xhr);
-        }
-        else if (xhr.status === 204) {
-            if (method.toLowerCase() === "post") {
-                response = xhr.getResponseHeader("OData-EntityId");
-            }
-            // No content returned for delete, update, ...
-            else {
-                response = xhr.statusText;
+            if (!isNaN(delay)) {
+                return Math.max(0, delay);
             }
         }
-        else {
-            throw new Error(FormatError(xhr));
+
+        // Limits are reset per time window, so there is no use in retrying early
+        if (IsRateLimitExhausted(xhr)) {
+            return retryPolicy.maxDelay;
         }
 
-        return response;
-    }
+        var backOff = Math.min(retryPolicy.maxDelay, retryPolicy.baseDelay * Math.pow(2, attempt - 1));
 
-    function GetAsync (parameters) {
-      if (typeof(parameters.async) !== "undefined") {
-          return parameters.async;
-      }
+        if (retryPolicy.jitter) {
+            return backOff / 2 + Math.random() * backOff / 2;
+        }
 
-      return WebApiClient.Async;
+        return backOff;
     }
 
     function BuildAlternateKeyUrl (params) {
@@ -596,371 +522,1492 @@
     }
 
     /**
-     * @description Sends request using given parameters.
-     * @method SendRequest
-     * @param {String} method Method type of request to send, such as "GET"
-     * @param {String} url Target URL for request.
-     * @param {Object} [payload] Payload for request.
-     * @param {Object} [parameters] - Parameters for sending the request
-     * @param {Boolean} [parameters.async] - True for sending async, false for sync. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] - Headers for appending to request
-     * @memberof module:WebApiClient
-     * @return {Promise<Object>|Object}
+     * @description Creates a new client instance with its own configuration, default headers and token.
+     * @param {Object} [configuration] Object with keys named after WebApiClient Members, such as "ApiVersion" or "Token"
+     * @return {Object}
      */
-    WebApiClient.SendRequest = function (method, url, payload, parameters) {
-      var params = parameters || {};
-
-      // Fallback for request headers array as fourth parameter
-      if (Array.isArray(params)) {
-          params = {
-              headers: params
-          };
-      }
-
-      if (WebApiClient.Token) {
-          params.headers = params.headers || [];
-          params.headers.push({key: "Authorization", value: "Bearer " + WebApiClient.Token});
-      }
-
-      if (params.asBatch) {
-          return new WebApiClient.BatchRequest({
-              method: method,
-              url: url,
-              payload: payload,
-              headers: params.headers
-          });
-      }
-
-      var asynchronous = GetAsync(params);
-
-      if (asynchronous) {
-          return SendAsync(method, url, payload, params);
-      } else {
-          return SendSync(method, url, payload, params);
-      }
-    };
+    function CreateClient (configuration) {
+        var WebApiClient = {};
+
+        /**
+         * @description The API version that will be used when sending requests. Default is "8.0"
+         * @param {String}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.ApiVersion = "8.0";
+
+        /**
+         * @description Checks for more pages when retrieving results. If set to true, all pages will be retrieved, if set to false, only the first page will be retrieved.
+         * @param {boolean}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.ReturnAllPages = false;
+
+        /**
+         * @description Set to true for retrieving formatted error in style 'xhr.statusText: xhr.error.Message'. If set to false, error json will be returned.
+         * @param {boolean}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.PrettifyErrors = true;
+
+        /**
+         * @description Set to false for sending all requests synchronously. True by default.
+         * @param {boolean}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.Async = true;
+
+        /**
+         * @description Connection to use when being used in a single page app. Takes precedence over the CRM context if set.
+         * @param {String}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.ClientUrl = null;
+
+        /**
+         * @description Token to use for authenticating when being used in a single page app.
+         * @param {String}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.Token = null;
+
+        /**
+         * @description Transport to use for sending requests, such as WebApiClient.Transports.Xhr (default), WebApiClient.Transports.Fetch or WebApiClient.Transports.Node.
+         * Custom transports need to implement a send function that returns a promise for a response and optionally a sendSync function.
+         * @param {Object}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.Transport = Transports.Xhr;
+
+        /**
+         * @description Retry policy for asynchronous requests that fail due to service protection limits, disabled by default.
+         * Set to an object with optional properties maxAttempts (default 5), baseDelay in ms (default 1000), maxDelay in ms (default 60000), jitter (default true) and statusCodes (default [429, 503]).
+         * The Retry-After header is honoured if present, otherwise exponential backoff is used.
+         * @param {Object}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.RetryPolicy = null;
+
+        /**
+         * @description Set to true for resolving entity set names using the EntityDefinitions metadata instead of plural rules.
+         * The set names are loaded once on first usage and cached afterwards. Defaults to false.
+         * @param {Boolean}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.ResolveSetNames = false;
+
+        /**
+         * @description Time in milliseconds for caching results of WebApiClient.Metadata. Set to 0 for disabling the cache or null for caching without expiry. Defaults to one hour.
+         * @param {Number}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.MetadataCacheTtl = 3600000;
+
+        /**
+         * @description Storage for persisting the metadata cache across page loads, such as window.sessionStorage or window.localStorage. Defaults to null, which only caches in memory.
+         * @param {Object}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.MetadataStorage = null;
+
+        // Each client caches metadata on its own
+        WebApiClient.Metadata = CreateMetadata(WebApiClient);
+
+        var BulkOperations = CreateBulkOperations(WebApiClient);
+
+        WebApiClient.CreateMultiple = BulkOperations.CreateMultiple;
+        WebApiClient.UpdateMultiple = BulkOperations.UpdateMultiple;
+        WebApiClient.UpsertMultiple = BulkOperations.UpsertMultiple;
+        WebApiClient.DeleteMultiple = BulkOperations.DeleteMultiple;
+
+        WebApiClient.BatchBuilder = CreateBatchBuilder(WebApiClient);
+
+        var Middlewares = [];
+
+        var EntitySetNames = null;
+
+        var LoadingSetNames = null;
+
+        function GetClientUrl () {
+            // An explicitly configured url wins, so that clients can connect to other organizations from within CRM
+            if (WebApiClient.ClientUrl) {
+                return WebApiClient.ClientUrl;
+            }
 
-    /**
-     * @description Applies configuration to WebApiClient.
-     * @method Configure
-     * @param {Object} configuration Object with keys named after WebApiClient Members, such as "Token"s
-     * @memberof module:WebApiClient
-     * @return {void}
-     */
-    WebApiClient.Configure = function (configuration) {
-        for (var property in configuration) {
-            if (!configuration.hasOwnProperty(property)) {
-                continue;
+            var context = GetCrmContext();
+
+            if(context)
+            {
+                return context.getClientUrl();
             }
 
-            WebApiClient[property] = configuration[property];
+            throw new Error("Failed to retrieve client url, is ClientGlobalContext.aspx available?");
         }
-    };
 
-    /**
-     * @description Gets the current base API url that is used.
-     * @method GetApiUrl
-     * @memberof module:WebApiClient
-     * @return {String}
-     */
-    WebApiClient.GetApiUrl = function() {
-        return GetClientUrl() + "/api/data/v" + WebApiClient.ApiVersion + "/";
-    };
+        /**
+         * @description Builds the set name of a given entity name.
+         * If entity set names were loaded using WebApiClient.LoadSetNames, the set name from metadata is used, otherwise it is infered from plural rules.
+         * @method GetSetName
+         * @param {String} entityName Logical name of the entity, such as "account"
+         * @param {String}[overriddenSetName] Override set name if it can't be infered from plural rules
+         * @memberof module:WebApiClient
+         * @return {String}
+         */
+        WebApiClient.GetSetName = function (entityName, overriddenSetName) {
+            if (overriddenSetName) {
+                return overriddenSetName;
+            }
 
-    /**
-     * @description Creates a given record in CRM.
-     * @method Create
-     * @param {Object} parameters Parameters for creating record
-     * @param {String} parameters.entityName Entity name of record that should be created
-     * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {Object} parameters.entity Object containing record data
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<String>|Promise<object>|String|Object} - Returns Promise<Object> if return=representation header is set, otherwise Promise<String>. Just Object or String if sent synchronously.
-     */
-    WebApiClient.Create = function(parameters) {
-        var params = parameters || {};
+            if (EntitySetNames && EntitySetNames.hasOwnProperty(entityName.toLowerCase())) {
+                return EntitySetNames[entityName.toLowerCase()];
+            }
 
-        if ((!params.entityName && !params.overriddenSetName) || !params.entity) {
-            throw new Error("Entity name and entity object have to be passed!");
-        }
+            var ending = entityName.slice(-1);
 
-        var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
+            switch(ending)
+            {
+                case 's':
+                    return entityName + "es";
+                case 'y':
+                    return entityName.substring(0, entityName.length - 1) + "ies";
+                default:
+                    return entityName + "s";
+            }
+        };
+
+        var DefaultHeaders = [
+            { key: "Accept", value: "application/json" },
+            { key: "OData-Version", value: "4.0" },
+            { key: "OData-MaxVersion", value: "4.0" },
+            // Prevent caching since it sometimes sends old data as unmodified
+            { key: "If-None-Match", value: null },
+            { key: "Content-Type", value: "application/json; charset=utf-8" }
+        ];
+
+        /**
+         * @description Returns array of default headers.
+         * @method GetDefaultHeaders
+         * @return {Array<{key: String, value:String}>}
+         * @memberof module:WebApiClient
+         */
+        WebApiClient.GetDefaultHeaders = function() {
+            return DefaultHeaders;
+        };
+
+        /**
+         * @description Function for building the set name of a given entity name.
+         * @method AppendToDefaultHeaders
+         * @param {...{key:String, value:String}} var_args Headers as variable arguments
+         * @memberof module:WebApiClient
+         * @return {void}
+         */
+        WebApiClient.AppendToDefaultHeaders = function () {
+            if (!arguments.length) {
+                return;
+            }
 
-        return WebApiClient.SendRequest("POST", url, params.entity, params);
-    };
+            for(var i = 0; i < arguments.length; i++) {
+                var argument = arguments[i];
 
-    /**
-     * @description Retrieves records from CRM
-     * @method Retrieve
-     * @param {Object} parameters Parameters for retrieving records
-     * @param {String} parameters.entityName Entity name of records that should be retrieved
-     * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} [parameters.queryParams] Query Parameters to append to URL, such as ?$select=*
-     * @param {String} [parameters.fetchXml] Fetch XML query
-     * @param {String} [parameters.entityId] ID of entity to retrieve, will return single record
-     * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for retrieving single record
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<object>|Object} - Returns Promise<Object> if asyncj, just Object if sent synchronously.
-     */
-    WebApiClient.Retrieve = function(parameters) {
-        var params = parameters || {};
+                VerifyHeader(argument);
+
+                DefaultHeaders.push(argument);
+            }
+        };
+
+        /**
+         * @description Registers a middleware, that is applied to every request sent by this client, including batches and automatic paging requests.
+         * Middlewares are objects with optional request, response and error functions, which are called in order of registration.
+         * request(request) can inspect and modify method, url, payload and headers of the outgoing request.
+         * response(response, request) can inspect or transform the parsed response.
+         * error(error, request) can inspect errors, rethrow them, or return a value for resolving the request with it.
+         * Hooks that return nothing keep the current value, hooks of asynchronous requests may return promises.
+         * Passing a function registers it as request hook.
+         * @method Use
+         * @param {Object|Function} middleware Middleware to register
+         * @memberof module:WebApiClient
+         * @return {void}
+         */
+        WebApiClient.Use = function (middleware) {
+            if (typeof(middleware) === "function") {
+                middleware = { request: middleware };
+            }
+
+            if (!middleware || typeof(middleware) !== "object") {
+                throw new Error("Middleware has to be a function or an object with request, response or error functions!");
+            }
+
+            Middlewares.push(middleware);
+        };
+
+        function StoreSetNames (response) {
+            var setNames = {};
+            var definitions = response.value || [];
+
+            for (var i = 0; i < definitions.length; i++) {
+                setNames[definitions[i].LogicalName] = definitions[i].EntitySetName;
+            }
+
+            EntitySetNames = setNames;
 
-        if (!params.entityName && !params.overriddenSetName) {
-            throw new Error("Entity name has to be passed!");
+            return setNames;
         }
 
-        var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
+        function WithSetNames (parameters, send) {
+            if (!WebApiClient.ResolveSetNames || EntitySetNames) {
+                return send();
+            }
+
+            if (parameters.asBatch) {
+                throw new Error("Entity set names have to be loaded using WebApiClient.LoadSetNames before creating batch requests!");
+            }
+
+            if (GetAsync(parameters)) {
+                return WebApiClient.LoadSetNames()
+                .then(function() {
+                    return send();
+                });
+            }
+
+            WebApiClient.LoadSetNames({ async: false });
 
-        if (params.entityId) {
-            url += "(" + RemoveIdBrackets(params.entityId) + ")";
+            return send();
         }
-        else if (params.fetchXml) {
-        	  url += "?fetchXml=" + escape(params.fetchXml);
+
+        function GetRecordUrl (parameters) {
+            var params = parameters || {};
+
+            if ((!params.entityName && !params.overriddenSetName) || (!params.entityId && !params.alternateKey)) {
+                throw new Error("Need entity name or overridden set name and entity id or alternate key for getting record url!");
+            }
+
+            var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
+
+            if (params.alternateKey) {
+                url += BuildAlternateKeyUrl(params);
+            } else {
+                url += "(" + RemoveIdBrackets(params.entityId) + ")";
+            }
+
+            return url;
         }
-        else if (params.alternateKey) {
-            url += BuildAlternateKeyUrl(params);
+
+        function FormatError (xhr, json) {
+            var statusText = GetStatusText(xhr);
+
+            if (!json) {
+                return statusText;
+            }
+
+            if (!WebApiClient.PrettifyErrors) {
+                json.xhrStatusText = statusText;
+
+                return JSON.stringify(json);
+            } else {
+                var error = "";
+
+                if (json.error) {
+                    error = json.error.message;
+                }
+
+                return statusText + ": " + error;
+            }
         }
 
-        if (params.queryParams) {
-            url += params.queryParams;
+        function CreateError (xhr, request) {
+            var responseText = xhr ? xhr.responseText || xhr.response : undefined;
+            var json = ParseErrorResponse(responseText);
+            var error = json && json.error ? json.error : {};
+
+            return Errors.CreateWebApiError({
+                message: FormatError(xhr, json),
+                status: xhr ? xhr.status : 0,
+                statusText: xhr ? xhr.statusText : "",
+                code: error.code,
+                innererror: error.innererror,
+                method: request.method,
+                url: request.url,
+                headers: GetResponseHeaders(xhr),
+                responseText: typeof(responseText) === "string" ? responseText : undefined
+            });
         }
 
-        return WebApiClient.SendRequest("GET", url, null, params);
-    };
+        function ParseResponse(xhr) {
+            var responseText = xhr.responseText;
 
-    /**
-     * @description Updates a given record in CRM.
-     * @method Update
-     * @param {Object} parameters Parameters for updating record
-     * @param {String} parameters.entityName Entity name of records that should be updated
-     * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} [parameters.entityId] ID of entity to update
-     * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for updating record
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<String>|Promise<object>|String|Object} - Returns Promise<Object> if return=representation header is set, otherwise Promise<String>. Just Object or String if sent synchronously.
-     */
-    WebApiClient.Update = function(parameters) {
-        var params = parameters || {};
+            // Check if it is a batch response
+            if (IsBatch(xhr)) {
+                return new WebApiClient.BatchResponse({
+                    xhr: xhr
+                });
+            }
+            // XML documents such as $metadata are returned as text
+            else if (/xml/i.test(xhr.getResponseHeader("Content-Type") || "")) {
+                return responseText;
+            }
+            else {
+                return JSON.parse(xhr.responseText);
+            }
+        }
 
-        if (!params.entity) {
-            throw new Error("Update object has to be passed!");
+        function GetTransport () {
+            return WebApiClient.Transport || Transports.Xhr;
         }
 
-        var url = GetRecordUrl(params);
+        function BuildRequest (method, url, payload, parameters) {
+            return {
+                method: method,
+                url: url,
+                payload: payload,
+                headers: MergeHeaders([], parameters.headers, DefaultHeaders)
+            };
+        }
 
-        return WebApiClient.SendRequest("PATCH", url, params.entity, params);
-    };
+        function SerializeRequest (request, abortSignal) {
+            var body;
 
-    /**
-     * @description Deletes a given record in CRM.
-     * @method Delete
-     * @param {Object} parameters Parameters for deleting record
-     * @param {String} parameters.entityName Entity name of records that should be deleted
-     * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} [parameters.entityId] ID of entity to delete
-     * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for deleting record
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
-     */
-    WebApiClient.Delete = function(parameters) {
-        var params = parameters || {};
-        var url = GetRecordUrl(params);
+            if (request.payload) {
+                // For batch requests, we just want to send a string body
+                body = typeof(request.payload) === "string" ? request.payload : JSON.stringify(request.payload);
+            }
 
-        if (params.queryParams) {
-            url += params.queryParams;
+            return {
+                method: request.method,
+                url: request.url,
+                payload: body,
+                headers: request.headers,
+                signal: abortSignal
+            };
         }
 
-        return WebApiClient.SendRequest("DELETE", url, null, params);
-    };
+        function InvokeMiddleware (hook, request) {
+            return function (value) {
+                var result = hook(value, request);
 
-    /**
-     * @description Associates given records in CRM.
-     * @method Associate
-     * @param {Object} parameters Parameters for associating records
-     * @param {String} parameters.relationShip Name of relation ship to use for associating
-     * @param {Object} parameters.source Source entity for disassociating
-     * @param {String} [parameters.source.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} parameters.source.entityId ID of entity
-     * @param {String} parameters.source.entityName Logical name of entity, such as "account"
-     * @param {Object} parameters.target Target entity for disassociating
-     * @param {String} [parameters.target.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} parameters.target.entityId ID of entity
-     * @param {String} parameters.target.entityName Logical name of entity, such as "account"
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
-     */
-    WebApiClient.Associate = function(parameters) {
-        var params = parameters || {};
+                // Middlewares that only inspect values don't need to return anything
+                return typeof(result) === "undefined" ? value : result;
+            };
+        }
+
+        function InvokeErrorMiddleware (hook, request) {
+            return function (error) {
+                var result = hook(error, request);
 
-        if (!params.relationShip) {
-            throw new Error("Relationship has to be passed!");
+                // Returning nothing passes the error on, returning a value resolves the request with it
+                if (typeof(result) === "undefined") {
+                    throw error;
+                }
+
+                return result;
+            };
         }
 
-        if (!params.source || !params.target) {
-            throw new Error("Source and target have to be passed!");
+        function RunMiddlewares (hookName, value, request, async) {
+            var result = async ? Promise.resolve(value) : value;
+
+            for (var i = 0; i < Middlewares.length; i++) {
+                var hook = Middlewares[i][hookName];
+
+                if (typeof(hook) !== "function") {
+                    continue;
+                }
+
+                if (async) {
+                    result = result.then(InvokeMiddleware(hook, request));
+                } else {
+                    result = InvokeMiddleware(hook, request)(result);
+                }
+            }
+
+            return result;
         }
 
-        var targetUrl = GetRecordUrl(params.target);
-        var relationShip = "/" + params.relationShip + "/$ref";
+        function RunErrorMiddlewares (error, request, async) {
+            var result = async ? Promise.reject(error) : undefined;
+            var currentError = error;
 
-        var url = targetUrl + relationShip;
+            for (var i = 0; i < Middlewares.length; i++) {
+                var hook = Middlewares[i].error;
 
-        var payload = { "@odata.id": GetRecordUrl(params.source) };
+                if (typeof(hook) !== "function") {
+                    continue;
+                }
 
-        return WebApiClient.SendRequest("POST", url, payload, params);
-    };
+                if (async) {
+                    result = result.catch(InvokeErrorMiddleware(hook, request));
+                    continue;
+                }
 
-    /**
-     * @description Disassociates given records in CRM.
-     * @method Disassociate
-     * @param {Object} parameters Parameters for disassociating records
-     * @param {String} parameters.relationShip Name of relation ship to use for disassociating
-     * @param {Object} parameters.source Source entity for disassociating
-     * @param {String} [parameters.source.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} parameters.source.entityId ID of entity
-     * @param {String} parameters.source.entityName Logical name of entity, such as "account"
-     * @param {Object} parameters.target Target entity for disassociating
-     * @param {String} [parameters.target.overriddenSetName] Plural name of entity, if not according to plural rules
-     * @param {String} parameters.target.entityId ID of entity
-     * @param {String} parameters.target.entityName Logical name of entity, such as "account"
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
-     */
-    WebApiClient.Disassociate = function(parameters) {
-        var params = parameters || {};
+                try {
+                    return InvokeErrorMiddleware(hook, request)(currentError);
+                }
+                catch (e) {
+                    currentError = e;
+                }
+            }
+
+            if (async) {
+                return result;
+            }
 
-        if (!params.relationShip) {
-            throw new Error("Relationship has to be passed!");
+            throw currentError;
         }
 
-        if (!params.source || !params.target) {
-            throw new Error("Source and target have to be passed!");
+        function GetResult (xhr, request) {
+            if (xhr.status === 200 || xhr.status === 201) {
+                return ParseResponse(xhr);
+            }
+            else if (xhr.status === 204) {
+                if (request.method.toLowerCase() === "post") {
+                    return xhr.getResponseHeader("OData-EntityId");
+                }
+                // No content returned for delete, update, ...
+                else {
+                    return xhr.statusText;
+                }
+            }
+            // Conditional retrieves return no content if the record was not modified
+            else if (xhr.status === 304) {
+                return CreateNotModifiedResult(xhr, request);
+            }
+            else {
+                throw CreateError(xhr, request);
+            }
         }
 
-        if (!params.source.entityId) {
-            throw new Error("Source needs entityId set!");
+        function SendOverlengthGet (method, url, payload, parameters, async) {
+            var batch = new WebApiClient.Batch({
+                requests: [new WebApiClient.BatchRequest({
+                    method: method,
+                    url: url,
+                    payload: payload,
+                    headers: parameters.headers
+                })],
+                async: async,
+                isOverLengthGet: true,
+                signal: parameters.signal,
+                timeout: GetRemainingTime(parameters)
+            });
+
+            return WebApiClient.SendBatch(batch);
         }
 
-        var targetUrl = GetRecordUrl(params.target);
-        var relationShip = "/" + params.relationShip + "(" + RemoveIdBrackets(params.source.entityId) + ")/$ref";
+        function SendWithRetry (request, retryPolicy, attempt) {
+            if (request.signal.aborted) {
+                return Promise.reject(CreateAbortError(request.signal));
+            }
 
-        var url = targetUrl + relationShip;
+            return WithAbort(GetTransport().send(request), request.signal)
+            .then(function(xhr) {
+                if (!retryPolicy || attempt >= retryPolicy.maxAttempts || !IsRetryable(xhr, retryPolicy)) {
+                    return xhr;
+                }
 
-        return WebApiClient.SendRequest("DELETE", url, null, params);
-    };
+                return WithAbort(Promise.delay(GetRetryDelay(xhr, retryPolicy, attempt)), request.signal)
+                .then(function() {
+                    return SendWithRetry(request, retryPolicy, attempt + 1);
+                });
+            });
+        }
 
-    /**
-     * @description Executes the given request in CRM.
-     * @method Execute
-     * @param {Object} request Request to send, must be in prototype chain of WebApiClient.Requests.Request.
-     * @param {Boolean} [request.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [request.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously.
-     */
-    WebApiClient.Execute = function(request) {
-        if (!request) {
-            throw new Error("You need to pass a request!");
+        function SendAsync(method, url, payload, parameters) {
+            if (IsOverlengthGet(method, url)) {
+                return SendOverlengthGet(method, url, payload, parameters, true);
+            }
+
+            var status;
+            var abortSignal = CreateAbortSignal(parameters.signal, GetRemainingTime(parameters));
+
+            return RunMiddlewares("request", BuildRequest(method, url, payload, parameters), undefined, true)
+            .then(function(request) {
+                var retryPolicy = GetRetryPolicy(parameters.retryPolicy || WebApiClient.RetryPolicy);
+
+                return SendWithRetry(SerializeRequest(request, abortSignal), retryPolicy, 1)
+                .then(function(xhr) {
+                    status = xhr.status;
+
+                    if (parameters._onStatus) {
+                        parameters._onStatus(status);
+                    }
+
+                    return GetResult(xhr, request);
+                }, function(xhr) {
+                    if (xhr instanceof Error) {
+                        throw xhr;
+                    }
+
+                    throw CreateError(xhr, request);
+                })
+                .then(function(response) {
+                    return RunMiddlewares("response", response, request, true);
+                }, function(error) {
+                    return RunErrorMiddlewares(error, request, true);
+                });
+            })
+            .finally(abortSignal.dispose)
+            .then(function(response) {
+                if (status !== 200) {
+                    return response;
+                }
+
+                if (response instanceof WebApiClient.BatchResponse) {
+                    // If it was an overlength fetchXml, that was sent as batch automatically, we don't want it to behave as a batch
+                    if (parameters.isOverLengthGet) {
+                        response = response.batchResponses[0].payload;
+                    }
+                    // If we received multiple responses, but not from overlength get, it was a custom batch. Just resolve all matches
+                    else {
+                        return response;
+                    }
+                }
+
+                var nextLink = GetNextLink(response);
+                var pagingCookie = GetPagingCookie(response);
+
+                response = MergeResults(parameters._previousResponse, response);
+
+                // Results are paged, we don't have all results at this point
+                if (nextLink && ReturnAllPages(parameters)) {
+                    SetPreviousResponse(parameters, response);
+
+                    return SendAsync("GET", nextLink, null, parameters);
+                }
+                else if (pagingCookie && ReturnAllPages(parameters)) {
+                    var nextPageFetch = SetCookie(pagingCookie, parameters);
+
+                    SetPreviousResponse(parameters, response);
+
+                    parameters.fetchXml = nextPageFetch;
+
+                    return WebApiClient.Retrieve(parameters);
+                }
+                else {
+                    return response;
+                }
+            });
         }
 
-        if (!(request instanceof WebApiClient.Requests.Request)) {
-            throw new Error("Request for execution must be in prototype chain of WebApiClient.Request");
+        function SendSync(method, url, payload, parameters) {
+            var response;
+
+            if (IsOverlengthGet(method, url)) {
+                return SendOverlengthGet(method, url, payload, parameters, false);
+            }
+
+            var transport = GetTransport();
+
+            if (!transport.sendSync) {
+                throw new Error("The configured transport does not support synchronous requests!");
+            }
+
+            if (parameters.signal && parameters.signal.aborted) {
+                throw new Errors.AbortError("Request was aborted", false);
+            }
+
+            var request = RunMiddlewares("request", BuildRequest(method, url, payload, parameters), undefined, false);
+            var xhr = transport.sendSync(SerializeRequest(request));
+
+            if(xhr.readyState !== 4) {
+                return;
+            }
+
+            if (parameters._onStatus) {
+                parameters._onStatus(xhr.status);
+            }
+
+            try {
+                response = RunMiddlewares("response", GetResult(xhr, request), request, false);
+            }
+            catch (error) {
+                return RunErrorMiddlewares(error, request, false);
+            }
+
+            if(xhr.status === 200){
+                // If we received multiple responses, it was a custom batch. Just resolve all matches
+                if (response instanceof WebApiClient.BatchResponse) {
+                  // If it was an overlength fetchXml, that was sent as batch automatically, we don't want it to behave as a batch
+                  if (parameters.isOverLengthGet) {
+                        response = response.batchResponses[0].payload;
+                    } else {
+                        return response;
+                    }
+                }
+
+                var nextLink = GetNextLink(response);
+                var pagingCookie = GetPagingCookie(response);
+
+                response = MergeResults(parameters._previousResponse, response);
+
+                // Results are paged, we don't have all results at this point
+                if (nextLink && ReturnAllPages(parameters)) {
+                    SetPreviousResponse(parameters, response);
+
+                    SendSync("GET", nextLink, null, parameters);
+                }
+                else if (pagingCookie && ReturnAllPages(parameters)) {
+                    var nextPageFetch = SetCookie(pagingCookie, parameters);
+
+                    SetPreviousResponse(parameters, response);
+
+                    parameters.fetchXml = nextPageFetch;
+
+                    WebApiClient.Retrieve(parameters);
+                }
+            }
+
+            return response;
         }
 
-        return WebApiClient.SendRequest(request.method, request.buildUrl(), request.payload, request);
-    };
+        function ReturnAllPages (parameters) {
+            // Iterators request each page on their own
+            if (parameters._singlePage) {
+                return false;
+            }
 
-    /**
-     * @description Sends the given batch to CRM.
-     * @method SendBatch
-     * @param {Object} batch Batch to send to CRM
-     * @param {Boolean} [batch.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [batch.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously.
-     */
-    WebApiClient.SendBatch = function(batch) {
-        if (!batch) {
-            throw new Error("You need to pass a batch!");
+            return WebApiClient.ReturnAllPages || parameters.returnAllPages;
         }
 
-        if (!(batch instanceof WebApiClient.Batch)) {
-            throw new Error("Batch for execution must be a WebApiClient.Batch object");
+        function CreatePageReader (parameters) {
+            var pageParameters = {};
+            var recordCount = 0;
+            var started = false;
+            var nextLink;
+            var pagingCookie;
+
+            for (var property in parameters) {
+                if (parameters.hasOwnProperty(property)) {
+                    pageParameters[property] = parameters[property];
+                }
+            }
+
+            pageParameters.async = true;
+            pageParameters._singlePage = true;
+            delete pageParameters.onPage;
+
+            return function () {
+                var request;
+
+                if (typeof(parameters.maxRecords) !== "undefined" && recordCount >= parameters.maxRecords) {
+                    return Promise.resolve(null);
+                }
+
+                if (!started) {
+                    started = true;
+                    request = WebApiClient.Retrieve(pageParameters);
+                }
+                else if (nextLink) {
+                    request = WebApiClient.SendRequest("GET", nextLink, null, pageParameters);
+                }
+                else if (pagingCookie) {
+                    pageParameters.fetchXml = SetCookie(pagingCookie, pageParameters);
+                    request = WebApiClient.Retrieve(pageParameters);
+                }
+                else {
+                    return Promise.resolve(null);
+                }
+
+                return Promise.resolve(request)
+                .then(function(page) {
+                    nextLink = GetNextLink(page);
+                    pagingCookie = page["@Microsoft.Dynamics.CRM.morerecords"] === false ? undefined : GetPagingCookie(page);
+
+                    var records = GetRecords(page);
+
+                    if (typeof(parameters.maxRecords) !== "undefined" && recordCount + records.length > parameters.maxRecords) {
+                        records = records.slice(0, parameters.maxRecords - recordCount);
+
+                        if (Array.isArray(page.value)) {
+                            page.value = records;
+                        }
+                    }
+
+                    recordCount += records.length;
+
+                    return page;
+                });
+            };
         }
 
-        var url = WebApiClient.GetApiUrl() + "$batch";
+        function ReadAllPages (parameters) {
+            var readPage = CreatePageReader(parameters);
+            var pageCount = 0;
+            var recordCount = 0;
 
-        batch.headers = batch.headers || [];
-        batch.headers.push({key: "Content-Type", value: "multipart/mixed;boundary=" + batch.name});
+            function ReadNextPage () {
+                return readPage()
+                .then(function(page) {
+                    if (!page) {
+                        return;
+                    }
 
-        var payload = batch.buildPayload();
+                    pageCount++;
+                    recordCount += GetRecords(page).length;
 
-        return WebApiClient.SendRequest("POST", url, payload, batch);
-    };
+                    return Promise.resolve(parameters.onPage(page, pageCount))
+                    .then(function(result) {
+                        if (result !== false) {
+                            return ReadNextPage();
+                        }
+                    });
+                });
+            }
 
-    /**
-     * @description Expands all odata.nextLink (deferred) properties for an array of records.
-     * @method Expand
-     * @param {Object} parameters Configuration for expanding
-     * @param {Array<Object>} parameters.records Array of records to expand
-     * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
-     * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
-     * @memberof module:WebApiClient
-     * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously.
-     */
-    WebApiClient.Expand = function (parameters) {
-    /// <summary>Expands all odata.nextLink / deferred properties for an array of records</summary>
-    /// <param name="parameters" type="Object">Object that contains 'records' array or object. Optional 'headers'.</param>
-    /// <returns>Promise for sent request or result if sync.</returns>
-        var params = parameters || {};
-        var records = params.records;
+            return ReadNextPage()
+            .then(function() {
+                return {
+                    pageCount: pageCount,
+                    recordCount: recordCount
+                };
+            });
+        }
 
-        var requests = [];
-        var asynchronous = GetAsync(parameters);
+        function GetAsync (parameters) {
+          if (typeof(parameters.async) !== "undefined") {
+              return parameters.async;
+          }
 
-        for (var i = 0; i < records.length; i++) {
-            var record = records[i];
+          return WebApiClient.Async;
+        }
 
-            for (var attribute in record) {
-                if (!record.hasOwnProperty(attribute)) {
+        /**
+         * @description Sends request using given parameters.
+         * @method SendRequest
+         * @param {String} method Method type of request to send, such as "GET"
+         * @param {String} url Target URL for request.
+         * @param {Object} [payload] Payload for request.
+         * @param {Object} [parameters] - Parameters for sending the request
+         * @param {Boolean} [parameters.async] - True for sending async, false for sync. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] - Headers for appending to request
+         * @param {Object} [parameters.retryPolicy] - Retry policy for this request, overrides WebApiClient.RetryPolicy
+         * @param {Number} [parameters.timeout] - Timeout in milliseconds for the whole operation including retries and paging. Only supported for async requests.
+         * @param {AbortSignal} [parameters.signal] - Signal for cancelling the request, for example from an AbortController
+         * @param {Boolean} [parameters.asBatch] - True for returning a WebApiClient.BatchRequest instead of sending the request
+         * @param {String} [parameters.referenceName] - Name of the returned batch request, for referencing it from later requests of its change set using WebApiClient.BatchRequest.ref
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>|Object}
+         */
+        WebApiClient.SendRequest = function (method, url, payload, parameters) {
+          // Fallback for request headers array as fourth parameter
+          var params = Array.isArray(parameters) ? { headers: parameters } : parameters || {};
+
+          // Authorization header and deadline are only set on a copy, so that the caller's parameters stay untouched
+          params = Object.create(params);
+
+          if (WebApiClient.Token) {
+              params.headers = MergeHeaders(params.headers, [{key: "Authorization", value: "Bearer " + WebApiClient.Token}]);
+          }
+
+          if (params.asBatch) {
+              return new WebApiClient.BatchRequest({
+                  method: method,
+                  url: url,
+                  payload: payload,
+                  headers: params.headers,
+                  referenceName: params.referenceName
+              });
+          }
+
+          var asynchronous = GetAsync(params);
+
+          if (asynchronous) {
+              // Paging requests derive from the initial parameters, so the deadline is only set by the initial request
+              if (params.timeout && !params._deadline) {
+                  params._deadline = new Date().getTime() + params.timeout;
+              }
+
+              return SendAsync(method, url, payload, params);
+          } else {
+              return SendSync(method, url, payload, params);
+          }
+        };
+
+        /**
+         * @description Applies configuration to WebApiClient.
+         * @method Configure
+         * @param {Object} configuration Object with keys named after WebApiClient Members, such as "Token"s
+         * @memberof module:WebApiClient
+         * @return {void}
+         */
+        WebApiClient.Configure = function (configuration) {
+            for (var property in configuration) {
+                if (!configuration.hasOwnProperty(property)) {
                     continue;
                 }
 
-                var name = attribute.replace("@odata.nextLink", "");
+                WebApiClient[property] = configuration[property];
+            }
+        };
+
+        /**
+         * @description Gets the current base API url that is used.
+         * @method GetApiUrl
+         * @memberof module:WebApiClient
+         * @return {String}
+         */
+        WebApiClient.GetApiUrl = function() {
+            return GetClientUrl() + "/api/data/v" + WebApiClient.ApiVersion + "/";
+        };
+
+        /**
+         * @description Creates a given record in CRM.
+         * @method Create
+         * @param {Object} parameters Parameters for creating record
+         * @param {String} parameters.entityName Entity name of record that should be created
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {Object} parameters.entity Object containing record data
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<String>|Promise<object>|String|Object} - Returns Promise<Object> if return=representation header is set, otherwise Promise<String>. Just Object or String if sent synchronously.
+         */
+        WebApiClient.Create = function(parameters) {
+            var params = parameters || {};
+
+            if ((!params.entityName && !params.overriddenSetName) || !params.entity) {
+                throw new Error("Entity name and entity object have to be passed!");
+            }
+
+            return WithSetNames(params, function() {
+                var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
 
-                // If nothing changed, this was not a deferred attribute
-                if (!name || name === attribute) {
-                    continue;
+                return WebApiClient.SendRequest("POST", url, params.entity, params);
+            });
+        };
+
+        /**
+         * @description Retrieves records from CRM
+         * @method Retrieve
+         * @param {Object} parameters Parameters for retrieving records
+         * @param {String} parameters.entityName Entity name of records that should be retrieved
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} [parameters.queryParams] Query Parameters to append to URL, such as ?$select=*
+         * @param {Query} [parameters.query] Query built using WebApiClient.Query, alternative to queryParams
+         * @param {String|FetchXml} [parameters.fetchXml] Fetch XML query, either as string or built using WebApiClient.FetchXml
+         * @param {Boolean} [parameters.validateFetchXml] True for validating the fetchXml using WebApiClient.FetchXml.validate before sending, if DOMParser is available. Throws if it is invalid
+         * @param {String} [parameters.entityId] ID of entity to retrieve, will return single record
+         * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for retrieving single record
+         * @param {String} [parameters.etag] Etag of a previously retrieved version of the single record. Sends If-None-Match, returns { notModified: true } if the record was not changed since
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @param {Function} [parameters.onPage] Callback that receives each page as soon as it arrives, instead of merging all pages. Pages are requested until the callback returns false or all records were retrieved. Only for async requests, resolves with pageCount and recordCount
+         * @param {Number} [parameters.maxRecords] Maximum number of records to pass to onPage
+         * @memberof module:WebApiClient
+         * @return {Promise<object>|Object} - Returns Promise<Object> if asyncj, just Object if sent synchronously.
+         */
+        WebApiClient.Retrieve = function(parameters) {
+            var params = parameters || {};
+
+            if (params.onPage) {
+                return ReadAllPages(params);
+            }
+
+            if (params.fetchXml instanceof FetchXml) {
+                params.entityName = params.entityName || params.fetchXml.name;
+                params.fetchXml = params.fetchXml.build();
+            }
+
+            if (!params.entityName && !params.overriddenSetName) {
+                throw new Error("Entity name has to be passed!");
+            }
+
+            if (params.fetchXml && !params.entityId && params.validateFetchXml) {
+                ValidateFetchXml(params.fetchXml);
+            }
+
+            if (params.etag && !params.entityId && !params.alternateKey) {
+                throw new Error("Etag can only be passed for retrieving single records!");
+            }
+
+            return WithSetNames(params, function() {
+                var url = WebApiClient.GetApiUrl() + WebApiClient.GetSetName(params.entityName, params.overriddenSetName);
+                var retrieveParams = params;
+
+                if (params.etag) {
+                    retrieveParams = Object.create(params);
+                    retrieveParams.headers = MergeHeaders(params.headers, [{ key: "If-None-Match", value: params.etag }]);
+                }
+
+                if (params.entityId) {
+                    url += "(" + RemoveIdBrackets(params.entityId) + ")";
+                }
+                else if (params.fetchXml) {
+                	  url += "?fetchXml=" + escape(params.fetchXml);
+                }
+                else if (params.alternateKey) {
+                    url += BuildAlternateKeyUrl(params);
+                }
+
+                if (params.queryParams) {
+                    url += params.queryParams;
                 }
 
-                record[name] = WebApiClient.SendRequest("GET", record[attribute], null, params);
+                if (params.query) {
+                    var query = params.query.build ? params.query.build() : String(params.query);
 
-                // Delete @odata.nextLink property
-                delete record[attribute];
+                    // Query options have to be appended if url already contains a query string, for example for fetchXml
+                    if (query && url.indexOf("?") !== -1) {
+                        query = "&" + query.substring(1);
+                    }
+
+                    url += query;
+                }
+
+                return WebApiClient.SendRequest("GET", url, null, retrieveParams);
+            });
+        };
+
+        /**
+         * @description Creates an async iterator, that retrieves records page by page, without keeping previous pages in memory.
+         * Supports paging using @odata.nextLink as well as fetchXml paging cookies.
+         * Use it with for await...of or call next() manually, which returns a promise resolving to {done, value}.
+         * If a page fails, next() rejects with its error, and keeps rejecting with it on further calls.
+         * @method RetrieveIterator
+         * @param {Object} parameters Parameters for retrieving records, same as for WebApiClient.Retrieve
+         * @param {Boolean} [parameters.yieldRecords] True for yielding single records instead of pages
+         * @param {Number} [parameters.maxRecords] Maximum number of records to yield, no further pages will be requested once it is reached
+         * @memberof module:WebApiClient
+         * @return {Object} - Async iterator
+         */
+        WebApiClient.RetrieveIterator = function(parameters) {
+            var params = parameters || {};
+            var readPage = CreatePageReader(params);
+            var records = [];
+            var finished = false;
+            var failure = null;
+            var pending = Promise.resolve();
+
+            function Next () {
+                if (records.length) {
+                    return { done: false, value: records.shift() };
+                }
+
+                if (finished) {
+                    return { done: true, value: undefined };
+                }
+
+                // Paging can not continue after a failed page, so all further calls reject with the same error
+                if (failure) {
+                    throw failure;
+                }
+
+                return readPage()
+                .catch(function(error) {
+                    failure = error;
+
+                    throw error;
+                })
+                .then(function(page) {
+                    if (!page) {
+                        finished = true;
+
+                        return { done: true, value: undefined };
+                    }
+
+                    if (!params.yieldRecords) {
+                        return { done: false, value: page };
+                    }
+
+                    records = GetRecords(page).slice();
+
+                    return Next();
+                });
             }
 
-            if (asynchronous) {
-                requests.push(Promise.props(record));
+            var iterator = {
+                next: function () {
+                    // Calls are queued, so that pages are always requested one after another
+                    pending = pending.then(Next, Next);
+
+                    return pending;
+                },
+                "return": function (value) {
+                    finished = true;
+                    records = [];
+
+                    return Promise.resolve({ done: true, value: value });
+                }
+            };
+
+            if (typeof(Symbol) !== "undefined" && Symbol.asyncIterator) {
+                iterator[Symbol.asyncIterator] = function () {
+                    return iterator;
+                };
+            }
+
+            return iterator;
+        };
+
+        /**
+         * @description Updates a given record in CRM.
+         * @method Update
+         * @param {Object} parameters Parameters for updating record
+         * @param {String} parameters.entityName Entity name of records that should be updated
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} [parameters.entityId] ID of entity to update
+         * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for updating record
+         * @param {String} [parameters.etag] Etag of the record as retrieved, sends If-Match so that the update fails with a ConcurrencyError if the record was changed since. Taken from the @odata.etag of the entity if not passed
+         * @param {Boolean} [parameters.preventCreate] True for failing with status 404 if the record does not exist, instead of creating it. Sends If-Match: *
+         * @param {Boolean} [parameters.preventUpdate] True for failing with status 412 if the record already exists, so that it is only created. Sends If-None-Match: *
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<String>|Promise<object>|String|Object} - Returns Promise<Object> if return=representation header is set, otherwise Promise<String>. Just Object or String if sent synchronously.
+         */
+        WebApiClient.Update = function(parameters) {
+            var params = parameters || {};
+
+            if (!params.entity) {
+                throw new Error("Update object has to be passed!");
+            }
+
+            var conditionalHeaders = GetConditionalHeaders(params);
+
+            return WithSetNames(params, function() {
+                var url = GetRecordUrl(params);
+                var updateParams = params;
+
+                if (conditionalHeaders.length) {
+                    updateParams = Object.create(params);
+                    updateParams.headers = MergeHeaders(params.headers, conditionalHeaders);
+                }
+
+                return WebApiClient.SendRequest("PATCH", url, RemoveEtag(params.entity), updateParams);
+            });
+        };
+
+        /**
+         * @description Creates a record if it does not exist, otherwise updates it. The record is identified by its id or an alternate key.
+         * The record is returned with the response, pass queryParams such as "?$select=name" for limiting the returned columns.
+         * @method Upsert
+         * @param {Object} parameters Parameters for upserting record
+         * @param {String} parameters.entityName Entity name of record that should be upserted
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} [parameters.entityId] ID of entity to upsert
+         * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for upserting record
+         * @param {Object} parameters.entity Attributes of the record
+         * @param {String} [parameters.queryParams] Query parameters for the returned record, such as "?$select=name"
+         * @param {String} [parameters.etag] Etag of the record as retrieved, sends If-Match so that the upsert fails with a ConcurrencyError if the record was changed since. Taken from the @odata.etag of the entity if not passed
+         * @param {Boolean} [parameters.preventCreate] True for only updating the record, fails with status 404 if it does not exist. Sends If-Match: *
+         * @param {Boolean} [parameters.preventUpdate] True for only creating the record, fails with status 412 if it already exists. Sends If-None-Match: *
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @param {Boolean} [parameters.asBatch] True for returning a WebApiClient.BatchRequest instead of sending the request. Its result has status 201 if the record was created and 200 if it was updated
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously. Contains created (true if the record was created, false if it was updated) and entity (the returned record)
+         */
+        WebApiClient.Upsert = function(parameters) {
+            var params = parameters || {};
+
+            if (!params.entity) {
+                throw new Error("Upsert object has to be passed!");
+            }
+
+            var conditionalHeaders = GetConditionalHeaders(params);
+
+            return WithSetNames(params, function() {
+                var url = GetRecordUrl(params) + (params.queryParams || "");
+                var upsertParams = Object.create(params);
+                var status;
+
+                // Created and updated records can only be told apart by status 201 and 200, which are only returned with their representation
+                upsertParams.headers = MergeHeaders(GetRepresentationHeaders(params.headers), params.headers, conditionalHeaders);
+                upsertParams._onStatus = function (value) {
+                    status = value;
+                };
+
+                var response = WebApiClient.SendRequest("PATCH", url, RemoveEtag(params.entity), upsertParams);
+
+                if (params.asBatch) {
+                    return response;
+                }
+
+                if (!GetAsync(params)) {
+                    return CreateUpsertResult(status, response);
+                }
+
+                return response.then(function (result) {
+                    return CreateUpsertResult(status, result);
+                });
+            });
+        };
+
+        /**
+         * @description Deletes a given record in CRM.
+         * @method Delete
+         * @param {Object} parameters Parameters for deleting record
+         * @param {String} parameters.entityName Entity name of records that should be deleted
+         * @param {String} [parameters.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} [parameters.entityId] ID of entity to delete
+         * @param {Array<property:string,value:string>} [parameters.alternateKey] Alternate key array for deleting record
+         * @param {String} [parameters.etag] Etag of the record as retrieved, sends If-Match so that the delete fails with a ConcurrencyError if the record was changed since
+         * @param {Object} [parameters.entity] The record as retrieved, its @odata.etag is used if no etag is passed
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
+         */
+        WebApiClient.Delete = function(parameters) {
+            var params = parameters || {};
+
+            return WithSetNames(params, function() {
+                var url = GetRecordUrl(params);
+
+                var deleteParams = params;
+                var etag = GetEtag(params);
+
+                if (params.queryParams) {
+                    url += params.queryParams;
+                }
+
+                if (etag) {
+                    deleteParams = Object.create(params);
+                    deleteParams.headers = MergeHeaders(params.headers, [{ key: "If-Match", value: etag }]);
+                }
+
+                return WebApiClient.SendRequest("DELETE", url, null, deleteParams);
+            });
+        };
+
+        /**
+         * @description Associates given records in CRM.
+         * @method Associate
+         * @param {Object} parameters Parameters for associating records
+         * @param {String} parameters.relationShip Name of relation ship to use for associating
+         * @param {Object} parameters.source Source entity for disassociating
+         * @param {String} [parameters.source.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} parameters.source.entityId ID of entity
+         * @param {String} parameters.source.entityName Logical name of entity, such as "account"
+         * @param {Object} parameters.target Target entity for disassociating
+         * @param {String} [parameters.target.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} parameters.target.entityId ID of entity
+         * @param {String} parameters.target.entityName Logical name of entity, such as "account"
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
+         */
+        WebApiClient.Associate = function(parameters) {
+            var params = parameters || {};
+
+            if (!params.relationShip) {
+                throw new Error("Relationship has to be passed!");
+            }
+
+            if (!params.source || !params.target) {
+                throw new Error("Source and target have to be passed!");
+            }
+
+            return WithSetNames(params, function() {
+                var targetUrl = GetRecordUrl(params.target);
+                var relationShip = "/" + params.relationShip + "/$ref";
+
+                var url = targetUrl + relationShip;
+
+                var payload = { "@odata.id": GetRecordUrl(params.source) };
+
+                return WebApiClient.SendRequest("POST", url, payload, params);
+            });
+        };
+
+        /**
+         * @description Disassociates given records in CRM.
+         * @method Disassociate
+         * @param {Object} parameters Parameters for disassociating records
+         * @param {String} parameters.relationShip Name of relation ship to use for disassociating
+         * @param {Object} parameters.source Source entity for disassociating
+         * @param {String} [parameters.source.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} parameters.source.entityId ID of entity
+         * @param {String} parameters.source.entityName Logical name of entity, such as "account"
+         * @param {Object} parameters.target Target entity for disassociating
+         * @param {String} [parameters.target.overriddenSetName] Plural name of entity, if not according to plural rules
+         * @param {String} parameters.target.entityId ID of entity
+         * @param {String} parameters.target.entityName Logical name of entity, such as "account"
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<String>|String} - Returns Promise<String> if async, just String if sent synchronously.
+         */
+        WebApiClient.Disassociate = function(parameters) {
+            var params = parameters || {};
+
+            if (!params.relationShip) {
+                throw new Error("Relationship has to be passed!");
+            }
+
+            if (!params.source || !params.target) {
+                throw new Error("Source and target have to be passed!");
+            }
+
+            if (!params.source.entityId) {
+                throw new Error("Source needs entityId set!");
+            }
+
+            return WithSetNames(params, function() {
+                var targetUrl = GetRecordUrl(params.target);
+                var relationShip = "/" + params.relationShip + "(" + RemoveIdBrackets(params.source.entityId) + ")/$ref";
+
+                var url = targetUrl + relationShip;
+
+                return WebApiClient.SendRequest("DELETE", url, null, params);
+            });
+        };
+
+        /**
+         * @description Executes the given request in CRM.
+         * @method Execute
+         * @param {Object} request Request to send, must be in prototype chain of WebApiClient.Requests.Request.
+         * @param {Boolean} [request.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [request.headers] Headers to attach to request
+         * @param {Boolean} [request.validate] True for checking the declared parameters before sending. Defaults to true for registered requests and false for predefined ones.
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously.
+         */
+        WebApiClient.Execute = function(request) {
+            if (!request) {
+                throw new Error("You need to pass a request!");
+            }
+
+            if (!(request instanceof WebApiClient.Requests.Request)) {
+                throw new Error("Request for execution must be in prototype chain of WebApiClient.Request");
+            }
+
+            if (request.validate) {
+                var problems = request.validateParameters();
+
+                if (problems.length) {
+                    throw new Error("Request " + request.name + " has invalid parameters: " + problems.join(", ") + "!");
+                }
+            }
+
+            return WithSetNames(request, function() {
+                return WebApiClient.SendRequest(request.method, request.buildUrl(WebApiClient), request.payload, request);
+            });
+        };
+
+        /**
+         * @description Loads the entity set names of all entities from the EntityDefinitions metadata and caches them.
+         * Afterwards GetSetName and all requests use these set names instead of plural rules.
+         * Is called automatically on first usage if WebApiClient.ResolveSetNames is true, call it yourself before creating batch requests.
+         * @method LoadSetNames
+         * @param {Object} [parameters] Parameters for loading the set names
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @param {Boolean} [parameters.reload] True for reloading the set names, even if they were already loaded
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously. Keys are logical names, values set names
+         */
+        WebApiClient.LoadSetNames = function(parameters) {
+            var params = parameters || {};
+            var asynchronous = GetAsync(params);
+
+            if (EntitySetNames && !params.reload) {
+                return asynchronous ? Promise.resolve(EntitySetNames) : EntitySetNames;
+            }
+
+            // Concurrent requests share a single metadata request
+            if (asynchronous && LoadingSetNames) {
+                return LoadingSetNames;
+            }
+
+            var url = WebApiClient.GetApiUrl() + "EntityDefinitions?$select=LogicalName,EntitySetName";
+            var response = WebApiClient.SendRequest("GET", url, null, { async: asynchronous, headers: params.headers });
+
+            if (!asynchronous) {
+                return StoreSetNames(response);
+            }
+
+            LoadingSetNames = response
+            .then(StoreSetNames)
+            .finally(function() {
+                LoadingSetNames = null;
+            });
+
+            return LoadingSetNames;
+        };
+
+        function CorrelateBatchResponse (response, batch) {
+            // Middlewares might have replaced the response, overlength GET requests resolve with the payload directly
+            if (response instanceof WebApiClient.BatchResponse && !batch.isOverLengthGet) {
+                return response.correlate(batch);
+            }
+
+            return response;
+        }
+
+        function MergeBatchResponses (responses) {
+            var merged = new WebApiClient.BatchResponse({ name: responses[0].name });
+
+            for (var i = 0; i < responses.length; i++) {
+                var response = responses[i];
+
+                Array.prototype.push.apply(merged.changeSetResponses, response.changeSetResponses);
+                Array.prototype.push.apply(merged.batchResponses, response.batchResponses);
+                Array.prototype.push.apply(merged.errors, response.errors);
+                Array.prototype.push.apply(merged.parts, response.parts);
+                Array.prototype.push.apply(merged.results, response.results);
+                Array.prototype.push.apply(merged.succeeded, response.succeeded);
+                Array.prototype.push.apply(merged.failed, response.failed);
+
+                merged.isFaulted = merged.isFaulted || response.isFaulted;
+            }
+
+            return merged;
+        }
+
+        function SendBatches (batches, batch) {
+            if (!GetAsync(batch)) {
+                return MergeBatchResponses(batches.map(function(part) {
+                    return WebApiClient.SendBatch(part);
+                }));
             }
+
+            return Promise.map(batches, function(part) {
+                return WebApiClient.SendBatch(part);
+            }, { concurrency: batch.concurrency || 1 })
+            .then(MergeBatchResponses);
         }
 
-        if (asynchronous) {
-            return Promise.all(requests);
-        } else {
-            return records;
+        /**
+         * @description Sends the given batch to CRM.
+         * @method SendBatch
+         * @param {Object} batch Batch to send to CRM
+         * @param {Boolean} [batch.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [batch.headers] Headers to attach to request
+         * @param {Number} [batch.timeout] Timeout in milliseconds after which the batch is aborted, applies to each batch if it is split
+         * @param {AbortSignal} [batch.signal] Signal for cancelling the batch
+         * @param {Number} [batch.maxOperations] Maximum number of requests per batch. Larger batches are split and the responses are merged in original order
+         * @param {Number} [batch.maxPayloadSize] Maximum payload length per batch. Larger batches are split and the responses are merged in original order
+         * @param {Number} [batch.concurrency] Number of split batches to send in parallel, defaults to 1
+         * @param {Boolean} [batch.continueOnError] True for processing all requests even if some of them fail. Failed requests are listed in BatchResponse.failed
+         * @memberof module:WebApiClient
+         * @return {Promise<BatchResponse>|BatchResponse} - Returns Promise<BatchResponse> if async, just BatchResponse if sent synchronously. Its results contain the result of each request, see BatchResponse.getResult
+         */
+        WebApiClient.SendBatch = function(batch) {
+            if (!batch) {
+                throw new Error("You need to pass a batch!");
+            }
+
+            if (!(batch instanceof WebApiClient.Batch)) {
+                throw new Error("Batch for execution must be a WebApiClient.Batch object");
+            }
+
+            if (batch.maxOperations || batch.maxPayloadSize) {
+                var batches = batch.split({ maxOperations: batch.maxOperations, maxPayloadSize: batch.maxPayloadSize });
+
+                if (batches.length > 1) {
+                    return SendBatches(batches, batch);
+                }
+            }
+
+            var url = WebApiClient.GetApiUrl() + "$batch";
+
+            // Batch headers are set per request, so that the batch can be sent again or split unchanged
+            var params = Object.create(batch);
+            params.headers = (batch.headers || []).concat([{key: "Content-Type", value: "multipart/mixed;boundary=" + batch.name}]);
+
+            if (batch.continueOnError) {
+                params.headers.push({key: "Prefer", value: "odata.continue-on-error"});
+            }
+
+            var payload = batch.buildPayload();
+            var response = WebApiClient.SendRequest("POST", url, payload, params);
+
+            if (!GetAsync(batch)) {
+                return CorrelateBatchResponse(response, batch);
+            }
+
+            return response.then(function(batchResponse) {
+                return CorrelateBatchResponse(batchResponse, batch);
+            });
+        };
+
+        /**
+         * @description Expands all odata.nextLink (deferred) properties for an array of records.
+         * @method Expand
+         * @param {Object} parameters Configuration for expanding
+         * @param {Array<Object>} parameters.records Array of records to expand
+         * @param {Boolean} [parameters.async] True for sending asynchronous, false for synchronous. Defaults to true.
+         * @param {Array<key:string,value:string>} [parameters.headers] Headers to attach to request
+         * @memberof module:WebApiClient
+         * @return {Promise<Object>|Object} - Returns Promise<Object> if async, just Object if sent synchronously.
+         */
+        WebApiClient.Expand = function (parameters) {
+        /// <summary>Expands all odata.nextLink / deferred properties for an array of records</summary>
+        /// <param name="parameters" type="Object">Object that contains 'records' array or object. Optional 'headers'.</param>
+        /// <returns>Promise for sent request or result if sync.</returns>
+            var params = Object.create(parameters || {});
+            var records = params.records;
+
+            var requests = [];
+            var asynchronous = GetAsync(parameters);
+
+            // The deadline is shared by all expand requests, but not written to the caller's parameters
+            if (asynchronous && params.timeout && !params._deadline) {
+                params._deadline = new Date().getTime() + params.timeout;
+            }
+
+            for (var i = 0; i < records.length; i++) {
+                var record = records[i];
+
+                for (var attribute in record) {
+                    if (!record.hasOwnProperty(attribute)) {
+                        continue;
+                    }
+
+                    var name = attribute.replace("@odata.nextLink", "");
+
+                    // If nothing changed, this was not a deferred attribute
+                    if (!name || name === attribute) {
+                        continue;
+                    }
+
+                    record[name] = WebApiClient.SendRequest("GET", record[attribute], null, params);
+
+                    // Delete @odata.nextLink property
+                    delete record[attribute];
+                }
+
+                if (asynchronous) {
+                    requests.push(Promise.props(record));
+                }
+            }
+
+            if (asynchronous) {
+                return Promise.all(requests);
+            } else {
+                return records;
+            }
+        };
+
+        WebApiClient.Configure(configuration);
+
+        return WebApiClient;
+    }
+
+    var WebApiClient = CreateClient();
+
+    /**
+     * @description Creates a new isolated client instance, which does not share any configuration, default headers or token with other clients.
+     * All operations such as Create, Retrieve, Update, Delete, Associate, Disassociate, Execute, SendBatch and Expand are available on the returned client.
+     * The global WebApiClient functions keep working as the default instance.
+     * @method CreateClient
+     * @param {Object} [configuration] Object with keys named after WebApiClient Members, such as "ApiVersion", "ClientUrl" or "Token"
+     * @memberof module:WebApiClient
+     * @return {Object}
+     */
+    WebApiClient.CreateClient = function (configuration) {
+        var client = CreateClient(configuration);
+
+        // Share all types and request definitions that were attached to the default instance
+        for (var property in WebApiClient) {
+            if (!WebApiClient.hasOwnProperty(property) || client.hasOwnProperty(property)) {
+                continue;
+            }
+
+            client[property] = WebApiClient[property];
         }
+
+        return client;
     };
 
     module.exports = WebApiClient;
@@ -0,0 +1,265 @@
+(function(undefined) {
+    "use strict";
+
+    var TokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.\-]+)((?:\s+[\w:.\-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    var AttributePattern = /([\w:.\-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    function Unescape (value) {
+        return value
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, "\"")
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, "&");
+    }
+
+    function GetLocalName (name) {
+        var separator = name.indexOf(":");
+
+        return separator === -1 ? name : name.substring(separator + 1);
+    }
+
+    function ParseAttributes (text) {
+        var attributes = {};
+        var match;
+
+        AttributePattern.lastIndex = 0;
+
+        while ((match = AttributePattern.exec(text)) !== null) {
+            attributes[GetLocalName(match[1])] = Unescape(typeof(match[2]) !== "undefined" ? match[2] : match[3]);
+        }
+
+        return attributes;
+    }
+
+    // CSDL documents only use elements and attributes, so we don't need a full XML parser, which is not available in Node.js
+    function ParseXml (xml) {
+        var root = { name: "#document", attributes: {}, children: [] };
+        var stack = [root];
+        var match;
+
+        TokenPattern.lastIndex = 0;
+
+        while ((match = TokenPattern.exec(xml)) !== null) {
+            // Comments, processing instructions, CDATA and doctype
+            if (!match[2]) {
+                continue;
+            }
+
+            var name = GetLocalName(match[2]);
+            var parent = stack[stack.length - 1];
+
+            if (match[1]) {
+                if (stack.length === 1 || parent.name !== name) {
+                    throw new Error("CSDL is not well-formed, unexpected closing tag '" + match[2] + "'!");
+                }
+
+                stack.pop();
+                continue;
+            }
+
+            var element = { name: name, attributes: ParseAttributes(match[3]), children: [] };
+
+            parent.children.push(element);
+
+            if (!match[4]) {
+                stack.push(element);
+            }
+        }
+
+        if (stack.length !== 1) {
+            throw new Error("CSDL is not well-formed, element '" + stack[stack.length - 1].name + "' is not closed!");
+        }
+
+        return root;
+    }
+
+    function GetChildren (element, name) {
+        return element.children.filter(function (child) {
+            return child.name === name;
+        });
+    }
+
+    function FindAll (element, name, results) {
+        var found = results || [];
+
+        for (var i = 0; i < element.children.length; i++) {
+            var child = element.children[i];
+
+            if (child.name === name) {
+                found.push(child);
+            }
+
+            FindAll(child, name, found);
+        }
+
+        return found;
+    }
+
+    function CreateTypeNormalizer (schemas) {
+        var prefixes = [];
+
+        for (var i = 0; i < schemas.length; i++) {
+            if (schemas[i].attributes.Namespace) {
+                prefixes.push(schemas[i].attributes.Namespace + ".");
+            }
+
+            if (schemas[i].attributes.Alias) {
+                prefixes.push(schemas[i].attributes.Alias + ".");
+            }
+        }
+
+        function Normalize (type) {
+            if (!type) {
+                return type;
+            }
+
+            var collection = /^Collection\((.+)\)$/.exec(type);
+
+            if (collection) {
+                return "Collection(" + Normalize(collection[1]) + ")";
+            }
+
+            for (var j = 0; j < prefixes.length; j++) {
+                if (type.indexOf(prefixes[j]) === 0) {
+                    return type.substring(prefixes[j].length);
+                }
+            }
+
+            return type;
+        }
+
+        return Normalize;
+    }
+
+    function ParseStructuredType (element, normalize) {
+        var key = GetChildren(element, "Key")[0];
+
+        return {
+            name: element.attributes.Name,
+            baseType: normalize(element.attributes.BaseType),
+            abstract: element.attributes.Abstract === "true",
+            key: key ? GetChildren(key, "PropertyRef").map(function (ref) { return ref.attributes.Name; }) : [],
+            properties: GetChildren(element, "Property").map(function (property) {
+                return {
+                    name: property.attributes.Name,
+                    type: normalize(property.attributes.Type),
+                    nullable: property.attributes.Nullable !== "false"
+                };
+            }),
+            navigationProperties: GetChildren(element, "NavigationProperty").map(function (property) {
+                return {
+                    name: property.attributes.Name,
+                    type: normalize(property.attributes.Type),
+                    partner: property.attributes.Partner
+                };
+            })
+        };
+    }
+
+    function ParseOperation (element, normalize) {
+        var returnType = GetChildren(element, "ReturnType")[0];
+
+        return {
+            name: element.attributes.Name,
+            isBound: element.attributes.IsBound === "true",
+            parameters: GetChildren(element, "Parameter").map(function (parameter) {
+                return {
+                    name: parameter.attributes.Name,
+                    type: normalize(parameter.attributes.Type),
+                    nullable: parameter.attributes.Nullable !== "false",
+                    optional: GetChildren(parameter, "Annotation").some(function (annotation) {
+                        return annotation.attributes.Term === "Org.OData.Core.V1.OptionalParameter";
+                    })
+                };
+            }),
+            returnType: returnType ? normalize(returnType.attributes.Type) : null
+        };
+    }
+
+    function ParseSchema (schema, normalize, model) {
+        GetChildren(schema, "EntityType").forEach(function (element) {
+            var type = ParseStructuredType(element, normalize);
+
+            model.entityTypes[type.name] = type;
+        });
+
+        GetChildren(schema, "ComplexType").forEach(function (element) {
+            var type = ParseStructuredType(element, normalize);
+
+            model.complexTypes[type.name] = type;
+        });
+
+        GetChildren(schema, "EnumType").forEach(function (element) {
+            model.enumTypes[element.attributes.Name] = {
+                name: element.attributes.Name,
+                members: GetChildren(element, "Member").map(function (member) {
+                    return {
+                        name: member.attributes.Name,
+                        value: parseInt(member.attributes.Value, 10)
+                    };
+                })
+            };
+        });
+
+        GetChildren(schema, "Action").forEach(function (element) {
+            model.actions.push(ParseOperation(element, normalize));
+        });
+
+        GetChildren(schema, "Function").forEach(function (element) {
+            model.functions.push(ParseOperation(element, normalize));
+        });
+
+        FindAll(schema, "EntitySet").forEach(function (element) {
+            model.entitySets[normalize(element.attributes.EntityType)] = element.attributes.Name;
+        });
+
+        FindAll(schema, "ActionImport").forEach(function (element) {
+            model.actionImports.push({ name: element.attributes.Name, operation: normalize(element.attributes.Action) });
+        });
+
+        FindAll(schema, "FunctionImport").forEach(function (element) {
+            model.functionImports.push({ name: element.attributes.Name, operation: normalize(element.attributes.Function) });
+        });
+    }
+
+    /**
+     * @description Parses a CSDL document, such as the response of the $metadata endpoint.
+     * Type names are returned without namespace or alias, collections are returned as "Collection(type)".
+     * @param {String} csdl CSDL XML document
+     * @return {Object} - Object containing namespace, entityTypes, complexTypes, enumTypes (all keyed by name), actions, functions, actionImports, functionImports and entitySets (entity type name to set name)
+     */
+    function ParseCsdl (csdl) {
+        if (!csdl || typeof(csdl) !== "string") {
+            throw new Error("CSDL document has to be passed as string!");
+        }
+
+        var document = ParseXml(csdl);
+        var schemas = FindAll(document, "Schema");
+
+        if (!schemas.length) {
+            throw new Error("CSDL document does not contain any schema!");
+        }
+
+        var normalize = CreateTypeNormalizer(schemas);
+        var model = {
+            namespace: schemas[0].attributes.Namespace,
+            entityTypes: {},
+            complexTypes: {},
+            enumTypes: {},
+            actions: [],
+            functions: [],
+            actionImports: [],
+            functionImports: [],
+            entitySets: {}
+        };
+
+        for (var i = 0; i < schemas.length; i++) {
+            ParseSchema(schemas[i], normalize, model);
+        }
+
+        return model;
+    }
+
+    module.exports = ParseCsdl;
+} ());
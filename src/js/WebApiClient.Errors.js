@@ -0,0 +1,159 @@
+/**
+ * @description Error types used for rejecting requests
+ * @module Errors
+ */
+(function (undefined) {
+    "use strict";
+
+    var Errors = {};
+
+    /**
+     * Error used for rejecting requests that were cancelled using an AbortSignal or that exceeded their timeout.
+     * @constructor
+     * @param {String} message Description of the error
+     * @param {bool} [isTimeout] True if the request was aborted because its timeout elapsed
+     * @memberof module:WebApiClient
+     * @alias WebApiClient.AbortError
+     */
+    Errors.AbortError = function (message, isTimeout) {
+        /**
+         * @property {String} name - Always "AbortError"
+         * @this {AbortError}
+         */
+        this.name = "AbortError";
+
+        /**
+         * @property {String} message - Description of the error
+         * @this {AbortError}
+         */
+        this.message = message;
+
+        /**
+         * @property {bool} isTimeout - True if the request was aborted because its timeout elapsed, false if it was cancelled
+         * @this {AbortError}
+         */
+        this.isTimeout = !!isTimeout;
+
+        this.stack = (new Error(message)).stack;
+    };
+
+    Errors.AbortError.prototype = Object.create(Error.prototype);
+    Errors.AbortError.prototype.constructor = Errors.AbortError;
+
+    /**
+     * Error used for rejecting requests that failed with an error response from the server or due to network errors.
+     * @constructor
+     * @param {Object} parameters
+     * @param {String} parameters.message Description of the error
+     * @param {Number} [parameters.status] HTTP status code of the response, 0 for network errors
+     * @param {String} [parameters.statusText] HTTP status text of the response
+     * @param {String} [parameters.code] Error code returned by the server, such as "0x80040217"
+     * @param {Object} [parameters.innererror] Inner error returned by the server, containing message, type and stacktrace
+     * @param {String} [parameters.method] Method of the failed request
+     * @param {String} [parameters.url] Url of the failed request
+     * @param {Object} [parameters.headers] Response headers, keys are lower case header names
+     * @param {String} [parameters.responseText] Raw response body
+     * @memberof module:WebApiClient
+     * @alias WebApiClient.WebApiError
+     */
+    Errors.WebApiError = function (parameters) {
+        var params = parameters || {};
+
+        /**
+         * @property {String} name - Always "WebApiError"
+         * @this {WebApiError}
+         */
+        this.name = "WebApiError";
+
+        /**
+         * @property {String} message - Description of the error
+         * @this {WebApiError}
+         */
+        this.message = params.message;
+
+        /**
+         * @property {Number} status - HTTP status code of the response, 0 for network errors
+         * @this {WebApiError}
+         */
+        this.status = params.status;
+
+        /**
+         * @property {String} statusText - HTTP status text of the response
+         * @this {WebApiError}
+         */
+        this.statusText = params.statusText;
+
+        /**
+         * @property {String} code - Error code returned by the server, such as "0x80040217"
+         * @this {WebApiError}
+         */
+        this.code = params.code;
+
+        /**
+         * @property {Object} innererror - Inner error returned by the server, containing message, type and stacktrace
+         * @this {WebApiError}
+         */
+        this.innererror = params.innererror;
+
+        /**
+         * @property {String} method - Method of the failed request
+         * @this {WebApiError}
+         */
+        this.method = params.method;
+
+        /**
+         * @property {String} url - Url of the failed request
+         * @this {WebApiError}
+         */
+        this.url = params.url;
+
+        /**
+         * @property {Object} headers - Response headers, keys are lower case header names
+         * @this {WebApiError}
+         */
+        this.headers = params.headers || {};
+
+        /**
+         * @property {String} responseText - Raw response body
+         * @this {WebApiError}
+         */
+        this.responseText = params.responseText;
+
+        this.stack = (new Error(params.message)).stack;
+    };
+
+    Errors.WebApiError.prototype = Object.create(Error.prototype);
+    Errors.WebApiError.prototype.constructor = Errors.WebApiError;
+
+    /**
+     * Error used for rejecting requests that failed with status 412 Precondition Failed, because the record was changed since its etag was retrieved, or already exists when updates were prevented.
+     * Inherits from WebApiError, so it contains the same properties.
+     * @constructor
+     * @param {Object} parameters Same as for WebApiError
+     * @memberof module:WebApiClient
+     * @alias WebApiClient.ConcurrencyError
+     */
+    Errors.ConcurrencyError = function (parameters) {
+        Errors.WebApiError.call(this, parameters);
+
+        /**
+         * @property {String} name - Always "ConcurrencyError"
+         * @this {ConcurrencyError}
+         */
+        this.name = "ConcurrencyError";
+    };
+
+    Errors.ConcurrencyError.prototype = Object.create(Errors.WebApiError.prototype);
+    Errors.ConcurrencyError.prototype.constructor = Errors.ConcurrencyError;
+
+    /**
+     * @description Creates the error for a failed response, which is a ConcurrencyError for status 412 and a WebApiError otherwise
+     * @param {Object} parameters Same as for WebApiError
+     * @return {WebApiError}
+     */
+    Errors.CreateWebApiError = function (parameters) {
+        return parameters && parameters.status === 412 ? new Errors.ConcurrencyError(parameters) : new Errors.WebApiError(parameters);
+    };
+
+    module.exports = Errors;
+} ());
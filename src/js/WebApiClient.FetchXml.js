@@ -0,0 +1,582 @@
+(function(undefined) {
+    "use strict";
+
+    var Children = {
+        "fetch": ["entity"],
+        "entity": ["attribute", "all-attributes", "order", "filter", "link-entity"],
+        "link-entity": ["attribute", "all-attributes", "order", "filter", "link-entity"],
+        // Link entities inside filters are used for any, not-any, all and not-all
+        "filter": ["condition", "filter", "link-entity"],
+        "condition": ["value"],
+        "attribute": [],
+        "all-attributes": [],
+        "order": [],
+        "value": []
+    };
+
+    var ListOperators = ["in", "not-in"];
+    var RangeOperators = ["between", "not-between"];
+    var NoValueOperators = ["null", "not-null"];
+
+    function Escape (value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+    }
+
+    function FormatValue (value) {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (typeof(value) === "boolean") {
+            return value ? "1" : "0";
+        }
+
+        return String(value);
+    }
+
+    function BuildAttributes (attributes) {
+        var xml = "";
+
+        for (var name in attributes) {
+            if (!attributes.hasOwnProperty(name)) {
+                continue;
+            }
+
+            var value = attributes[name];
+
+            if (value === null || typeof(value) === "undefined" || value === false) {
+                continue;
+            }
+
+            xml += " " + name + "=\"" + Escape(FormatValue(value)) + "\"";
+        }
+
+        return xml;
+    }
+
+    function BuildElement (name, attributes, children) {
+        var content = (children || []).join("");
+
+        return "<" + name + BuildAttributes(attributes) + (content ? ">" + content + "</" + name + ">" : "/>");
+    }
+
+    /**
+     * Filter of a FetchXml query. Filters are created by calling filter on a FetchXml or link entity
+     * @constructor
+     * @param {String} [type] Type of the filter, "and" or "or". Defaults to "and"
+     * @memberof module:WebApiClient
+     */
+    var Filter = function (type) {
+        if (type && type !== "and" && type !== "or") {
+            throw new Error("Filter type has to be either 'and' or 'or'!");
+        }
+
+        /**
+         * @property {String} type - Type of the filter, "and" or "or"
+         * @this {Filter}
+         */
+        this.type = type || "and";
+
+        /**
+         * @property {Array<Object>} items - Conditions and nested filters
+         * @this {Filter}
+         */
+        this.items = [];
+    };
+
+    /**
+     * @description Adds a condition to the filter.
+     * Pass an array of values for operators such as "in" or "between", omit the value for operators such as "null".
+     * @param {String} attribute Attribute to check
+     * @param {String} operator Condition operator, such as "eq" or "like"
+     * @param {*} [value] Value to check against
+     * @param {String} [entityName] Alias of a link entity, if the condition targets an attribute of a link entity
+     * @return {Filter}
+     * @this {Filter}
+     */
+    Filter.prototype.condition = function (attribute, operator, value, entityName) {
+        if (!attribute || !operator) {
+            throw new Error("Condition needs an attribute and an operator!");
+        }
+
+        var values = Array.isArray(value) ? value : null;
+
+        if (!values && (ListOperators.indexOf(operator) !== -1 || RangeOperators.indexOf(operator) !== -1)) {
+            throw new Error("Operator '" + operator + "' needs an array of values!");
+        }
+
+        this.items.push({
+            build: function () {
+                return BuildElement("condition", {
+                    entityname: entityName,
+                    attribute: attribute,
+                    operator: operator,
+                    value: values || typeof(value) === "undefined" || value === null ? undefined : FormatValue(value)
+                }, (values || []).map(function (item) {
+                    return "<value>" + Escape(FormatValue(item)) + "</value>";
+                }));
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Adds a nested filter
+     * @param {String} type Type of the nested filter, "and" or "or"
+     * @param {Function} callback Function that receives the nested filter for adding conditions
+     * @return {Filter}
+     * @this {Filter}
+     */
+    Filter.prototype.filter = function (type, callback) {
+        var filter = new Filter(type);
+
+        callback(filter);
+
+        this.items.push(filter);
+
+        return this;
+    };
+
+    /**
+     * @description Creates the XML representation of the filter
+     * @return {String}
+     * @this {Filter}
+     */
+    Filter.prototype.build = function () {
+        return BuildElement("filter", { type: this.type }, this.items.map(function (item) {
+            return item.build();
+        }));
+    };
+
+    /**
+     * Entity or link entity of a FetchXml query
+     * @constructor
+     * @param {String} name Logical name of the entity
+     * @memberof module:WebApiClient
+     */
+    var Entity = function (name) {
+        if (!name) {
+            throw new Error("Entity name has to be passed!");
+        }
+
+        /**
+         * @property {String} name - Logical name of the entity
+         * @this {Entity}
+         */
+        this.name = name;
+
+        /**
+         * @property {Array<Object>} nodes - Attributes, orders, filters and link entities in order of creation
+         * @this {Entity}
+         */
+        this.nodes = [];
+
+        this.defaultFilter = null;
+    };
+
+    /**
+     * @description Adds an attribute to retrieve
+     * @param {String} name Logical name of the attribute
+     * @param {Object} [options] Options for aggregate queries
+     * @param {String} [options.alias] Alias of the attribute, required for aggregate queries
+     * @param {String} [options.aggregate] Aggregate function, such as "sum", "count" or "avg"
+     * @param {bool} [options.groupby] True for grouping by this attribute
+     * @param {String} [options.dategrouping] Date grouping, such as "month" or "year"
+     * @param {bool} [options.distinct] True for counting distinct values with countcolumn aggregate
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.attribute = function (name, options) {
+        var opts = options || {};
+
+        this.nodes.push({
+            build: function () {
+                return BuildElement("attribute", {
+                    name: name,
+                    alias: opts.alias,
+                    aggregate: opts.aggregate,
+                    groupby: opts.groupby ? "true" : undefined,
+                    dategrouping: opts.dategrouping,
+                    distinct: opts.distinct ? "true" : undefined
+                });
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Adds multiple attributes to retrieve. Accepts multiple attribute names or an array of attribute names
+     * @param {...String|Array<String>} names Logical names of the attributes
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.attributes = function () {
+        var names = arguments.length === 1 && Array.isArray(arguments[0]) ? arguments[0] : Array.prototype.slice.call(arguments);
+
+        for (var i = 0; i < names.length; i++) {
+            this.attribute(names[i]);
+        }
+
+        return this;
+    };
+
+    /**
+     * @description Retrieves all attributes
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.allAttributes = function () {
+        this.nodes.push({
+            build: function () {
+                return "<all-attributes/>";
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Adds an order
+     * @param {String} attribute Attribute to order by. For aggregate queries, pass the alias
+     * @param {bool} [descending] True for ordering descending, defaults to ascending
+     * @param {bool} [isAlias] True if the first parameter is an alias of an aggregate attribute
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.order = function (attribute, descending, isAlias) {
+        this.nodes.push({
+            build: function () {
+                return BuildElement("order", {
+                    attribute: isAlias ? undefined : attribute,
+                    alias: isAlias ? attribute : undefined,
+                    descending: descending ? "true" : undefined
+                });
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Adds a condition to the default "and" filter of the entity
+     * @param {String} attribute Attribute to check
+     * @param {String} operator Condition operator, such as "eq" or "like"
+     * @param {*} [value] Value to check against, pass an array for operators such as "in" or "between"
+     * @param {String} [entityName] Alias of a link entity, if the condition targets an attribute of a link entity
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.where = function (attribute, operator, value, entityName) {
+        if (!this.defaultFilter) {
+            this.defaultFilter = new Filter("and");
+            this.nodes.push(this.defaultFilter);
+        }
+
+        this.defaultFilter.condition(attribute, operator, value, entityName);
+
+        return this;
+    };
+
+    /**
+     * @description Adds a filter
+     * @param {String} type Type of the filter, "and" or "or"
+     * @param {Function} callback Function that receives the filter for adding conditions and nested filters
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.filter = function (type, callback) {
+        var filter = new Filter(type);
+
+        callback(filter);
+
+        this.nodes.push(filter);
+
+        return this;
+    };
+
+    /**
+     * @description Adds a link entity
+     * @param {String} name Logical name of the linked entity
+     * @param {String} from Attribute of the linked entity to join on
+     * @param {String} to Attribute of this entity to join on
+     * @param {Object} [options] Options for the link
+     * @param {String} [options.alias] Alias of the linked entity
+     * @param {String} [options.type] Link type, such as "inner" or "outer"
+     * @param {bool} [options.intersect] True for intersect entities of N:N relationships
+     * @param {Function} [callback] Function that receives the link entity for adding attributes, filters and further links
+     * @return {Entity}
+     * @this {Entity}
+     */
+    Entity.prototype.link = function (name, from, to, options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        if (!from || !to) {
+            throw new Error("Link entity needs from and to attributes!");
+        }
+
+        var opts = options || {};
+        var link = new Entity(name);
+
+        if (callback) {
+            callback(link);
+        }
+
+        this.nodes.push({
+            build: function () {
+                return BuildElement("link-entity", {
+                    name: name,
+                    from: from,
+                    to: to,
+                    alias: opts.alias,
+                    "link-type": opts.type,
+                    intersect: opts.intersect ? "true" : undefined
+                }, link.buildNodes());
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Creates the XML representations of all child nodes
+     * @return {Array<String>}
+     * @this {Entity}
+     */
+    Entity.prototype.buildNodes = function () {
+        return this.nodes.map(function (node) {
+            return node.build();
+        });
+    };
+
+    /**
+     * Builder for FetchXml queries. Pass it as fetchXml parameter to WebApiClient.Retrieve, the entityName will be set automatically.
+     * @constructor
+     * @example
+     * var fetchXml = new WebApiClient.FetchXml("account", { top: 10 })
+     *     .attributes("name", "revenue")
+     *     .where("statecode", "eq", 0)
+     *     .order("name")
+     *     .link("contact", "contactid", "primarycontactid", { alias: "pc", type: "outer" }, function (contact) {
+     *         contact.attributes("fullname");
+     *     });
+     *
+     * WebApiClient.Retrieve({fetchXml: fetchXml});
+     * @param {String} entityName Logical name of the entity to query
+     * @param {Object} [options] Attributes of the fetch element
+     * @param {Number} [options.top] Maximum number of records to return, can't be combined with paging
+     * @param {Number} [options.count] Page size
+     * @param {Number} [options.page] Page number
+     * @param {String} [options.pagingCookie] Paging cookie of the previous page
+     * @param {bool} [options.aggregate] True for aggregate queries
+     * @param {bool} [options.distinct] True for returning distinct records only
+     * @param {bool} [options.returnTotalRecordCount] True for returning the total record count
+     * @param {bool} [options.noLock] True for not locking records while querying
+     * @memberof module:WebApiClient
+     */
+    var FetchXml = function (entityName, options) {
+        Entity.call(this, entityName);
+
+        /**
+         * @property {Object} options - Attributes of the fetch element
+         * @this {FetchXml}
+         */
+        this.options = options || {};
+    };
+
+    FetchXml.prototype = Object.create(Entity.prototype);
+    FetchXml.prototype.constructor = FetchXml;
+
+    /**
+     * @description Creates the FetchXml string
+     * @return {String}
+     * @this {FetchXml}
+     */
+    FetchXml.prototype.build = function () {
+        var options = this.options;
+
+        return BuildElement("fetch", {
+            mapping: "logical",
+            top: options.top,
+            count: options.count,
+            page: options.page,
+            "paging-cookie": options.pagingCookie,
+            aggregate: options.aggregate ? "true" : undefined,
+            distinct: options.distinct ? "true" : undefined,
+            returntotalrecordcount: options.returnTotalRecordCount ? "true" : undefined,
+            "no-lock": options.noLock ? "true" : undefined
+        }, [BuildElement("entity", { name: this.name }, this.buildNodes())]);
+    };
+
+    FetchXml.prototype.toString = function () {
+        return this.build();
+    };
+
+    function GetChildElements (element) {
+        var children = [];
+
+        for (var i = 0; i < element.childNodes.length; i++) {
+            if (element.childNodes[i].nodeType === 1) {
+                children.push(element.childNodes[i]);
+            }
+        }
+
+        return children;
+    }
+
+    function ValidateCondition (condition, errors) {
+        var operator = condition.getAttribute("operator");
+        var values = GetChildElements(condition);
+
+        if (!condition.getAttribute("attribute")) {
+            errors.push("Condition is missing the attribute");
+        }
+
+        if (!operator) {
+            errors.push("Condition is missing the operator");
+            return;
+        }
+
+        if (ListOperators.indexOf(operator) !== -1 && !values.length && !condition.getAttribute("value")) {
+            errors.push("Condition with operator '" + operator + "' needs at least one value");
+        }
+
+        if (RangeOperators.indexOf(operator) !== -1 && values.length !== 2) {
+            errors.push("Condition with operator '" + operator + "' needs exactly two values");
+        }
+
+        if (NoValueOperators.indexOf(operator) !== -1 && (values.length || condition.getAttribute("value"))) {
+            errors.push("Condition with operator '" + operator + "' must not have a value");
+        }
+    }
+
+    function ValidateElement (element, isAggregate, errors) {
+        var name = element.nodeName;
+        var children = GetChildElements(element);
+
+        for (var i = 0; i < children.length; i++) {
+            var child = children[i];
+
+            if ((Children[name] || []).indexOf(child.nodeName) === -1) {
+                errors.push("Element '" + child.nodeName + "' is not allowed inside '" + name + "'");
+                continue;
+            }
+
+            ValidateElement(child, isAggregate, errors);
+        }
+
+        switch (name) {
+            case "entity":
+                if (!element.getAttribute("name")) {
+                    errors.push("Entity is missing the name");
+                }
+                break;
+            case "link-entity":
+                if (!element.getAttribute("name") || !element.getAttribute("from") || !element.getAttribute("to")) {
+                    errors.push("Link entity needs name, from and to attributes");
+                }
+                break;
+            case "attribute":
+                if (!element.getAttribute("name")) {
+                    errors.push("Attribute is missing the name");
+                }
+
+                if (isAggregate && (!element.getAttribute("alias") || (!element.getAttribute("aggregate") && element.getAttribute("groupby") !== "true"))) {
+                    errors.push("Attribute '" + element.getAttribute("name") + "' needs an alias and either an aggregate or groupby in aggregate queries");
+                }
+                break;
+            case "all-attributes":
+                if (isAggregate) {
+                    errors.push("All attributes can not be used in aggregate queries");
+                }
+                break;
+            case "order":
+                if (!element.getAttribute("attribute") && !element.getAttribute("alias")) {
+                    errors.push("Order needs an attribute or an alias");
+                }
+                break;
+            case "filter":
+                var type = element.getAttribute("type");
+
+                if (type && type !== "and" && type !== "or") {
+                    errors.push("Filter type '" + type + "' is invalid, use 'and' or 'or'");
+                }
+                break;
+            case "condition":
+                ValidateCondition(element, errors);
+                break;
+        }
+    }
+
+    /**
+     * @description Checks the FetchXml for structural mistakes, such as malformed XML, unknown elements, missing attributes or invalid aggregate and paging combinations.
+     * Only knows the common elements, so newer FetchXml features might be reported even though the server supports them.
+     * Needs DOMParser, which is available in browsers.
+     * @param {String|FetchXml} fetchXml FetchXml to validate
+     * @return {Array<String>} - Error messages, empty if the FetchXml is valid
+     * @memberof module:WebApiClient
+     */
+    FetchXml.validate = function (fetchXml) {
+        var errors = [];
+        var xml = fetchXml instanceof FetchXml ? fetchXml.build() : fetchXml;
+        var document;
+
+        try {
+            document = new DOMParser().parseFromString(xml, "text/xml");
+        }
+        catch (e) {
+            document = null;
+        }
+
+        if (!document || !document.documentElement || document.getElementsByTagName("parsererror").length) {
+            return ["FetchXml is not well-formed"];
+        }
+
+        var fetch = document.documentElement;
+
+        if (fetch.nodeName !== "fetch") {
+            return ["Root element has to be 'fetch'"];
+        }
+
+        var entities = GetChildElements(fetch).filter(function (child) {
+            return child.nodeName === "entity";
+        });
+
+        if (entities.length !== 1) {
+            errors.push("Fetch needs exactly one entity");
+        }
+
+        if (fetch.getAttribute("top") && (fetch.getAttribute("page") || fetch.getAttribute("count"))) {
+            errors.push("Top can not be combined with paging attributes page and count");
+        }
+
+        ValidateElement(fetch, fetch.getAttribute("aggregate") === "true", errors);
+
+        return errors;
+    };
+
+    /**
+     * @description Filter of a FetchXml query
+     * @memberof module:WebApiClient
+     * @alias WebApiClient.FetchXml.Filter
+     */
+    FetchXml.Filter = Filter;
+
+    /**
+     * @description Entity or link entity of a FetchXml query
+     * @memberof module:WebApiClient
+     * @alias WebApiClient.FetchXml.Entity
+     */
+    FetchXml.Entity = Entity;
+
+    module.exports = FetchXml;
+} ());
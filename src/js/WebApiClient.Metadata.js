@@ -0,0 +1,332 @@
+(function(undefined) {
+    "use strict";
+
+    var Promise = require("bluebird").noConflict();
+
+    var StoragePrefix = "WebApiClient.Metadata:";
+
+    function Quote (value) {
+        return "'" + String(value).replace(/'/g, "''") + "'";
+    }
+
+    function JoinOption (value) {
+        return Array.isArray(value) ? value.join(",") : value;
+    }
+
+    function BuildQueryOptions (parameters) {
+        var options = [];
+
+        if (parameters.select) {
+            options.push("$select=" + JoinOption(parameters.select));
+        }
+
+        if (parameters.filter) {
+            options.push("$filter=" + parameters.filter);
+        }
+
+        if (parameters.expand) {
+            options.push("$expand=" + JoinOption(parameters.expand));
+        }
+
+        return options.length ? "?" + options.join("&") : "";
+    }
+
+    function GetTypeCast (type, suffix) {
+        if (!type) {
+            return "";
+        }
+
+        if (type.indexOf("Microsoft.Dynamics.CRM.") === 0) {
+            return "/" + type;
+        }
+
+        return "/Microsoft.Dynamics.CRM." + type + suffix;
+    }
+
+    function GetEntityPath (parameters) {
+        if (!parameters.logicalName) {
+            throw new Error("Logical name of the entity has to be passed!");
+        }
+
+        return "EntityDefinitions(LogicalName=" + Quote(parameters.logicalName) + ")";
+    }
+
+    function GetHeadersKey (headers) {
+        // Headers such as Accept-Language or Prefer change the returned metadata, credentials are no part of the key
+        return headers.filter(function (header) {
+            return header.value !== null && typeof(header.value) !== "undefined" && header.key.toLowerCase() !== "authorization";
+        })
+        .map(function (header) {
+            return header.key.toLowerCase() + ":" + header.value;
+        })
+        .sort()
+        .join("|");
+    }
+
+    function ReadStorage (storage, key) {
+        try {
+            var item = storage.getItem(StoragePrefix + key);
+
+            return item ? JSON.parse(item) : null;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+
+    function WriteStorage (storage, key, entry) {
+        // Storage might be full or disabled, the memory cache still works in this case
+        try {
+            storage.setItem(StoragePrefix + key, JSON.stringify(entry));
+        }
+        catch (e) {
+            return;
+        }
+    }
+
+    /**
+     * @description Creates the metadata helpers for a client. Each client has its own metadata cache.
+     * @param {Object} client Client instance to use for sending requests
+     * @return {Metadata}
+     */
+    function CreateMetadata (client) {
+        var cache = {};
+        var loading = {};
+
+        function GetStorage () {
+            return client.MetadataStorage || null;
+        }
+
+        function IsValid (entry) {
+            return entry && (entry.expires === null || entry.expires > new Date().getTime());
+        }
+
+        function GetCached (key) {
+            if (IsValid(cache[key])) {
+                return cache[key];
+            }
+
+            var storage = GetStorage();
+            var entry = storage ? ReadStorage(storage, key) : null;
+
+            if (IsValid(entry)) {
+                cache[key] = entry;
+
+                return entry;
+            }
+
+            return null;
+        }
+
+        function SetCached (key, value) {
+            var ttl = client.MetadataCacheTtl;
+
+            if (ttl === 0) {
+                return value;
+            }
+
+            var entry = {
+                expires: ttl === null || typeof(ttl) === "undefined" ? null : new Date().getTime() + ttl,
+                value: value
+            };
+
+            cache[key] = entry;
+
+            var storage = GetStorage();
+
+            if (storage) {
+                WriteStorage(storage, key, entry);
+            }
+
+            return value;
+        }
+
+        function GetCacheKey (url, headers) {
+            var defaultHeaders = client.GetDefaultHeaders().filter(function (header) {
+                return !(headers || []).some(function (passed) {
+                    return passed.key.toLowerCase() === header.key.toLowerCase();
+                });
+            });
+
+            // Keys start with the url, so that clearCache can remove the entries of this client's organization only
+            return url + "#" + GetHeadersKey((headers || []).concat(defaultHeaders));
+        }
+
+        function Get (path, parameters, transform) {
+            var params = parameters || {};
+            var url = client.GetApiUrl() + path + BuildQueryOptions(params);
+            var key = GetCacheKey(url, params.headers);
+            var asynchronous = typeof(params.async) !== "undefined" ? params.async : client.Async;
+            var cached = GetCached(key);
+
+            if (cached) {
+                return asynchronous ? Promise.resolve(cached.value) : cached.value;
+            }
+
+            var requestParameters = {
+                async: asynchronous,
+                headers: params.headers ? params.headers.slice() : undefined
+            };
+
+            if (!asynchronous) {
+                return SetCached(key, transform(client.SendRequest("GET", url, null, requestParameters)));
+            }
+
+            // Concurrent calls for the same metadata share one request
+            if (!loading[key]) {
+                loading[key] = Promise.resolve(client.SendRequest("GET", url, null, requestParameters))
+                .then(function(response) {
+                    return SetCached(key, transform(response));
+                })
+                .finally(function() {
+                    delete loading[key];
+                });
+            }
+
+            return loading[key];
+        }
+
+        function GetValue (response) {
+            return response.value;
+        }
+
+        function GetResponse (response) {
+            return response;
+        }
+
+        /**
+         * Helpers for reading metadata, results are cached for WebApiClient.MetadataCacheTtl milliseconds.
+         * All functions accept the common parameters async and headers.
+         * @namespace Metadata
+         * @memberof module:WebApiClient
+         * @alias WebApiClient.Metadata
+         */
+        var Metadata = {};
+
+        /**
+         * @description Retrieves the definition of an entity
+         * @param {Object} parameters
+         * @param {String} parameters.logicalName Logical name of the entity, such as "account"
+         * @param {Array<String>|String} [parameters.select] Properties to select, such as ["EntitySetName", "PrimaryIdAttribute"]
+         * @param {Array<String>|String} [parameters.expand] Navigation properties to expand, such as "Attributes($select=LogicalName)"
+         * @return {Promise<Object>|Object}
+         * @memberof module:WebApiClient.Metadata
+         */
+        Metadata.getEntity = function (parameters) {
+            var params = parameters || {};
+
+            return Get(GetEntityPath(params), params, GetResponse);
+        };
+
+        /**
+         * @description Retrieves the attribute definitions of an entity, or a single attribute if attributeName is passed
+         * @param {Object} parameters
+         * @param {String} parameters.logicalName Logical name of the entity, such as "account"
+         * @param {String} [parameters.attributeName] Logical name of a single attribute to retrieve
+         * @param {String} [parameters.attributeType] Attribute type to cast to, such as "Picklist" or "Microsoft.Dynamics.CRM.LookupAttributeMetadata"
+         * @param {Array<String>|String} [parameters.select] Properties to select
+         * @param {String} [parameters.filter] Filter for the attributes, such as "IsCustomAttribute eq true"
+         * @param {Array<String>|String} [parameters.expand] Navigation properties to expand
+         * @return {Promise<Array<Object>|Object>|Array<Object>|Object}
+         * @memberof module:WebApiClient.Metadata
+         */
+        Metadata.getAttributes = function (parameters) {
+            var params = parameters || {};
+            var path = GetEntityPath(params) + "/Attributes";
+
+            if (params.attributeName) {
+                path += "(LogicalName=" + Quote(params.attributeName) + ")";
+            }
+
+            path += GetTypeCast(params.attributeType, "AttributeMetadata");
+
+            return Get(path, params, params.attributeName ? GetResponse : GetValue);
+        };
+
+        /**
+         * @description Retrieves an option set. Pass name for global option sets, or logicalName and attributeName for the option set of an attribute
+         * @param {Object} parameters
+         * @param {String} [parameters.name] Name of a global option set
+         * @param {String} [parameters.logicalName] Logical name of the entity
+         * @param {String} [parameters.attributeName] Logical name of the attribute
+         * @param {String} [parameters.attributeType] Type of the attribute, such as "Picklist", "MultiSelectPicklist", "State", "Status" or "Boolean". Defaults to "Picklist"
+         * @return {Promise<Object>|Object} - The option set, containing the Options
+         * @memberof module:WebApiClient.Metadata
+         */
+        Metadata.getOptionSet = function (parameters) {
+            var params = parameters || {};
+
+            if (params.name) {
+                return Get("GlobalOptionSetDefinitions(Name=" + Quote(params.name) + ")", { async: params.async, headers: params.headers }, GetResponse);
+            }
+
+            if (!params.attributeName) {
+                throw new Error("Either name of a global option set or logical name and attribute name have to be passed!");
+            }
+
+            var path = GetEntityPath(params) + "/Attributes(LogicalName=" + Quote(params.attributeName) + ")" + GetTypeCast(params.attributeType || "Picklist", "AttributeMetadata");
+            return Get(path, { select: "LogicalName", expand: "OptionSet,GlobalOptionSet", async: params.async, headers: params.headers }, function (attribute) {
+                return attribute.OptionSet || attribute.GlobalOptionSet;
+            });
+        };
+
+        /**
+         * @description Retrieves relationship definitions. Pass logicalName for the relationships of an entity, otherwise all relationships are retrieved
+         * @param {Object} parameters
+         * @param {String} [parameters.logicalName] Logical name of the entity
+         * @param {String} [parameters.type] Type of the relationships: "OneToMany", "ManyToOne" or "ManyToMany". Required if logicalName is passed
+         * @param {String} [parameters.schemaName] Schema name of a single relationship to retrieve, if no logicalName is passed
+         * @param {Array<String>|String} [parameters.select] Properties to select
+         * @param {String} [parameters.filter] Filter for the relationships
+         * @return {Promise<Array<Object>|Object>|Array<Object>|Object}
+         * @memberof module:WebApiClient.Metadata
+         */
+        Metadata.getRelationships = function (parameters) {
+            var params = parameters || {};
+
+            if (params.logicalName) {
+                if (["OneToMany", "ManyToOne", "ManyToMany"].indexOf(params.type) === -1) {
+                    throw new Error("Relationship type has to be one of OneToMany, ManyToOne or ManyToMany!");
+                }
+
+                return Get(GetEntityPath(params) + "/" + params.type + "Relationships", params, GetValue);
+            }
+
+            if (params.schemaName) {
+                return Get("RelationshipDefinitions(SchemaName=" + Quote(params.schemaName) + ")" + GetTypeCast(params.type, "RelationshipMetadata"), params, GetResponse);
+            }
+
+            return Get("RelationshipDefinitions" + GetTypeCast(params.type === "ManyToOne" ? "OneToMany" : params.type, "RelationshipMetadata"), params, GetValue);
+        };
+
+        /**
+         * @description Removes all cached metadata of this client, including its entries in the configured storage.
+         * Entries of other clients or organizations that share the storage are kept
+         * @memberof module:WebApiClient.Metadata
+         */
+        Metadata.clearCache = function () {
+            var storage = GetStorage();
+
+            if (storage) {
+                var prefix = StoragePrefix + client.GetApiUrl();
+                var keys = [];
+
+                for (var i = 0; i < storage.length; i++) {
+                    keys.push(storage.key(i));
+                }
+
+                for (var j = 0; j < keys.length; j++) {
+                    if (keys[j] && keys[j].indexOf(prefix) === 0) {
+                        storage.removeItem(keys[j]);
+                    }
+                }
+            }
+
+            cache = {};
+        };
+
+        return Metadata;
+    }
+
+    module.exports = CreateMetadata;
+} ());
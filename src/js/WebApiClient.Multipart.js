@@ -0,0 +1,359 @@
+/**
+ * @description Parsing and serializing of multipart/mixed bodies as used by batch requests and responses
+ * @module Multipart
+ */
+(function(undefined) {
+    "use strict";
+
+    var CRLF = "\r\n";
+
+    var Multipart = {};
+
+    function GetRandomBytes (count) {
+        var bytes = [];
+        var crypto = typeof(window) !== "undefined" ? window.crypto || window.msCrypto : (typeof(global) !== "undefined" ? global.crypto : undefined);
+
+        if (crypto && crypto.getRandomValues) {
+            return Array.prototype.slice.call(crypto.getRandomValues(new Uint8Array(count)));
+        }
+
+        for (var i = 0; i < count; i++) {
+            bytes.push(Math.floor(Math.random() * 256));
+        }
+
+        return bytes;
+    }
+
+    function SplitLines (text) {
+        var lines = [];
+        var start = 0;
+
+        while (start <= text.length) {
+            var end = text.indexOf("\n", start);
+
+            if (end === -1) {
+                lines.push({ text: text.substring(start), newline: "" });
+                break;
+            }
+
+            // Lines are terminated by CRLF according to the spec, but plain LF is accepted as well
+            var lineEnd = end > start && text.charAt(end - 1) === "\r" ? end - 1 : end;
+
+            lines.push({ text: text.substring(start, lineEnd), newline: text.substring(lineEnd, end + 1) });
+            start = end + 1;
+        }
+
+        return lines;
+    }
+
+    function ParseHeaderLines (lines) {
+        var headers = {};
+
+        for (var i = 0; i < lines.length; i++) {
+            var delimiterIndex = lines[i].indexOf(":");
+
+            if (delimiterIndex <= 0) {
+                continue;
+            }
+
+            headers[lines[i].substring(0, delimiterIndex).trim()] = lines[i].substring(delimiterIndex + 1).trim();
+        }
+
+        return headers;
+    }
+
+    function SplitEntity (text) {
+        var lines = SplitLines(text);
+        var headerLines = [];
+        var i = 0;
+
+        // Skip line breaks before the headers, such as the one following the boundary of a part
+        while (i < lines.length && !lines[i].text && lines[i].newline) {
+            i++;
+        }
+
+        for (; i < lines.length && lines[i].text; i++) {
+            headerLines.push(lines[i].text);
+        }
+
+        var body = lines.slice(i + 1).map(function (line) {
+            return line.text + line.newline;
+        }).join("");
+
+        return { headerLines: headerLines, body: body };
+    }
+
+    /**
+     * @description Creates a random boundary in GUID format, such as "batch_5a0c35b4-a5a2-4b6e-9b1c-6f0e5c3b1f0a"
+     * @param {String} prefix Prefix of the boundary, such as "batch"
+     * @return {String}
+     * @memberof module:Multipart
+     */
+    Multipart.CreateBoundary = function (prefix) {
+        var hex = GetRandomBytes(16).map(function (byte, index) {
+            // Set version 4 and variant bits, as in random GUIDs
+            var value = index === 6 ? (byte & 0x0f) | 0x40 : (index === 8 ? (byte & 0x3f) | 0x80 : byte);
+
+            return (value < 16 ? "0" : "") + value.toString(16);
+        }).join("");
+
+        return prefix + "_" + [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join("-");
+    };
+
+    /**
+     * @description Gets a header value case insensitively
+     * @param {Object} headers Headers keyed by name
+     * @param {String} name Name of the header
+     * @return {String} - The value, undefined if not found
+     * @memberof module:Multipart
+     */
+    Multipart.GetHeader = function (headers, name) {
+        var lowerName = name.toLowerCase();
+
+        for (var key in headers) {
+            if (headers.hasOwnProperty(key) && key.toLowerCase() === lowerName) {
+                return headers[key];
+            }
+        }
+
+        return undefined;
+    };
+
+    /**
+     * @description Gets the boundary of a multipart content type, such as "multipart/mixed; boundary=batchresponse_1"
+     * @param {String} contentType The content type
+     * @return {String} - The boundary, null if it is not a multipart content type
+     * @memberof module:Multipart
+     */
+    Multipart.GetBoundary = function (contentType) {
+        if (!/^\s*multipart\//i.test(contentType || "")) {
+            return null;
+        }
+
+        var boundary = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+
+        return boundary ? boundary[1] || boundary[2] : null;
+    };
+
+    /**
+     * @description Creates a parser, that splits a multipart body into the raw text of its parts while the body is received in chunks.
+     * The text is scanned line by line, only lines that consist of a delimiter for the given boundary end a part, so the parts may contain any content.
+     * The line break before a delimiter belongs to the delimiter and is not included in the parts.
+     * Chunks may end anywhere, incomplete lines are kept until the following chunk arrives.
+     * @param {String} boundary The boundary, as passed in the content type
+     * @param {Function} onPart Called with the raw text of each part, as soon as the delimiter following it was received
+     * @return {{write: Function, end: Function}} - Pass each chunk to write and call end once the body is complete
+     * @memberof module:Multipart
+     */
+    Multipart.CreateParser = function (boundary, onPart) {
+        var delimiter = "--" + boundary;
+        var buffer = "";
+        var current = null;
+        var pendingNewline = "";
+        var closed = false;
+
+        function ReadLine (text, newline) {
+            var line = text.replace(/[ \t]+$/, "");
+
+            if (line === delimiter || line === delimiter + "--") {
+                if (current !== null) {
+                    onPart(current.join(""));
+                }
+
+                // Everything following the closing delimiter is epilogue
+                closed = line !== delimiter;
+                current = closed ? null : [];
+                return;
+            }
+
+            if (current === null) {
+                return;
+            }
+
+            // The line break preceding the next delimiter is part of the delimiter, so it is only added once another line follows
+            if (current.length) {
+                current[current.length - 1] += pendingNewline;
+            }
+
+            current.push(text);
+            pendingNewline = newline;
+        }
+
+        return {
+            write: function (chunk) {
+                var start = 0;
+
+                buffer += chunk || "";
+
+                while (!closed) {
+                    var end = buffer.indexOf("\n", start);
+
+                    if (end === -1) {
+                        break;
+                    }
+
+                    // Lines are terminated by CRLF according to the spec, but plain LF is accepted as well
+                    var lineEnd = end > start && buffer.charAt(end - 1) === "\r" ? end - 1 : end;
+
+                    ReadLine(buffer.substring(start, lineEnd), buffer.substring(lineEnd, end + 1));
+                    start = end + 1;
+                }
+
+                buffer = closed ? "" : buffer.substring(start);
+            },
+            end: function () {
+                if (closed) {
+                    return;
+                }
+
+                ReadLine(buffer, "");
+                buffer = "";
+
+                // Parts without closing delimiter are passed as well, as the body might be truncated
+                if (current !== null && current.length) {
+                    onPart(current.join(""));
+                }
+
+                current = null;
+                closed = true;
+            }
+        };
+    };
+
+    /**
+     * @description Splits a complete multipart body into the raw text of its parts, see Multipart.CreateParser
+     * @param {String} text The multipart body
+     * @param {String} boundary The boundary, as passed in the content type
+     * @return {Array<String>} - The parts, without preamble and epilogue
+     * @memberof module:Multipart
+     */
+    Multipart.Split = function (text, boundary) {
+        var parts = [];
+        var parser = Multipart.CreateParser(boundary, function (part) {
+            parts.push(part);
+        });
+
+        parser.write(text);
+        parser.end();
+
+        return parts;
+    };
+
+    /**
+     * @description Parses a part of a multipart body into its headers and body
+     * @param {String} text Raw text of the part
+     * @return {{headers: Object, body: String}}
+     * @memberof module:Multipart
+     */
+    Multipart.ParsePart = function (text) {
+        var entity = SplitEntity(text || "");
+
+        return {
+            headers: ParseHeaderLines(entity.headerLines),
+            body: entity.body
+        };
+    };
+
+    /**
+     * @description Parses an HTTP response message, as contained in application/http parts
+     * @param {String} text The HTTP message, starting with the status line such as "HTTP/1.1 200 OK"
+     * @return {{status: String, statusText: String, headers: Object, body: String}}
+     * @memberof module:Multipart
+     */
+    Multipart.ParseHttpResponse = function (text) {
+        var entity = SplitEntity(text || "");
+        var statusLine = entity.headerLines.length ? /^HTTP\/\S+\s+(\d{3})\s*(.*)$/i.exec(entity.headerLines[0]) : null;
+
+        return {
+            status: statusLine ? statusLine[1] : null,
+            statusText: statusLine ? statusLine[2] : "",
+            headers: ParseHeaderLines(statusLine ? entity.headerLines.slice(1) : entity.headerLines),
+            body: entity.body
+        };
+    };
+
+    /**
+     * @description Parses a body by its content type. JSON is parsed, other content is returned as text. Empty bodies are returned as null
+     * @param {String} body The body
+     * @param {String} [contentType] The content type of the body
+     * @return {Object|Array|String}
+     * @memberof module:Multipart
+     */
+    Multipart.ParseBody = function (body, contentType) {
+        var text = (body || "").trim();
+
+        if (!text) {
+            return null;
+        }
+
+        if (/json/i.test(contentType || "") || (!contentType && /^[\[{]/.test(text))) {
+            try {
+                return JSON.parse(text);
+            }
+            catch (e) {
+                return text;
+            }
+        }
+
+        return text;
+    };
+
+    /**
+     * @description Serializes a part of a multipart body, including its leading delimiter.
+     * Throws if the body contains the boundary, as the part could not be separated from the following parts then
+     * @param {String} boundary The boundary
+     * @param {Object} part
+     * @param {Array<{key:string,value:string}>} part.headers Headers of the part
+     * @param {String} part.body Body of the part
+     * @return {String}
+     * @memberof module:Multipart
+     */
+    Multipart.SerializePart = function (boundary, part) {
+        if (part.body.indexOf("--" + boundary) !== -1) {
+            throw new Error("Boundary " + boundary + " occurs in the payload of a part, please use a different name for the batch or change set!");
+        }
+
+        var text = "--" + boundary + CRLF;
+
+        for (var i = 0; i < part.headers.length; i++) {
+            text += part.headers[i].key + ": " + part.headers[i].value + CRLF;
+        }
+
+        return text + CRLF + part.body + CRLF;
+    };
+
+    /**
+     * @description Serializes a multipart body with CRLF line breaks
+     * @param {String} boundary The boundary
+     * @param {Array<Object>} parts Parts to serialize, each with headers and body, see SerializePart
+     * @return {String}
+     * @memberof module:Multipart
+     */
+    Multipart.Serialize = function (boundary, parts) {
+        var text = "";
+
+        for (var i = 0; i < parts.length; i++) {
+            text += Multipart.SerializePart(boundary, parts[i]);
+        }
+
+        return text + Multipart.SerializeEnd(boundary);
+    };
+
+    /**
+     * @description Serializes the close delimiter of a multipart body
+     * @param {String} boundary The boundary
+     * @return {String}
+     * @memberof module:Multipart
+     */
+    Multipart.SerializeEnd = function (boundary) {
+        return "--" + boundary + "--" + CRLF;
+    };
+
+    /**
+     * @property {String} CRLF - Line break used for serializing
+     * @memberof module:Multipart
+     */
+    Multipart.CRLF = CRLF;
+
+    module.exports = Multipart;
+} ());
@@ -0,0 +1,433 @@
+(function(undefined) {
+    "use strict";
+
+    var GuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /**
+     * Literal that is written to the query as is, without quoting or escaping
+     * @constructor
+     * @param {String} text Text of the literal
+     */
+    var Literal = function (text) {
+        this.text = text;
+    };
+
+    Literal.prototype.toString = function () {
+        return this.text;
+    };
+
+    function FormatValue (value) {
+        if (value === null || typeof(value) === "undefined") {
+            return "null";
+        }
+
+        if (value instanceof Literal) {
+            return value.text;
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (typeof(value) === "number" || typeof(value) === "boolean") {
+            return String(value);
+        }
+
+        // Single quotes inside string literals are escaped by doubling them
+        return "'" + String(value).replace(/'/g, "''") + "'";
+    }
+
+    function ToArray (args) {
+        if (args.length === 1 && Array.isArray(args[0])) {
+            return args[0];
+        }
+
+        return Array.prototype.slice.call(args);
+    }
+
+    function Combine (operator, args) {
+        var expressions = ToArray(args).filter(function (expression) {
+            return !!expression;
+        });
+
+        if (expressions.length === 1) {
+            return expressions[0];
+        }
+
+        return expressions.map(function (expression) {
+            return "(" + expression + ")";
+        }).join(" " + operator + " ");
+    }
+
+    function Compare (operator) {
+        return function (field, value) {
+            return field + " " + operator + " " + FormatValue(value);
+        };
+    }
+
+    function Call (name) {
+        return function (field, value) {
+            return name + "(" + field + "," + FormatValue(value) + ")";
+        };
+    }
+
+    // Keeps query option values readable, while encoding characters that would break the query string
+    function EncodeValue (value) {
+        return encodeURIComponent(value)
+            .replace(/%24/g, "$")
+            .replace(/%2C/g, ",")
+            .replace(/%3B/g, ";")
+            .replace(/%3D/g, "=")
+            .replace(/%2F/g, "/")
+            .replace(/%3A/g, ":")
+            .replace(/%40/g, "@");
+    }
+
+    /**
+     * Fluent builder for OData query options. Pass it as query parameter to WebApiClient.Retrieve.
+     * @constructor
+     * @example
+     * var query = new WebApiClient.Query()
+     *     .select("name", "revenue")
+     *     .filter(WebApiClient.Query.and(
+     *         WebApiClient.Query.eq("name", "O'Brien"),
+     *         WebApiClient.Query.gt("revenue", 1000)))
+     *     .orderBy("revenue", true)
+     *     .top(10);
+     *
+     * WebApiClient.Retrieve({entityName: "account", query: query});
+     * @memberof module:WebApiClient
+     */
+    var Query = function () {
+        /**
+         * @property {Array<String>} selects - Attributes to select
+         * @this {Query}
+         */
+        this.selects = [];
+
+        /**
+         * @property {Array<String>} filters - Filter expressions, which will be combined using "and"
+         * @this {Query}
+         */
+        this.filters = [];
+
+        /**
+         * @property {Array<String>} orders - Order by expressions
+         * @this {Query}
+         */
+        this.orders = [];
+
+        /**
+         * @property {Array<{property:String,query:Query}>} expands - Navigation properties to expand
+         * @this {Query}
+         */
+        this.expands = [];
+
+        /**
+         * @property {Number} topCount - Maximum number of records to return
+         * @this {Query}
+         */
+        this.topCount = null;
+
+        /**
+         * @property {bool} withCount - True for requesting the total record count
+         * @this {Query}
+         */
+        this.withCount = false;
+    };
+
+    /**
+     * @description Adds attributes to select. Accepts multiple attribute names or an array of attribute names
+     * @param {...String|Array<String>} attributes Attributes to select
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.select = function () {
+        this.selects = this.selects.concat(ToArray(arguments));
+
+        return this;
+    };
+
+    /**
+     * @description Adds a filter expression. Multiple filters are combined using "and"
+     * @param {String} expression Filter expression, use the operators of WebApiClient.Query for building it
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.filter = function (expression) {
+        if (expression) {
+            this.filters.push(expression);
+        }
+
+        return this;
+    };
+
+    /**
+     * @description Adds an attribute for ordering the results
+     * @param {String} attribute Attribute to order by
+     * @param {bool} [descending] True for ordering descending, defaults to ascending
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.orderBy = function (attribute, descending) {
+        this.orders.push(attribute + (descending ? " desc" : " asc"));
+
+        return this;
+    };
+
+    /**
+     * @description Limits the number of returned records
+     * @param {Number} count Maximum number of records
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.top = function (count) {
+        if (typeof(count) !== "number" || count < 0 || Math.floor(count) !== count) {
+            throw new Error("Top count has to be a non-negative integer!");
+        }
+
+        this.topCount = count;
+
+        return this;
+    };
+
+    /**
+     * @description Requests the total count of matching records, which is returned as @odata.count
+     * @param {bool} [enabled] Defaults to true
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.count = function (enabled) {
+        this.withCount = typeof(enabled) === "undefined" ? true : !!enabled;
+
+        return this;
+    };
+
+    /**
+     * @description Expands a navigation property
+     * @param {String} property Navigation property to expand
+     * @param {Query|Function} [query] Nested query with select, filter, orderBy and top, or a function that receives a new nested query for configuring it
+     * @return {Query}
+     * @this {Query}
+     */
+    Query.prototype.expand = function (property, query) {
+        var nested = query;
+
+        if (typeof(query) === "function") {
+            nested = new Query();
+            query(nested);
+        }
+
+        this.expands.push({
+            property: property,
+            query: nested
+        });
+
+        return this;
+    };
+
+    /**
+     * @description Builds the query options, separated by the given separator. Used internally for building nested expand options
+     * @param {String} separator Separator between the options
+     * @param {Function} encode Function for encoding the option values
+     * @return {String}
+     * @this {Query}
+     */
+    Query.prototype.buildOptions = function (separator, encode) {
+        var options = [];
+
+        if (this.selects.length) {
+            options.push("$select=" + encode(this.selects.join(",")));
+        }
+
+        if (this.filters.length) {
+            options.push("$filter=" + encode(Combine("and", this.filters)));
+        }
+
+        if (this.orders.length) {
+            options.push("$orderby=" + encode(this.orders.join(",")));
+        }
+
+        if (this.topCount !== null) {
+            options.push("$top=" + this.topCount);
+        }
+
+        if (this.withCount) {
+            options.push("$count=true");
+        }
+
+        if (this.expands.length) {
+            options.push("$expand=" + encode(this.expands.map(function (expand) {
+                var nested = expand.query ? expand.query.buildOptions(";", function (value) { return value; }) : "";
+
+                return expand.property + (nested ? "(" + nested + ")" : "");
+            }).join(",")));
+        }
+
+        return options.join(separator);
+    };
+
+    /**
+     * @description Builds the encoded query string, starting with "?". Returns an empty string if no options were set
+     * @return {String}
+     * @this {Query}
+     */
+    Query.prototype.build = function () {
+        var options = this.buildOptions("&", EncodeValue);
+
+        return options ? "?" + options : "";
+    };
+
+    Query.prototype.toString = function () {
+        return this.build();
+    };
+
+    /**
+     * @description Marks the value as GUID, so that it is not quoted
+     * @param {String} value GUID, with or without curly brackets
+     * @return {Object}
+     */
+    Query.guid = function (value) {
+        var guid = String(value).replace("{", "").replace("}", "");
+
+        if (!GuidPattern.test(guid)) {
+            throw new Error("Value '" + value + "' is not a valid GUID!");
+        }
+
+        return new Literal(guid);
+    };
+
+    /**
+     * @description Marks the value as date, so that it is formatted as ISO 8601 date time without quotes. Date objects are formatted automatically
+     * @param {Date|String|Number} value Date, or value that can be passed to the Date constructor
+     * @return {Object}
+     */
+    Query.date = function (value) {
+        var date = value instanceof Date ? value : new Date(value);
+
+        if (isNaN(date.getTime())) {
+            throw new Error("Value '" + value + "' is not a valid date!");
+        }
+
+        return new Literal(date.toISOString());
+    };
+
+    /**
+     * @description Marks the value as raw expression, which is inserted without quoting or escaping, such as enum values
+     * @param {String} value Raw value
+     * @return {Object}
+     */
+    Query.raw = function (value) {
+        return new Literal(String(value));
+    };
+
+    /**
+     * @description Creates an "equal" comparison. Strings are quoted and escaped, use WebApiClient.Query.guid for GUIDs
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.eq = Compare("eq");
+
+    /**
+     * @description Creates a "not equal" comparison
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.ne = Compare("ne");
+
+    /**
+     * @description Creates a "greater than" comparison
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.gt = Compare("gt");
+
+    /**
+     * @description Creates a "greater than or equal" comparison
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.ge = Compare("ge");
+
+    /**
+     * @description Creates a "less than" comparison
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.lt = Compare("lt");
+
+    /**
+     * @description Creates a "less than or equal" comparison
+     * @function
+     * @param {String} field Attribute to compare
+     * @param {*} value Value to compare with
+     * @return {String}
+     */
+    Query.le = Compare("le");
+
+    /**
+     * @description Creates a "contains" function call
+     * @function
+     * @param {String} field Attribute to search in
+     * @param {String} value Value to search for
+     * @return {String}
+     */
+    Query.contains = Call("contains");
+
+    /**
+     * @description Creates a "startswith" function call
+     * @function
+     * @param {String} field Attribute to search in
+     * @param {String} value Value to search for
+     * @return {String}
+     */
+    Query.startsWith = Call("startswith");
+
+    /**
+     * @description Creates an "endswith" function call
+     * @function
+     * @param {String} field Attribute to search in
+     * @param {String} value Value to search for
+     * @return {String}
+     */
+    Query.endsWith = Call("endswith");
+
+    /**
+     * @description Combines expressions using "and". Accepts multiple expressions or an array of expressions
+     * @param {...String|Array<String>} expressions Expressions to combine
+     * @return {String}
+     */
+    Query.and = function () {
+        return Combine("and", arguments);
+    };
+
+    /**
+     * @description Combines expressions using "or". Accepts multiple expressions or an array of expressions
+     * @param {...String|Array<String>} expressions Expressions to combine
+     * @return {String}
+     */
+    Query.or = function () {
+        return Combine("or", arguments);
+    };
+
+    /**
+     * @description Negates an expression
+     * @param {String} expression Expression to negate
+     * @return {String}
+     */
+    Query.not = function (expression) {
+        return "not (" + expression + ")";
+    };
+
+    module.exports = Query;
+} ());
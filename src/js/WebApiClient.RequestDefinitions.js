@@ -0,0 +1,138 @@
+(function(undefined) {
+    "use strict";
+
+    var ParseCsdl = require("./WebApiClient.Csdl.js");
+
+    var CollectionPattern = /^Collection\((.+)\)$/;
+
+    function Qualify (type, namespace) {
+        var collection = CollectionPattern.exec(type);
+
+        if (collection) {
+            return "Collection(" + Qualify(collection[1], namespace) + ")";
+        }
+
+        return type.indexOf(".") === -1 ? namespace + "." + type : type;
+    }
+
+    function GetKind (type, model) {
+        var collection = CollectionPattern.exec(type);
+        var elementType = collection ? collection[1] : type;
+
+        if (model.enumTypes[elementType]) {
+            return "enum";
+        }
+
+        if (model.entityTypes[elementType]) {
+            return "entity";
+        }
+
+        if (model.complexTypes[elementType]) {
+            return "complex";
+        }
+
+        return elementType.indexOf("Edm.") === 0 ? "primitive" : "complex";
+    }
+
+    function CreateDefinition (operation, name, method, model) {
+        var parameters = operation.parameters;
+        var definition = {
+            name: name,
+            method: method,
+            bound: operation.isBound,
+            entityName: ""
+        };
+
+        if (operation.isBound) {
+            var bindingType = parameters[0].type;
+            var collection = CollectionPattern.exec(bindingType);
+
+            // Operations bound to crmbaseentity can be executed on any entity, so the entityName has to be passed on execution
+            definition.entityName = (collection ? collection[1] : bindingType).replace(/^crmbaseentity$/, "");
+            definition.boundToCollection = !!collection;
+            parameters = parameters.slice(1);
+        }
+
+        definition.parameters = parameters.map(function (parameter) {
+            return {
+                name: parameter.name,
+                type: Qualify(parameter.type, model.namespace),
+                kind: GetKind(parameter.type, model),
+                optional: parameter.optional || parameter.nullable
+            };
+        });
+
+        definition.returnType = operation.returnType ? Qualify(operation.returnType, model.namespace) : null;
+
+        return definition;
+    }
+
+    function FindOperation (operations, name) {
+        for (var i = 0; i < operations.length; i++) {
+            if (operations[i].name === name && !operations[i].isBound) {
+                return operations[i];
+            }
+        }
+
+        return null;
+    }
+
+    function AddDefinition (definitions, definition) {
+        var existing = definitions[definition.name];
+
+        if (!existing) {
+            definitions[definition.name] = definition;
+            return;
+        }
+
+        // Overloads bound to different entities share one request, the entityName has to be passed on execution then
+        if (existing.bound && definition.bound && existing.entityName !== definition.entityName) {
+            existing.entityName = "";
+        }
+    }
+
+    /**
+     * @description Creates request definitions for all actions and functions of a CSDL document.
+     * Unbound operations are taken from their ActionImport and FunctionImport elements, bound operations from their Action and Function elements.
+     * @param {String} csdl CSDL XML document, such as the response of the $metadata endpoint
+     * @return {Array<Object>} - Definitions sorted by name, containing name, method, bound, boundToCollection, entityName, parameters (name, type, kind and optional) and returnType
+     */
+    function GetRequestDefinitions (csdl) {
+        var model = ParseCsdl(csdl);
+        var definitions = {};
+
+        model.functionImports.forEach(function (functionImport) {
+            var operation = FindOperation(model.functions, functionImport.operation);
+
+            if (operation) {
+                AddDefinition(definitions, CreateDefinition(operation, functionImport.name, "GET", model));
+            }
+        });
+
+        model.actionImports.forEach(function (actionImport) {
+            var operation = FindOperation(model.actions, actionImport.operation);
+
+            if (operation) {
+                AddDefinition(definitions, CreateDefinition(operation, actionImport.name, "POST", model));
+            }
+        });
+
+        model.functions.forEach(function (operation) {
+            if (operation.isBound && operation.parameters.length) {
+                AddDefinition(definitions, CreateDefinition(operation, operation.name, "GET", model));
+            }
+        });
+
+        model.actions.forEach(function (operation) {
+            if (operation.isBound && operation.parameters.length) {
+                AddDefinition(definitions, CreateDefinition(operation, operation.name, "POST", model));
+            }
+        });
+
+        return Object.keys(definitions).sort().map(function (name) {
+            return definitions[name];
+        });
+    }
+
+    module.exports = GetRequestDefinitions;
+} ());
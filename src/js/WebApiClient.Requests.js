@@ -6,6 +6,7 @@
     "use strict";
 
     var WebApiClient = require("./WebApiClient.Core.js");
+    var GetRequestDefinitions = require("./WebApiClient.RequestDefinitions.js");
 
     function AppendRequestParams(url, params) {
         url += "(";
@@ -28,7 +29,216 @@
         return url;
     }
 
-    function AppendParamValues (url, params) {
+    function FindParameter (declared, name) {
+        if (!declared) {
+            return null;
+        }
+
+        for (var i = 0; i < declared.length; i++) {
+            if (declared[i].name === name) {
+                return declared[i];
+            }
+        }
+
+        return null;
+    }
+
+    function GetKind (descriptor) {
+        return descriptor.kind || (descriptor.type.indexOf("Edm.") === 0 ? "primitive" : "complex");
+    }
+
+    function GetElementType (type) {
+        var collection = /^Collection\((.+)\)$/.exec(type);
+
+        return collection ? collection[1] : null;
+    }
+
+    function RemoveBrackets (value) {
+        return String(value).replace("{", "").replace("}", "");
+    }
+
+    function FormatDate (value, type) {
+        if (!(value instanceof Date)) {
+            return String(value);
+        }
+
+        return type === "Edm.Date" ? value.toISOString().substring(0, 10) : value.toISOString();
+    }
+
+    function ToEntityReference (value, client) {
+        if (value && value.entityName && value.entityId) {
+            return { "@odata.id": client.GetSetName(value.entityName) + "(" + RemoveBrackets(value.entityId) + ")" };
+        }
+
+        return value;
+    }
+
+    // Values inside of collections and complex types are written as JSON
+    function ToJsonValue (value, descriptor, client) {
+        var kind = GetKind(descriptor);
+
+        if (value === null || typeof(value) === "undefined") {
+            return null;
+        }
+
+        if (kind === "entity") {
+            return ToEntityReference(value, client);
+        }
+
+        if (descriptor.type === "Edm.Guid") {
+            return RemoveBrackets(value);
+        }
+
+        if (descriptor.type === "Edm.Date" || descriptor.type === "Edm.DateTimeOffset") {
+            return FormatDate(value, descriptor.type);
+        }
+
+        if (kind === "enum") {
+            return String(value);
+        }
+
+        return value;
+    }
+
+    function SerializeValue (value, descriptor, client) {
+        var elementType = GetElementType(descriptor.type);
+        var kind = GetKind(descriptor);
+
+        if (value === null || typeof(value) === "undefined") {
+            return "null";
+        }
+
+        if (elementType) {
+            var element = { type: elementType, kind: descriptor.kind };
+
+            return JSON.stringify(value.map(function (item) {
+                return ToJsonValue(item, element, client);
+            }));
+        }
+
+        switch (kind) {
+            case "entity":
+                return JSON.stringify(ToEntityReference(value, client));
+            case "complex":
+                return JSON.stringify(value);
+            case "enum":
+                return descriptor.type + "'" + value + "'";
+        }
+
+        switch (descriptor.type) {
+            case "Edm.String":
+                return "'" + String(value).replace(/'/g, "''") + "'";
+            case "Edm.Guid":
+                return RemoveBrackets(value);
+            case "Edm.Date":
+            case "Edm.DateTimeOffset":
+                return FormatDate(value, descriptor.type);
+            case "Edm.Binary":
+                return "binary'" + value + "'";
+            case "Edm.Duration":
+                return "duration'" + value + "'";
+            default:
+                return String(value);
+        }
+    }
+
+    var StringLiteralPattern = /^'(?:[^']|'')*'$/;
+    var EnumLiteralPattern = /^[\w.]+'[^']*'$/;
+    var NumberLiteralPattern = /^-?\d+(\.\d+)?$/;
+
+    // Values that were serialized by the caller, as was needed before parameters were declared, are kept as passed
+    function IsSerialized (value, descriptor) {
+        if (typeof(value) !== "string") {
+            return false;
+        }
+
+        if (GetElementType(descriptor.type)) {
+            return /^\s*\[/.test(value);
+        }
+
+        switch (GetKind(descriptor)) {
+            case "entity":
+            case "complex":
+                return true;
+            case "enum":
+                return EnumLiteralPattern.test(value);
+        }
+
+        switch (descriptor.type) {
+            case "Edm.String":
+                return StringLiteralPattern.test(value);
+            case "Edm.Boolean":
+                return value === "true" || value === "false";
+            case "Edm.Byte":
+            case "Edm.SByte":
+            case "Edm.Int16":
+            case "Edm.Int32":
+            case "Edm.Int64":
+            case "Edm.Decimal":
+            case "Edm.Double":
+            case "Edm.Single":
+                return NumberLiteralPattern.test(value);
+            default:
+                return false;
+        }
+    }
+
+    var GuidPattern = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+
+    function IsObject (value) {
+        return typeof(value) === "object" && !Array.isArray(value);
+    }
+
+    function IsValidValue (value, descriptor, isUrlParam) {
+        var elementType = GetElementType(descriptor.type);
+        var kind = GetKind(descriptor);
+
+        // URL parameters might be serialized by the caller
+        if (isUrlParam && IsSerialized(value, descriptor)) {
+            return true;
+        }
+
+        if (elementType) {
+            var element = { type: elementType, kind: descriptor.kind };
+
+            return Array.isArray(value) && value.every(function (item) {
+                return IsValidValue(item, element, false);
+            });
+        }
+
+        if (kind === "entity" || kind === "complex") {
+            return IsObject(value);
+        }
+
+        if (kind === "enum") {
+            return typeof(value) === "string" || typeof(value) === "number";
+        }
+
+        switch (descriptor.type) {
+            case "Edm.Boolean":
+                return typeof(value) === "boolean";
+            case "Edm.Byte":
+            case "Edm.SByte":
+            case "Edm.Int16":
+            case "Edm.Int32":
+                return typeof(value) === "number" && Math.floor(value) === value;
+            case "Edm.Int64":
+                return (typeof(value) === "number" && Math.floor(value) === value) || (typeof(value) === "string" && /^-?\d+$/.test(value));
+            case "Edm.Decimal":
+            case "Edm.Double":
+            case "Edm.Single":
+                return typeof(value) === "number";
+            case "Edm.Guid":
+                return typeof(value) === "string" && GuidPattern.test(value);
+            case "Edm.Date":
+            case "Edm.DateTimeOffset":
+                return value instanceof Date ? !isNaN(value.getTime()) : typeof(value) === "string" && !isNaN(new Date(value).getTime());
+            default:
+                return typeof(value) === "string";
+        }
+    }
+
+    function AppendParamValues (url, params, declared, client) {
         var paramCount = 1;
 
         for (var parameter in params) {
@@ -44,7 +254,10 @@
             }
             paramCount++;
 
-            url += params[parameter];
+            var descriptor = FindParameter(declared, parameter);
+
+            // Parameters without declared type and serialized values are appended as passed, for staying compatible with manually serialized values
+            url += descriptor && !IsSerialized(params[parameter], descriptor) ? encodeURIComponent(SerializeValue(params[parameter], descriptor, client)) : params[parameter];
         }
 
         return url;
@@ -59,12 +272,16 @@
      * @param {String} parameters.method The HTTP method of the request, such as GET / POST / ...
      * @param {String} parameters.name The name of the request
      * @param {bool} [parameters.bound] Determines if request is bound, i.e. always executed regarding a distinct record, or not. Defaults to false
+     * @param {bool} [parameters.boundToCollection] Determines if a bound request is executed on the entity set instead of a distinct record. Defaults to false
      * @param {String} [parameters.entityName] Name of the request if it is bound to an entity
      * @param {String} [parameters.entityId] Record ID if bound to an entity
      * @param {Object} [parameters.payload] Message body for this request
      * @param {Array<{key:string, value:string}>} [parameters.headers] Headers to append to this request
      * @param {Object} [parameters.urlParams] Object with key-value pairs that will be appended to the URL of a GET request. Used for calling functions with parameters
      * @param {bool} [parameters.async] Determines if request is sent async or not. Defaults to async
+     * @param {Array<{name:string, type:string, kind:string, optional:bool}>} [parameters.parameters] Declared parameters of the request. Types are CSDL type names such as Edm.String or Collection(Edm.Guid), kind is one of primitive, enum, entity or complex.
+     * Declared urlParams are serialized by their type, so pass plain values such as strings, dates, enum member names, arrays, or entity references as {entityName, entityId}
+     * @param {bool} [parameters.validate] True for validating the declared parameters before executing the request. Defaults to true for registered requests and false for predefined ones
      * @memberof module:Requests
      * @this {Request}
      * @alias WebApiClient.Requests.Request
@@ -73,12 +290,15 @@
         this.method = "";
         this.name = "";
         this.bound = false;
+        this.boundToCollection = false;
         this.entityName = "";
         this.entityId = "";
         this.payload = null;
         this.headers = null;
         this.urlParams = null;
         this.async = true;
+        this.parameters = null;
+        this.validate = false;
     };
 
     /**
@@ -102,18 +322,59 @@
         return request;
     };
 
+    /**
+     * @description Checks the payload of actions or the urlParams of functions against the declared parameters.
+     * Requests without declared parameters are not checked.
+     * @return {Array<String>} - Descriptions of missing or mistyped parameters, empty if all parameters are valid
+     * @this {Request}
+     */
+    Requests.Request.prototype.validateParameters = function () {
+        var declared = this.parameters;
+        var isUrlParam = this.method === "GET";
+        var values = (isUrlParam ? this.urlParams : this.payload) || {};
+        var problems = [];
+
+        if (!declared) {
+            return problems;
+        }
+
+        for (var i = 0; i < declared.length; i++) {
+            var descriptor = declared[i];
+            var value = values[descriptor.name];
+
+            if (value === null || typeof(value) === "undefined") {
+                if (!descriptor.optional) {
+                    problems.push(descriptor.name + " is missing");
+                }
+
+                continue;
+            }
+
+            if (!IsValidValue(value, descriptor, isUrlParam)) {
+                problems.push(descriptor.name + " has to be of type " + descriptor.type);
+            }
+        }
+
+        return problems;
+    };
+
     /**
      * @description Builds URL for sending a HTTP request based on the information provided by the request
+     * @param {Object} [client] Client instance to use for building the URL, defaults to the global WebApiClient
      * @return {String}
      * @this {Request}
      */
-    Requests.Request.prototype.buildUrl = function() {
-        var baseUrl = WebApiClient.GetApiUrl();
+    Requests.Request.prototype.buildUrl = function(client) {
+        var webApiClient = client || WebApiClient;
+        var baseUrl = webApiClient.GetApiUrl();
         var url = baseUrl;
 
         if (this.bound && this.entityId) {
             var entityId = this.entityId.replace("{", "").replace("}", "");
-            url += WebApiClient.GetSetName(this.entityName) + "(" + entityId + ")/";
+            url += webApiClient.GetSetName(this.entityName) + "(" + entityId + ")/";
+        }
+        else if (this.bound && this.boundToCollection) {
+            url += webApiClient.GetSetName(this.entityName) + "/";
         }
 
         if (this.bound && this.name.indexOf("Microsoft.Dynamics.CRM.") === -1) {
@@ -123,7 +384,7 @@
 
         if (this.urlParams) {
             url = AppendRequestParams(url, this.urlParams);
-            url = AppendParamValues(url, this.urlParams);
+            url = AppendParamValues(url, this.urlParams, this.parameters, webApiClient);
         } else {
             url += "()";
         }
@@ -131,6 +392,56 @@
         return url;
     };
 
+    function Define (value) {
+        return {
+            value: value,
+            writable: true
+        };
+    }
+
+    /**
+     * @description Registers requests for the actions and functions of a CSDL document, such as custom actions and Custom APIs.
+     * Each request is added as WebApiClient.Requests.[Name]Request, for example new_CustomActionRequest.
+     * Registered requests validate their parameters before being executed, as their declarations stem from the organization's metadata.
+     * @param {String|Array<Object>} csdl CSDL document as returned by the $metadata endpoint, or request definitions generated by the webapiclient-requests command
+     * @param {Object} [options]
+     * @param {bool} [options.overwrite] True for replacing requests that already exist. Defaults to false
+     * @return {Array<String>} - Names of the registered requests
+     * @memberof module:Requests
+     */
+    Requests.Register = function (csdl, options) {
+        var params = options || {};
+        var definitions = Array.isArray(csdl) ? csdl : GetRequestDefinitions(csdl);
+        var registered = [];
+
+        for (var i = 0; i < definitions.length; i++) {
+            var definition = definitions[i];
+            var key = definition.name + "Request";
+
+            if (!definition.name || !definition.method) {
+                throw new Error("Request definitions need a name and a method!");
+            }
+
+            if (Requests[key] && !params.overwrite) {
+                continue;
+            }
+
+            Requests[key] = Object.create(Requests.Request.prototype, {
+                method: Define(definition.method),
+                name: Define(definition.name),
+                bound: Define(!!definition.bound),
+                boundToCollection: Define(!!definition.boundToCollection),
+                entityName: Define(definition.entityName || ""),
+                parameters: Define(definition.parameters || []),
+                validate: Define(true)
+            });
+
+            registered.push(key);
+        }
+
+        return registered;
+    };
+
     // Functions
 
     /**
@@ -148,6 +459,13 @@
         name: {
             value: "CalculateRollupField",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "FieldName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -174,6 +492,10 @@
         entityName: {
             value: "incident",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -192,6 +514,18 @@
         name: {
             value: "CheckIncomingEmail",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MessageId", type: "Edm.String" },
+                { name: "Subject", type: "Edm.String" },
+                { name: "From", type: "Edm.String" },
+                { name: "To", type: "Edm.String" },
+                { name: "Cc", type: "Edm.String", optional: true },
+                { name: "Bcc", type: "Edm.String", optional: true },
+                { name: "ExtraProperties", type: "Collection(Microsoft.Dynamics.CRM.AttributeMetadata)", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -210,6 +544,13 @@
         name: {
             value: "CheckPromoteEmail",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MessageId", type: "Edm.String" },
+                { name: "DirectionCode", type: "Edm.Int32", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -236,6 +577,10 @@
         entityName: {
             value: "report",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -262,6 +607,13 @@
         entityName: {
             value: "calendar",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Start", type: "Edm.DateTimeOffset" },
+                { name: "End", type: "Edm.DateTimeOffset" }
+            ],
+            writeable: true
         }
     });
 
@@ -280,6 +632,12 @@
         name: {
             value: "ExportFieldTranslation",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SolutionName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -298,6 +656,12 @@
         name: {
             value: "FetchXmlToQueryExpression",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FetchXml", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -324,6 +688,12 @@
         entityName: {
             value: "resourcegroup",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ChildrenIds", type: "Collection(Edm.Guid)" }
+            ],
+            writeable: true
         }
     });
 
@@ -346,6 +716,12 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "LocaleId", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -368,6 +744,13 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -394,6 +777,14 @@
         entityName: {
             value: "importfile",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "columnNumber", type: "Edm.Int32" },
+                { name: "pageNumber", type: "Edm.Int32" },
+                { name: "recordsPerPage", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -420,6 +811,10 @@
         entityName: {
             value: "importfile",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -442,6 +837,13 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ProductId", type: "Edm.Guid" },
+                { name: "UoMId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -468,6 +870,10 @@
         entityName: {
             value: "report",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -486,6 +892,13 @@
         name: {
             value: "GetTimeZoneCodeByLocalizedName",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "LocalizedStandardName", type: "Edm.String" },
+                { name: "LocaleId", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -504,6 +917,10 @@
         name: {
             value: "GetValidManyToMany",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -522,6 +939,12 @@
         name: {
             value: "GetValidReferencedEntities",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ReferencingEntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -540,6 +963,12 @@
         name: {
             value: "GetValidReferencingEntities",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ReferencedEntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -558,6 +987,15 @@
         name: {
             value: "IncrementKnowledgeArticleViewCount",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Source", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "ViewDate", type: "Edm.DateTimeOffset" },
+                { name: "Location", type: "Edm.Int32" },
+                { name: "Count", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -576,6 +1014,14 @@
         name: {
             value: "InitializeFrom",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityMoniker", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TargetEntityName", type: "Edm.String" },
+                { name: "TargetFieldType", type: "Microsoft.Dynamics.CRM.TargetFieldType", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -594,6 +1040,13 @@
         name: {
             value: "IsComponentCustomizable",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ComponentId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -612,6 +1065,10 @@
         name: {
             value: "IsDataEncryptionActive",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -630,6 +1087,14 @@
         name: {
             value: "IsValidStateTransition",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Entity", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "NewState", type: "Edm.String" },
+                { name: "NewStatus", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -648,6 +1113,15 @@
         name: {
             value: "QueryMultipleSchedules",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ResourceIds", type: "Collection(Edm.Guid)" },
+                { name: "Start", type: "Edm.DateTimeOffset" },
+                { name: "End", type: "Edm.DateTimeOffset" },
+                { name: "TimeCodes", type: "Collection(Microsoft.Dynamics.CRM.TimeCode)", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -666,6 +1140,15 @@
         name: {
             value: "QuerySchedule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ResourceId", type: "Edm.Guid" },
+                { name: "Start", type: "Edm.DateTimeOffset" },
+                { name: "End", type: "Edm.DateTimeOffset" },
+                { name: "TimeCodes", type: "Collection(Microsoft.Dynamics.CRM.TimeCode)", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -688,6 +1171,10 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -706,6 +1193,12 @@
         name: {
             value: "RetrieveActivePath",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ProcessInstanceId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -732,6 +1225,10 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -750,6 +1247,13 @@
         name: {
             value: "RetrieveAllEntities",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityFilters", type: "Microsoft.Dynamics.CRM.EntityFilters", kind: "enum" },
+                { name: "RetrieveAsIfPublished", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -768,6 +1272,10 @@
         name: {
             value: "RetrieveApplicationRibbon",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -786,6 +1294,10 @@
         name: {
             value: "RetrieveAuditPartitionList",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -804,6 +1316,10 @@
         name: {
             value: "RetrieveAvailableLanguages",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -830,6 +1346,12 @@
         entityName: {
             value: "businessunit",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -856,6 +1378,12 @@
         entityName: {
             value: "resourcegroup",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -882,6 +1410,12 @@
         entityName: {
             value: "resource",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -900,6 +1434,13 @@
         name: {
             value: "RetrieveByResourcesService",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ResourceIds", type: "Collection(Edm.Guid)" },
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -926,6 +1467,10 @@
         entityName: {
             value: "product",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -952,6 +1497,10 @@
         entityName: {
             value: "subject",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -970,6 +1519,12 @@
         name: {
             value: "RetrieveCurrentOrganization",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "AccessType", type: "Microsoft.Dynamics.CRM.EndpointAccessType", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -988,6 +1543,10 @@
         name: {
             value: "RetrieveDataEncryptionKey",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1006,6 +1565,13 @@
         name: {
             value: "RetrieveDependenciesForDelete",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ObjectId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1024,6 +1590,12 @@
         name: {
             value: "RetrieveDependenciesForUninstall",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SolutionUniqueName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -1042,6 +1614,13 @@
         name: {
             value: "RetrieveDependentComponents",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ObjectId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1060,6 +1639,10 @@
         name: {
             value: "RetrieveDeploymentLicenseType",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1078,6 +1661,10 @@
         name: {
             value: "RetrieveDeprovisionedLanguages",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1096,6 +1683,14 @@
         name: {
             value: "RetrieveDuplicates",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "BusinessEntity", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "MatchingEntityName", type: "Edm.String" },
+                { name: "PagingInfo", type: "Microsoft.Dynamics.CRM.PagingInfo", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1114,6 +1709,15 @@
         name: {
             value: "RetrieveEntityChanges",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" },
+                { name: "Columns", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex" },
+                { name: "PageInfo", type: "Microsoft.Dynamics.CRM.PagingInfo", kind: "complex" },
+                { name: "DataVersion", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -1132,6 +1736,13 @@
         name: {
             value: "RetrieveEntityRibbon",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" },
+                { name: "RibbonLocationFilter", type: "Microsoft.Dynamics.CRM.RibbonLocationFilters", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -1150,6 +1761,13 @@
         name: {
             value: "RetrieveExchangeAppointments",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "StartDate", type: "Edm.DateTimeOffset", optional: true },
+                { name: "EndDate", type: "Edm.DateTimeOffset", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -1168,6 +1786,12 @@
         name: {
             value: "RetrieveExchangeRate",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TransactionCurrencyId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1190,6 +1814,14 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityLogicalName", type: "Edm.String" },
+                { name: "FormType", type: "Microsoft.Dynamics.CRM.OptionSetValue", kind: "complex" },
+                { name: "SystemUserId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1208,6 +1840,12 @@
         name: {
             value: "RetrieveFormattedImportJobResults",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ImportJobId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1226,6 +1864,10 @@
         name: {
             value: "RetrieveInstalledLanguagePacks",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1244,6 +1886,12 @@
         name: {
             value: "RetrieveInstalledLanguagePackVersion",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Language", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1262,6 +1910,12 @@
         name: {
             value: "RetrieveLicenseInfo",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "AccessMode", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1280,6 +1934,14 @@
         name: {
             value: "RetrieveLocLabels",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityMoniker", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "AttributeName", type: "Edm.String" },
+                { name: "IncludeUnpublished", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -1298,6 +1960,12 @@
         name: {
             value: "RetrieveMailboxTrackingFolders",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MailboxId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1324,6 +1992,15 @@
         entityName: {
             value: "bulkoperation",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "BulkOperationId", type: "Edm.Guid" },
+                { name: "BulkOperationSource", type: "Edm.Int32" },
+                { name: "EntitySource", type: "Edm.Int32" },
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1342,6 +2019,12 @@
         name: {
             value: "RetrieveMissingComponents",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "CustomizationFile", type: "Edm.Binary" }
+            ],
+            writeable: true
         }
     });
 
@@ -1360,6 +2043,12 @@
         name: {
             value: "RetrieveMissingDependencies",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SolutionUniqueName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -1378,6 +2067,10 @@
         name: {
             value: "RetrieveOrganizationResources",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1396,6 +2089,13 @@
         name: {
             value: "RetrieveParentGroupsResourceGroup",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ResourceGroupId", type: "Edm.Guid" },
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1414,6 +2114,13 @@
         name: {
             value: "RetrieveParsedDataImportFile",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ImportFileId", type: "Edm.Guid" },
+                { name: "PagingInfo", type: "Microsoft.Dynamics.CRM.PagingInfo", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1436,6 +2143,20 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "PageNumber", type: "Edm.Int32" },
+                { name: "PageSize", type: "Edm.Int32" },
+                { name: "CommentsPerPost", type: "Edm.Int32" },
+                { name: "StartDate", type: "Edm.DateTimeOffset", optional: true },
+                { name: "EndDate", type: "Edm.DateTimeOffset", optional: true },
+                { name: "Type", type: "Edm.String", optional: true },
+                { name: "Source", type: "Edm.String", optional: true },
+                { name: "SortDirection", type: "Edm.Boolean", optional: true },
+                { name: "Keyword", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -1458,6 +2179,12 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -1480,6 +2207,10 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1502,6 +2233,10 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1524,6 +2259,10 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1542,6 +2281,12 @@
         name: {
             value: "RetrieveProcessInstances",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1564,6 +2309,10 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1582,6 +2331,12 @@
         name: {
             value: "RetrieveProvisionedLanguagePackVersion",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Language", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1600,6 +2355,10 @@
         name: {
             value: "RetrieveProvisionedLanguages",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1622,6 +2381,20 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "PageNumber", type: "Edm.Int32" },
+                { name: "PageSize", type: "Edm.Int32" },
+                { name: "CommentsPerPost", type: "Edm.Int32" },
+                { name: "StartDate", type: "Edm.DateTimeOffset", optional: true },
+                { name: "EndDate", type: "Edm.DateTimeOffset", optional: true },
+                { name: "Type", type: "Edm.String", optional: true },
+                { name: "Source", type: "Edm.String", optional: true },
+                { name: "SortDirection", type: "Edm.Boolean", optional: true },
+                { name: "Keyword", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -1640,6 +2413,13 @@
         name: {
             value: "RetrieveRequiredComponents",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ObjectId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1658,6 +2438,12 @@
         name: {
             value: "RetrieveRolePrivilegesRole",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "RoleId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -1684,6 +2470,13 @@
         entityName: {
             value: "resourcegroup",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "ResourceGroupId", type: "Edm.Guid", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -1710,6 +2503,10 @@
         entityName: {
             value: "team",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1728,6 +2525,10 @@
         name: {
             value: "RetrieveTimestamp",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1750,6 +2551,12 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1776,6 +2583,10 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1802,6 +2613,12 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "IncludePublic", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -1820,6 +2637,10 @@
         name: {
             value: "RetrieveVersion",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1838,6 +2659,14 @@
         name: {
             value: "Rollup",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "RollupType", type: "Microsoft.Dynamics.CRM.RollupType", kind: "enum" }
+            ],
+            writeable: true
         }
     });
 
@@ -1856,6 +2685,12 @@
         name: {
             value: "Search",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "AppointmentRequest", type: "Microsoft.Dynamics.CRM.AppointmentRequest", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1878,6 +2713,15 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SearchText", type: "Edm.String" },
+                { name: "SubjectId", type: "Edm.Guid", optional: true },
+                { name: "UseInflection", type: "Edm.Boolean" },
+                { name: "QueryExpression", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1900,6 +2744,15 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SearchText", type: "Edm.String" },
+                { name: "SubjectId", type: "Edm.Guid", optional: true },
+                { name: "UseInflection", type: "Edm.Boolean" },
+                { name: "QueryExpression", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1922,6 +2775,15 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SearchText", type: "Edm.String" },
+                { name: "SubjectId", type: "Edm.Guid", optional: true },
+                { name: "UseInflection", type: "Edm.Boolean" },
+                { name: "QueryExpression", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -1940,6 +2802,12 @@
         name: {
             value: "ValidateRecurrenceRule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -1958,6 +2826,10 @@
         name: {
             value: "WhoAmI",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -1982,6 +2854,13 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityId", type: "Edm.Guid" },
+                { name: "EntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2000,6 +2879,14 @@
         name: {
             value: "AddItemCampaignActivity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "CampaignActivityId", type: "Edm.Guid" },
+                { name: "ItemId", type: "Edm.Guid" },
+                { name: "EntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2018,6 +2905,13 @@
         name: {
             value: "AddListMembersList",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "List", type: "Microsoft.Dynamics.CRM.list", kind: "entity" },
+                { name: "Members", type: "Collection(Microsoft.Dynamics.CRM.crmbaseentity)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2044,6 +2938,12 @@
         entityName: {
             value: "list",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -2070,6 +2970,12 @@
         entityName: {
             value: "team",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Members", type: "Collection(Microsoft.Dynamics.CRM.systemuser)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2096,6 +3002,12 @@
         entityName: {
             value: "queue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Principal", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2122,6 +3034,12 @@
         entityName: {
             value: "role",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Privileges", type: "Collection(Microsoft.Dynamics.CRM.RolePrivilege)", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -2148,6 +3066,12 @@
         entityName: {
             value: "appointment",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2166,6 +3090,17 @@
         name: {
             value: "AddSolutionComponent",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ComponentId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" },
+                { name: "SolutionUniqueName", type: "Edm.String" },
+                { name: "AddRequiredComponents", type: "Edm.Boolean" },
+                { name: "DoNotIncludeSubcomponents", type: "Edm.Boolean", optional: true },
+                { name: "IncludedComponentSettingsValues", type: "Collection(Edm.String)", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2192,6 +3127,14 @@
         entityName: {
             value: "queue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "SourceQueue", type: "Microsoft.Dynamics.CRM.queue", kind: "entity", optional: true },
+                { name: "QueueItemProperties", type: "Microsoft.Dynamics.CRM.queueitem", kind: "entity", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2218,6 +3161,13 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Record", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TeamTemplate", type: "Microsoft.Dynamics.CRM.teamtemplate", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2236,6 +3186,12 @@
         name: {
             value: "ApplyRecordCreationAndUpdateRule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2254,6 +3210,12 @@
         name: {
             value: "ApplyRoutingRule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2272,6 +3234,12 @@
         name: {
             value: "AutoMapEntity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ImportMapId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -2290,6 +3258,13 @@
         name: {
             value: "Book",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "ReturnNotifications", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2308,6 +3283,20 @@
         name: {
             value: "BulkDelete",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QuerySet", type: "Collection(Microsoft.Dynamics.CRM.QueryExpression)", kind: "complex" },
+                { name: "JobName", type: "Edm.String" },
+                { name: "SendEmailNotification", type: "Edm.Boolean" },
+                { name: "ToRecipients", type: "Collection(Edm.Guid)" },
+                { name: "CCRecipients", type: "Collection(Edm.Guid)" },
+                { name: "RecurrencePattern", type: "Edm.String" },
+                { name: "StartDateTime", type: "Edm.DateTimeOffset" },
+                { name: "SourceImportId", type: "Edm.Guid", optional: true },
+                { name: "RunNow", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2326,6 +3315,19 @@
         name: {
             value: "BulkDetectDuplicates",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "JobName", type: "Edm.String" },
+                { name: "SendEmailNotification", type: "Edm.Boolean" },
+                { name: "TemplateId", type: "Edm.Guid", optional: true },
+                { name: "ToRecipients", type: "Collection(Edm.Guid)", optional: true },
+                { name: "CCRecipients", type: "Collection(Edm.Guid)", optional: true },
+                { name: "RecurrencePattern", type: "Edm.String", optional: true },
+                { name: "RecurrenceStartTime", type: "Edm.DateTimeOffset", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2352,6 +3354,10 @@
         entityName: {
             value: "opportunity",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2370,6 +3376,13 @@
         name: {
             value: "CalculatePrice",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "ParentId", type: "Edm.Guid", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2388,6 +3401,12 @@
         name: {
             value: "CanBeReferenced",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2406,6 +3425,12 @@
         name: {
             value: "CanBeReferencing",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2432,6 +3457,13 @@
         entityName: {
             value: "contract",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "CancelDate", type: "Edm.DateTimeOffset" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -2450,6 +3482,13 @@
         name: {
             value: "CancelSalesOrder",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OrderClose", type: "Microsoft.Dynamics.CRM.orderclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -2468,6 +3507,12 @@
         name: {
             value: "CanManyToMany",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2486,6 +3531,14 @@
         name: {
             value: "CloneAsPatch",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ParentSolutionUniqueName", type: "Edm.String" },
+                { name: "DisplayName", type: "Edm.String" },
+                { name: "VersionNumber", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2504,6 +3557,14 @@
         name: {
             value: "CloneAsSolution",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ParentSolutionUniqueName", type: "Edm.String" },
+                { name: "DisplayName", type: "Edm.String" },
+                { name: "VersionNumber", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -2530,6 +3591,12 @@
         entityName: {
             value: "contract",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "IncludeCanceledLines", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2556,6 +3623,10 @@
         entityName: {
             value: "mobileofflineprofile",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2582,6 +3653,10 @@
         entityName: {
             value: "product",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2600,6 +3675,13 @@
         name: {
             value: "CloseIncident",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "IncidentResolution", type: "Microsoft.Dynamics.CRM.incidentresolution", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -2618,6 +3700,13 @@
         name: {
             value: "CloseQuote",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QuoteClose", type: "Microsoft.Dynamics.CRM.quoteclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -2636,6 +3725,13 @@
         name: {
             value: "CompoundUpdateDuplicateDetectionRule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Entity", type: "Microsoft.Dynamics.CRM.duplicaterule", kind: "entity" },
+                { name: "ChildEntities", type: "Collection(Microsoft.Dynamics.CRM.crmbaseentity)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2662,6 +3758,10 @@
         entityName: {
             value: "team",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2680,6 +3780,12 @@
         name: {
             value: "ConvertProductToKit",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ProductId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -2698,6 +3804,13 @@
         name: {
             value: "ConvertQuoteToSalesOrder",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QuoteId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2716,6 +3829,13 @@
         name: {
             value: "ConvertSalesOrderToInvoice",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SalesOrderId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2742,6 +3862,12 @@
         entityName: {
             value: "campaign",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SaveAsTemplate", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2768,6 +3894,10 @@
         entityName: {
             value: "campaignresponse",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2794,6 +3924,10 @@
         entityName: {
             value: "list",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -2820,6 +3954,12 @@
         entityName: {
             value: "list",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SourceListId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -2846,6 +3986,12 @@
         entityName: {
             value: "systemform",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.systemform", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -2864,6 +4010,21 @@
         name: {
             value: "CreateActivitiesList",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ListId", type: "Edm.Guid" },
+                { name: "FriendlyName", type: "Edm.String" },
+                { name: "Activity", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Propagate", type: "Edm.Boolean" },
+                { name: "TemplateId", type: "Edm.Guid", optional: true },
+                { name: "OwnershipOptions", type: "Microsoft.Dynamics.CRM.PropagationOwnershipOptions", kind: "enum", optional: true },
+                { name: "Owner", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true },
+                { name: "sendEmail", type: "Edm.Boolean", optional: true },
+                { name: "QueueId", type: "Edm.Guid", optional: true },
+                { name: "PostWorkflowEvent", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2882,6 +4043,12 @@
         name: {
             value: "CreateCustomerRelationships",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -2904,6 +4071,14 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "OriginalStartDate", type: "Edm.DateTimeOffset" },
+                { name: "IsDeleted", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2922,6 +4097,13 @@
         name: {
             value: "CreateInstance",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Count", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -2940,6 +4122,14 @@
         name: {
             value: "CreateKnowledgeArticleTranslation",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Source", type: "Microsoft.Dynamics.CRM.knowledgearticle", kind: "entity" },
+                { name: "Language", type: "Microsoft.Dynamics.CRM.languagelocale", kind: "entity" },
+                { name: "IsMajor", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2958,6 +4148,13 @@
         name: {
             value: "CreateKnowledgeArticleVersion",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Source", type: "Microsoft.Dynamics.CRM.knowledgearticle", kind: "entity" },
+                { name: "IsMajor", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -2984,6 +4181,12 @@
         entityName: {
             value: "workflow",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "WorkflowName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -3002,6 +4205,12 @@
         name: {
             value: "DeleteAndPromote",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "UniqueName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -3020,6 +4229,12 @@
         name: {
             value: "DeleteAuditData",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EndDate", type: "Edm.DateTimeOffset" }
+            ],
+            writeable: true
         }
     });
 
@@ -3038,6 +4253,14 @@
         name: {
             value: "DeleteOpenInstances",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "SeriesEndDate", type: "Edm.DateTimeOffset" },
+                { name: "StateOfPastInstances", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -3056,6 +4279,16 @@
         name: {
             value: "DeleteOptionValue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Value", type: "Edm.Int32" },
+                { name: "OptionSetName", type: "Edm.String", optional: true },
+                { name: "EntityLogicalName", type: "Edm.String", optional: true },
+                { name: "AttributeLogicalName", type: "Edm.String", optional: true },
+                { name: "SolutionUniqueName", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3078,6 +4311,23 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MessageId", type: "Edm.String" },
+                { name: "Subject", type: "Edm.String" },
+                { name: "From", type: "Edm.String" },
+                { name: "To", type: "Edm.String" },
+                { name: "Cc", type: "Edm.String", optional: true },
+                { name: "Bcc", type: "Edm.String", optional: true },
+                { name: "ReceivedOn", type: "Edm.DateTimeOffset", optional: true },
+                { name: "SubmittedBy", type: "Edm.String", optional: true },
+                { name: "Importance", type: "Edm.String", optional: true },
+                { name: "Body", type: "Edm.String", optional: true },
+                { name: "Attachments", type: "Collection(Microsoft.Dynamics.CRM.activitymimeattachment)", kind: "entity", optional: true },
+                { name: "ValidateBeforeCreate", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3104,6 +4354,23 @@
         entityName: {
             value: "email",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MessageId", type: "Edm.String" },
+                { name: "Subject", type: "Edm.String" },
+                { name: "From", type: "Edm.String" },
+                { name: "To", type: "Edm.String" },
+                { name: "EmailId", type: "Edm.Guid", optional: true },
+                { name: "Cc", type: "Edm.String", optional: true },
+                { name: "Bcc", type: "Edm.String", optional: true },
+                { name: "ReceivedOn", type: "Edm.DateTimeOffset", optional: true },
+                { name: "SubmittedBy", type: "Edm.String", optional: true },
+                { name: "Importance", type: "Edm.String", optional: true },
+                { name: "Body", type: "Edm.String", optional: true },
+                { name: "Attachments", type: "Collection(Microsoft.Dynamics.CRM.activitymimeattachment)", kind: "entity", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3122,6 +4389,12 @@
         name: {
             value: "DeprovisionLanguage",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Language", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -3148,6 +4421,19 @@
         entityName: {
             value: "campaignactivity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Propagate", type: "Edm.Boolean" },
+                { name: "Activity", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TemplateId", type: "Edm.Guid", optional: true },
+                { name: "OwnershipOptions", type: "Microsoft.Dynamics.CRM.PropagationOwnershipOptions", kind: "enum", optional: true },
+                { name: "Owner", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true },
+                { name: "sendEmail", type: "Edm.Boolean", optional: true },
+                { name: "QueueId", type: "Edm.Guid", optional: true },
+                { name: "PostWorkflowEvent", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3174,6 +4460,12 @@
         entityName: {
             value: "workflow",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3200,6 +4492,12 @@
         entityName: {
             value: "importmap",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ExportIds", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -3218,6 +4516,25 @@
         name: {
             value: "ExportSolution",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SolutionName", type: "Edm.String" },
+                { name: "Managed", type: "Edm.Boolean" },
+                { name: "TargetVersion", type: "Edm.String", optional: true },
+                { name: "ExportAutoNumberingSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportCalendarSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportCustomizationSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportEmailTrackingSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportGeneralSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportMarketingSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportOutlookSynchronizationSettings", type: "Edm.Boolean", optional: true },
+                { name: "ExportRelationshipRoles", type: "Edm.Boolean", optional: true },
+                { name: "ExportIsvConfig", type: "Edm.Boolean", optional: true },
+                { name: "ExportSales", type: "Edm.Boolean", optional: true },
+                { name: "ExportExternalApplications", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3240,6 +4557,12 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SolutionName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -3262,6 +4585,13 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OrderClose", type: "Microsoft.Dynamics.CRM.orderclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -3280,6 +4610,16 @@
         name: {
             value: "FullTextSearchKnowledgeArticle",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SearchText", type: "Edm.String" },
+                { name: "QueryExpression", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "UseInflection", type: "Edm.Boolean", optional: true },
+                { name: "RemoveDuplicates", type: "Edm.Boolean", optional: true },
+                { name: "StateCode", type: "Edm.Int32", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3298,6 +4638,13 @@
         name: {
             value: "GenerateInvoiceFromOpportunity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3316,6 +4663,13 @@
         name: {
             value: "GenerateQuoteFromOpportunity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3334,6 +4688,13 @@
         name: {
             value: "GenerateSalesOrderFromOpportunity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3360,6 +4721,12 @@
         entityName: {
             value: "socialprofile",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Entity", type: "Microsoft.Dynamics.CRM.socialprofile", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -3386,6 +4753,12 @@
         entityName: {
             value: "invoice",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3412,6 +4785,12 @@
         entityName: {
             value: "quote",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3438,6 +4817,12 @@
         entityName: {
             value: "salesorder",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3456,6 +4841,12 @@
         name: {
             value: "GetTrackingTokenEmail",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Subject", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -3474,6 +4865,12 @@
         name: {
             value: "ImportFieldTranslation",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TranslationFile", type: "Edm.Binary" }
+            ],
+            writeable: true
         }
     });
 
@@ -3492,6 +4889,13 @@
         name: {
             value: "ImportMappingsImportMap",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MappingsXml", type: "Edm.String" },
+                { name: "ReplaceIds", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3518,6 +4922,10 @@
         entityName: {
             value: "import",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3536,6 +4944,18 @@
         name: {
             value: "ImportSolution",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OverwriteUnmanagedCustomizations", type: "Edm.Boolean" },
+                { name: "PublishWorkflows", type: "Edm.Boolean" },
+                { name: "CustomizationFile", type: "Edm.Binary" },
+                { name: "ImportJobId", type: "Edm.Guid" },
+                { name: "ConvertToManaged", type: "Edm.Boolean", optional: true },
+                { name: "SkipProductUpdateDependencies", type: "Edm.Boolean", optional: true },
+                { name: "HoldingSolution", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3554,6 +4974,13 @@
         name: {
             value: "ImportTranslation",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TranslationFile", type: "Edm.Binary" },
+                { name: "ImportJobId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3572,6 +4999,19 @@
         name: {
             value: "InsertOptionValue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Label", type: "Microsoft.Dynamics.CRM.Label", kind: "complex" },
+                { name: "Value", type: "Edm.Int32", optional: true },
+                { name: "OptionSetName", type: "Edm.String", optional: true },
+                { name: "EntityLogicalName", type: "Edm.String", optional: true },
+                { name: "AttributeLogicalName", type: "Edm.String", optional: true },
+                { name: "Description", type: "Microsoft.Dynamics.CRM.Label", kind: "complex", optional: true },
+                { name: "SolutionUniqueName", type: "Edm.String", optional: true },
+                { name: "ExternalValue", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3590,6 +5030,19 @@
         name: {
             value: "InsertStatusValue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Label", type: "Microsoft.Dynamics.CRM.Label", kind: "complex" },
+                { name: "StateCode", type: "Edm.Int32" },
+                { name: "Value", type: "Edm.Int32", optional: true },
+                { name: "OptionSetName", type: "Edm.String", optional: true },
+                { name: "EntityLogicalName", type: "Edm.String", optional: true },
+                { name: "AttributeLogicalName", type: "Edm.String", optional: true },
+                { name: "Description", type: "Microsoft.Dynamics.CRM.Label", kind: "complex", optional: true },
+                { name: "SolutionUniqueName", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3608,6 +5061,10 @@
         name: {
             value: "InstallSampleData",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3634,6 +5091,12 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TemplateCollection", type: "Collection(Microsoft.Dynamics.CRM.crmbaseentity)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -3652,6 +5115,14 @@
         name: {
             value: "InstantiateTemplate",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TemplateId", type: "Edm.Guid" },
+                { name: "ObjectType", type: "Edm.String" },
+                { name: "ObjectId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3678,6 +5149,10 @@
         entityName: {
             value: "invoice",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3704,6 +5179,10 @@
         entityName: {
             value: "salesorder",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3722,6 +5201,13 @@
         name: {
             value: "LoseOpportunity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityClose", type: "Microsoft.Dynamics.CRM.opportunityclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -3740,6 +5226,15 @@
         name: {
             value: "Merge",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Subordinate", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "UpdateContent", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "PerformParentingChecks", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -3758,6 +5253,16 @@
         name: {
             value: "OrderOption",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Values", type: "Collection(Edm.Int32)" },
+                { name: "OptionSetName", type: "Edm.String", optional: true },
+                { name: "EntityLogicalName", type: "Edm.String", optional: true },
+                { name: "AttributeLogicalName", type: "Edm.String", optional: true },
+                { name: "SolutionUniqueName", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3784,6 +5289,10 @@
         entityName: {
             value: "import",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3810,6 +5319,13 @@
         entityName: {
             value: "queueitem",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SystemUserId", type: "Edm.Guid" },
+                { name: "RemoveQueueItem", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -3836,6 +5352,12 @@
         entityName: {
             value: "email",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "InboundEmailActivity", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -3854,6 +5376,21 @@
         name: {
             value: "PropagateByExpression",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QueryExpression", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "FriendlyName", type: "Edm.String" },
+                { name: "ExecuteImmediately", type: "Edm.Boolean" },
+                { name: "Activity", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TemplateId", type: "Edm.Guid", optional: true },
+                { name: "OwnershipOptions", type: "Microsoft.Dynamics.CRM.PropagationOwnershipOptions", kind: "enum", optional: true },
+                { name: "Owner", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true },
+                { name: "sendEmail", type: "Edm.Boolean", optional: true },
+                { name: "QueueId", type: "Edm.Guid", optional: true },
+                { name: "PostWorkflowEvent", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -3872,6 +5409,12 @@
         name: {
             value: "ProvisionLanguage",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Language", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -3890,6 +5433,10 @@
         name: {
             value: "PublishAllXml",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3916,6 +5463,10 @@
         entityName: {
             value: "duplicaterule",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3942,6 +5493,10 @@
         entityName: {
             value: "product",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3968,6 +5523,10 @@
         entityName: {
             value: "theme",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -3986,6 +5545,12 @@
         name: {
             value: "PublishXml",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ParameterXml", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -4012,6 +5577,19 @@
         entityName: {
             value: "lead",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "CreateAccount", type: "Edm.Boolean" },
+                { name: "CreateContact", type: "Edm.Boolean" },
+                { name: "CreateOpportunity", type: "Edm.Boolean" },
+                { name: "Status", type: "Edm.Int32" },
+                { name: "OpportunityCurrencyId", type: "Microsoft.Dynamics.CRM.transactioncurrency", kind: "entity", optional: true },
+                { name: "OpportunityCustomerId", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true },
+                { name: "SourceCampaignId", type: "Microsoft.Dynamics.CRM.campaign", kind: "entity", optional: true },
+                { name: "SuppressDuplicateDetection", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4038,6 +5616,13 @@
         entityName: {
             value: "list",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "MembersId", type: "Collection(Edm.Guid)" },
+                { name: "OverrideorRemove", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -4056,6 +5641,12 @@
         name: {
             value: "QueryExpressionToFetchXml",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -4074,6 +5665,13 @@
         name: {
             value: "ReassignObjectsOwner",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FromPrincipal", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "ToPrincipal", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4100,6 +5698,12 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ReassignPrincipal", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4126,6 +5730,10 @@
         entityName: {
             value: "goal",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -4152,6 +5760,10 @@
         entityName: {
             value: "queueitem",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -4178,6 +5790,10 @@
         entityName: {
             value: "queueitem",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -4200,6 +5816,12 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Members", type: "Collection(Microsoft.Dynamics.CRM.systemuser)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4218,6 +5840,12 @@
         name: {
             value: "RemoveParent",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4244,6 +5872,12 @@
         entityName: {
             value: "role",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "PrivilegeId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4262,6 +5896,14 @@
         name: {
             value: "RemoveSolutionComponent",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ComponentId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" },
+                { name: "SolutionUniqueName", type: "Edm.String" }
+            ],
+            writeable: true
         }
     });
 
@@ -4288,6 +5930,13 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Record", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TeamTemplate", type: "Microsoft.Dynamics.CRM.teamtemplate", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4314,6 +5963,13 @@
         entityName: {
             value: "contract",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "IncludeCanceledLines", type: "Edm.Boolean" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -4340,6 +5996,12 @@
         entityName: {
             value: "entitlement",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -4366,6 +6028,12 @@
         entityName: {
             value: "role",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Privileges", type: "Collection(Microsoft.Dynamics.CRM.RolePrivilege)", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -4384,6 +6052,13 @@
         name: {
             value: "Reschedule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "ReturnNotifications", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -4402,6 +6077,12 @@
         name: {
             value: "ResetUserFilters",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QueryType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -4420,6 +6101,12 @@
         name: {
             value: "RevertProduct",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4438,6 +6125,13 @@
         name: {
             value: "ReviseQuote",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QuoteId", type: "Edm.Guid" },
+                { name: "ColumnSet", type: "Microsoft.Dynamics.CRM.ColumnSet", kind: "complex", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4456,6 +6150,13 @@
         name: {
             value: "RevokeAccess",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Revokee", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4474,6 +6175,13 @@
         name: {
             value: "RouteTo",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "QueueItem", type: "Microsoft.Dynamics.CRM.queueitem", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4492,6 +6200,16 @@
         name: {
             value: "SendBulkMail",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Sender", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "TemplateId", type: "Edm.Guid" },
+                { name: "Query", type: "Microsoft.Dynamics.CRM.QueryBase", kind: "complex" },
+                { name: "RegardingType", type: "Edm.String", optional: true },
+                { name: "RegardingId", type: "Edm.Guid", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4518,6 +6236,13 @@
         entityName: {
             value: "email",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "IssueSend", type: "Edm.Boolean" },
+                { name: "TrackingToken", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4536,6 +6261,15 @@
         name: {
             value: "SendEmailFromTemplate",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TemplateId", type: "Edm.Guid" },
+                { name: "RegardingId", type: "Edm.Guid" },
+                { name: "RegardingType", type: "Edm.String" },
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4554,6 +6288,13 @@
         name: {
             value: "SendFax",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FaxId", type: "Edm.Guid" },
+                { name: "IssueSend", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -4572,6 +6313,16 @@
         name: {
             value: "SendTemplate",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "TemplateId", type: "Edm.Guid" },
+                { name: "Sender", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "RecipientIds", type: "Collection(Edm.Guid)" },
+                { name: "RegardingType", type: "Edm.String", optional: true },
+                { name: "RegardingId", type: "Edm.Guid", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4590,6 +6341,13 @@
         name: {
             value: "SetBusinessEquipment",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.equipment", kind: "entity", optional: true },
+                { name: "BusinessUnit", type: "Microsoft.Dynamics.CRM.businessunit", kind: "entity", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4616,6 +6374,14 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "BusinessUnit", type: "Microsoft.Dynamics.CRM.businessunit", kind: "entity" },
+                { name: "ReassignPrincipal", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "DoNotMoveAllRecords", type: "Edm.Boolean", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4634,6 +6400,13 @@
         name: {
             value: "SetDataEncryptionKey",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EncryptionKey", type: "Edm.String" },
+                { name: "ChangeEncryptionKey", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -4652,6 +6425,13 @@
         name: {
             value: "SetFeatureStatus",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FeatureType", type: "Edm.Int32" },
+                { name: "Status", type: "Edm.Boolean" }
+            ],
+            writeable: true
         }
     });
 
@@ -4670,6 +6450,14 @@
         name: {
             value: "SetLocLabels",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityMoniker", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "AttributeName", type: "Edm.String" },
+                { name: "Labels", type: "Collection(Microsoft.Dynamics.CRM.LocalizedLabel)", kind: "complex" }
+            ],
+            writeable: true
         }
     });
 
@@ -4696,6 +6484,12 @@
         entityName: {
             value: "systemuser",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ParentId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4714,6 +6508,14 @@
         name: {
             value: "SetProcess",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "NewProcess", type: "Microsoft.Dynamics.CRM.workflow", kind: "entity" },
+                { name: "NewProcessInstance", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4732,6 +6534,15 @@
         name: {
             value: "SetReportRelated",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.report", kind: "entity" },
+                { name: "Entities", type: "Collection(Edm.Int32)" },
+                { name: "Categories", type: "Collection(Edm.Int32)" },
+                { name: "Visibility", type: "Collection(Edm.Int32)" }
+            ],
+            writeable: true
         }
     });
 
@@ -4750,6 +6561,12 @@
         name: {
             value: "TransformImport",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ImportId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4776,6 +6593,10 @@
         entityName: {
             value: "serviceendpoint",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -4794,6 +6615,10 @@
         name: {
             value: "UninstallSampleData",
             writeable: true
+        },
+        parameters: {
+            value: [],
+            writeable: true
         }
     });
 
@@ -4812,6 +6637,12 @@
         name: {
             value: "UnlockInvoicePricing",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "InvoiceId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4830,6 +6661,12 @@
         name: {
             value: "UnlockSalesOrderPricing",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "SalesOrderId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4848,6 +6685,12 @@
         name: {
             value: "UnpublishDuplicateRule",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "DuplicateRuleId", type: "Edm.Guid" }
+            ],
+            writeable: true
         }
     });
 
@@ -4866,6 +6709,13 @@
         name: {
             value: "UpdateFeatureConfig",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FeatureType", type: "Edm.Int32" },
+                { name: "ConfigData", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4884,6 +6734,20 @@
         name: {
             value: "UpdateOptionValue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Value", type: "Edm.Int32" },
+                { name: "Label", type: "Microsoft.Dynamics.CRM.Label", kind: "complex", optional: true },
+                { name: "MergeLabels", type: "Edm.Boolean" },
+                { name: "OptionSetName", type: "Edm.String", optional: true },
+                { name: "EntityLogicalName", type: "Edm.String", optional: true },
+                { name: "AttributeLogicalName", type: "Edm.String", optional: true },
+                { name: "Description", type: "Microsoft.Dynamics.CRM.Label", kind: "complex", optional: true },
+                { name: "SolutionUniqueName", type: "Edm.String", optional: true },
+                { name: "ExternalValue", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4902,6 +6766,12 @@
         name: {
             value: "UpdateProductProperties",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "PropertyInstanceList", type: "Collection(Microsoft.Dynamics.CRM.crmbaseentity)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4920,6 +6790,15 @@
         name: {
             value: "UpdateSolutionComponent",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "ComponentId", type: "Edm.Guid" },
+                { name: "ComponentType", type: "Edm.Int32" },
+                { name: "SolutionUniqueName", type: "Edm.String" },
+                { name: "IncludedComponentSettingsValues", type: "Collection(Edm.String)", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4938,6 +6817,18 @@
         name: {
             value: "UpdateStateValue",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "EntityLogicalName", type: "Edm.String" },
+                { name: "AttributeLogicalName", type: "Edm.String" },
+                { name: "Value", type: "Edm.Int32" },
+                { name: "MergeLabels", type: "Edm.Boolean" },
+                { name: "Label", type: "Microsoft.Dynamics.CRM.Label", kind: "complex", optional: true },
+                { name: "DefaultStatus", type: "Edm.Int32", optional: true },
+                { name: "OptionSetName", type: "Edm.String", optional: true }
+            ],
+            writeable: true
         }
     });
 
@@ -4956,6 +6847,12 @@
         name: {
             value: "Validate",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "Activities", type: "Collection(Microsoft.Dynamics.CRM.crmbaseentity)", kind: "entity" }
+            ],
+            writeable: true
         }
     });
 
@@ -4978,6 +6875,13 @@
         bound: {
             value: true,
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "FetchXml", type: "Edm.String" },
+                { name: "QueryType", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -4996,6 +6900,13 @@
         name: {
             value: "WinOpportunity",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "OpportunityClose", type: "Microsoft.Dynamics.CRM.opportunityclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -5014,6 +6925,13 @@
         name: {
             value: "WinQuote",
             writeable: true
+        },
+        parameters: {
+            value: [
+                { name: "QuoteClose", type: "Microsoft.Dynamics.CRM.quoteclose", kind: "entity" },
+                { name: "Status", type: "Edm.Int32" }
+            ],
+            writeable: true
         }
     });
 
@@ -1,65 +1,22 @@
 (function(undefined) {
     "use strict";
 
-    function ParseContentId (rawData) {
-        var contentIdRaw = (/^Content-ID: ([0-9]+)$/m).exec(rawData);
-
-        if (contentIdRaw && contentIdRaw.length > 1) {
-            return contentIdRaw[1];
-        }
-
-        return null;
-    }
-
-    function ParsePayload (rawData) {
-        var payloadRaw = (/^{[\s\S]*}/m).exec(rawData);
-
-        if (payloadRaw && payloadRaw.length > 0) {
-            return JSON.parse(payloadRaw[0]);
-        }
-
-        return null;
-    }
-
-    function ParseStatus (rawData) {
-        var statusRaw = (/^HTTP\/1\.1 ([0-9]{3,3}).*$/m).exec(rawData);
-
-        if (statusRaw && statusRaw.length > 1) {
-            return statusRaw[1];
-        }
-
-        return null;
-    }
-
-    function ParseHeaders (rawData) {
-        var headersRaw = (/HTTP\/1.1.*[\r\n]+([\S\s]*)?(?={|$)/g).exec(rawData);
-
-        if (headersRaw && headersRaw.length > 1) {
-            var headers = {};
-
-            var headersSplit = headersRaw[1].split(/[\r\n]/);
-
-            for (var i = 0; i < headersSplit.length; i++) {
-                var line = headersSplit[i];
-
-                var delimiterIndex = line.indexOf(": ");
-
-                var key = line.substring(0, delimiterIndex);
-
-                if (!key) {
-                    continue;
-                }
-
-                // Start after delimiterIndex (which is two chars long)
-                var value = line.substring(delimiterIndex + 2);
-
-                headers[key] = value;
-            }
-
-            return headers;
-        }
-
-        return null;
+    var Multipart = require("./WebApiClient.Multipart.js");
+
+    function ParseRawData (rawData) {
+        // Leading delimiters are ignored, as raw data might contain the whole part
+        var text = rawData.replace(/^\s*--\S+\r?\n/, "");
+        var part = /^\s*HTTP\//i.test(text) ? { headers: {}, body: text } : Multipart.ParsePart(text);
+        var message = Multipart.ParseHttpResponse(part.body);
+        var contentId = Multipart.GetHeader(part.headers, "Content-ID") || Multipart.GetHeader(message.headers, "Content-ID");
+
+        return {
+            contentId: contentId !== undefined ? contentId : null,
+            payload: Multipart.ParseBody(message.body, Multipart.GetHeader(message.headers, "Content-Type")),
+            status: message.status,
+            statusText: message.statusText,
+            headers: message.headers
+        };
     }
 
     /**
@@ -68,8 +25,9 @@
      * @see https://msdn.microsoft.com/en-us/library/mt607719.aspx#bkmk_Example
      * @param {Object} [parameters]
      * @param {String} [parameters.contentId] Content ID for this response. You can identify which request this response belongs to, if the Content-Id was set on the request as well
-     * @param {Object} [parameters.payload] Message body returned for this response, parsed JSON object
+     * @param {Object} [parameters.payload] Message body returned for this response, parsed JSON object or array. Text for other content types and null for empty bodies
      * @param {string} [parameters.status] HTTP status code returned for this response
+     * @param {string} [parameters.statusText] HTTP status text returned for this response
      * @param {Object} [parameters.headers] Headers returned for this response. Header keys are set as object keys with the corresponding values
      * @param {string} [parameters.rawData] Text fragment returned for this response. Will be used for parsing other properties if passed
      * @memberof module:WebApiClient
@@ -85,7 +43,7 @@
             this.contentId = params.contentId;
 
             /**
-             * @property {Object} payload - Message body returned for this response, parsed JSON object
+             * @property {Object} payload - Message body returned for this response, parsed JSON object or array. Text for other content types and null for empty bodies
              * @this {Response}
              */
             this.payload = params.payload;
@@ -96,18 +54,25 @@
              */
             this.status = params.status;
 
+            /**
+             * @property {String} statusText - HTTP status text returned for this response
+             * @this {Response}
+             */
+            this.statusText = params.statusText;
+
             /**
              * @property {String} headers - Headers returned for this response. Header keys are set as object keys with the corresponding values
              * @this {Response}
              */
             this.headers = params.headers;
         } else {
-            var rawData = params.rawData;
+            var response = ParseRawData(params.rawData);
 
-            this.contentId = ParseContentId(rawData);
-            this.payload = ParsePayload(rawData);
-            this.status = ParseStatus(rawData);
-            this.headers = ParseHeaders(rawData);
+            this.contentId = response.contentId;
+            this.payload = response.payload;
+            this.status = response.status;
+            this.statusText = response.statusText;
+            this.headers = response.headers;
         }
     };
 
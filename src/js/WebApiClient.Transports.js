@@ -0,0 +1,260 @@
+/**
+ * @description Transports are responsible for sending the actual HTTP requests.
+ * A transport is an object with a send function, that receives a request and returns a promise resolving to a response.
+ * Transports that support synchronous requests additionally implement a sendSync function, which returns the response directly.
+ * Requests consist of a method, an url, a string payload and an array of headers.
+ * Responses expose status, statusText, responseText, getResponseHeader and getAllResponseHeaders functions, just like an XMLHttpRequest.
+ * Asynchronous requests may carry a signal, which fires an "abort" event once the request was cancelled or timed out.
+ * @module Transports
+ */
+(function (undefined) {
+    "use strict";
+
+    var Promise = require("bluebird").noConflict();
+
+    function CreateResponse (status, statusText, responseText, getResponseHeader, getAllResponseHeaders) {
+        return {
+            status: status,
+            statusText: statusText,
+            responseText: responseText,
+            response: responseText,
+            getResponseHeader: getResponseHeader,
+            getAllResponseHeaders: getAllResponseHeaders || function () {
+                return "";
+            }
+        };
+    }
+
+    function CreateNetworkError (error) {
+        return CreateResponse(0, error && error.message ? error.message : "Network Error", "", function () {
+            return null;
+        });
+    }
+
+    function AppendHeaders (xhr, headers) {
+        if (headers) {
+            for (var i = 0; i < headers.length; i++) {
+                var header = headers[i];
+
+                xhr.setRequestHeader(header.key, header.value);
+            }
+        }
+    }
+
+    function SendXhr (xhr, payload) {
+        // Bugfix for IE. If payload is undefined, IE would send "undefined" as request body
+        if (payload) {
+            xhr.send(payload);
+        } else {
+            xhr.send();
+        }
+    }
+
+    function OnAbort (signal, callback) {
+        if (signal && signal.addEventListener) {
+            signal.addEventListener("abort", callback);
+        }
+    }
+
+    function GetHeaderObject (headers) {
+        var headerObject = {};
+
+        if (!headers) {
+            return headerObject;
+        }
+
+        for (var i = 0; i < headers.length; i++) {
+            var header = headers[i];
+
+            headerObject[header.key] = String(header.value);
+        }
+
+        return headerObject;
+    }
+
+    var Transports = {};
+
+    /**
+     * @description Default transport, sends requests using XMLHttpRequest. Supports asynchronous and synchronous requests.
+     * @memberof module:Transports
+     * @alias WebApiClient.Transports.Xhr
+     */
+    Transports.Xhr = {
+        /**
+         * @description Sends the request asynchronously
+         * @param {Object} request Request to send, consisting of method, url, payload, headers and an optional abort signal
+         * @return {Promise<Object>}
+         */
+        send: function (request) {
+            var xhr = new XMLHttpRequest();
+
+            var promise = new Promise(function (resolve, reject) {
+                xhr.onload = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    resolve(xhr);
+                };
+                xhr.onerror = function () {
+                    reject(xhr);
+                };
+            });
+
+            xhr.open(request.method, request.url, true);
+
+            AppendHeaders(xhr, request.headers);
+            SendXhr(xhr, request.payload);
+
+            OnAbort(request.signal, function () {
+                xhr.abort();
+            });
+
+            return promise;
+        },
+
+        /**
+         * @description Sends the request synchronously
+         * @param {Object} request Request to send, consisting of method, url, payload and headers
+         * @return {Object}
+         */
+        sendSync: function (request) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open(request.method, request.url, false);
+
+            AppendHeaders(xhr, request.headers);
+            SendXhr(xhr, request.payload);
+
+            return xhr;
+        }
+    };
+
+    /**
+     * @description Transport for sending requests using the Fetch API, for example in service workers. Only supports asynchronous requests.
+     * @memberof module:Transports
+     * @alias WebApiClient.Transports.Fetch
+     */
+    Transports.Fetch = {
+        /**
+         * @description Sends the request asynchronously
+         * @param {Object} request Request to send, consisting of method, url, payload, headers and an optional abort signal
+         * @return {Promise<Object>}
+         */
+        send: function (request) {
+            if (typeof (fetch) === "undefined") {
+                return Promise.reject(new Error("Fetch API is not available in this environment"));
+            }
+
+            var options = {
+                method: request.method,
+                headers: GetHeaderObject(request.headers)
+            };
+
+            if (request.payload) {
+                options.body = request.payload;
+            }
+
+            if (request.signal && typeof (AbortController) !== "undefined") {
+                var controller = new AbortController();
+                options.signal = controller.signal;
+
+                OnAbort(request.signal, function () {
+                    controller.abort();
+                });
+            }
+
+            return Promise.resolve(fetch(request.url, options))
+                .then(function (response) {
+                    return Promise.resolve(response.text())
+                        .then(function (responseText) {
+                            return CreateResponse(response.status, response.statusText, responseText, function (name) {
+                                return response.headers.get(name);
+                            }, function () {
+                                var headers = "";
+
+                                response.headers.forEach(function (value, name) {
+                                    headers += name + ": " + value + "\r\n";
+                                });
+
+                                return headers;
+                            });
+                        });
+                }, function (error) {
+                    throw CreateNetworkError(error);
+                });
+        }
+    };
+
+    /**
+     * @description Transport for sending requests using the Node.js http and https modules. Only supports asynchronous requests.
+     * @memberof module:Transports
+     * @alias WebApiClient.Transports.Node
+     */
+    Transports.Node = {
+        /**
+         * @description Sends the request asynchronously
+         * @param {Object} request Request to send, consisting of method, url, payload, headers and an optional abort signal
+         * @return {Promise<Object>}
+         */
+        send: function (request) {
+            return new Promise(function (resolve, reject) {
+                var url = new URL(request.url);
+                var client = url.protocol === "https:" ? require("https") : require("http");
+
+                var headers = GetHeaderObject(request.headers);
+
+                var nodeRequest = client.request({
+                    method: request.method,
+                    protocol: url.protocol,
+                    hostname: url.hostname,
+                    port: url.port,
+                    path: url.pathname + url.search,
+                    headers: headers
+                }, function (response) {
+                    var responseText = "";
+
+                    response.setEncoding("utf8");
+
+                    response.on("data", function (chunk) {
+                        responseText += chunk;
+                    });
+
+                    response.on("end", function () {
+                        resolve(CreateResponse(response.statusCode, response.statusMessage, responseText, function (name) {
+                            var value = response.headers[name.toLowerCase()];
+
+                            return typeof (value) === "undefined" ? null : value;
+                        }, function () {
+                            var headers = "";
+
+                            for (var name in response.headers) {
+                                if (response.headers.hasOwnProperty(name)) {
+                                    headers += name + ": " + response.headers[name] + "\r\n";
+                                }
+                            }
+
+                            return headers;
+                        }));
+                    });
+                });
+
+                nodeRequest.on("error", function (error) {
+                    reject(CreateNetworkError(error));
+                });
+
+                OnAbort(request.signal, function () {
+                    nodeRequest.destroy();
+                });
+
+                if (request.payload) {
+                    nodeRequest.write(request.payload);
+                }
+
+                nodeRequest.end();
+            });
+        }
+    };
+
+    module.exports = Transports;
+} ());
@@ -0,0 +1,372 @@
+(function(undefined) {
+    "use strict";
+
+    var ParseCsdl = require("./WebApiClient.Csdl.js");
+
+    var PrimitiveTypes = {
+        "Edm.String": "string",
+        "Edm.Guid": "string",
+        "Edm.Date": "string",
+        "Edm.DateTimeOffset": "string",
+        "Edm.TimeOfDay": "string",
+        "Edm.Duration": "string",
+        "Edm.Binary": "string",
+        "Edm.Boolean": "boolean",
+        "Edm.Byte": "number",
+        "Edm.SByte": "number",
+        "Edm.Int16": "number",
+        "Edm.Int32": "number",
+        "Edm.Int64": "number",
+        "Edm.Decimal": "number",
+        "Edm.Double": "number",
+        "Edm.Single": "number"
+    };
+
+    var IdentifierPattern = /^[A-Za-z_$][\w$]*$/;
+
+    function FormatKey (name) {
+        return IdentifierPattern.test(name) ? name : JSON.stringify(name);
+    }
+
+    function ToIdentifier (name, fallback) {
+        var identifier = String(name || "").replace(/[^A-Za-z0-9_$]+/g, "_").replace(/^_+|_+$/g, "");
+
+        if (!identifier) {
+            return fallback;
+        }
+
+        return /^[0-9]/.test(identifier) ? "_" + identifier : identifier;
+    }
+
+    function GetLabel (option) {
+        var label = option.Label || {};
+
+        if (label.UserLocalizedLabel && label.UserLocalizedLabel.Label) {
+            return label.UserLocalizedLabel.Label;
+        }
+
+        if (label.LocalizedLabels && label.LocalizedLabels.length) {
+            return label.LocalizedLabels[0].Label;
+        }
+
+        return null;
+    }
+
+    function GetDefinitions (entityDefinitions) {
+        if (!entityDefinitions) {
+            return [];
+        }
+
+        if (Array.isArray(entityDefinitions)) {
+            return entityDefinitions;
+        }
+
+        if (Array.isArray(entityDefinitions.value)) {
+            return entityDefinitions.value;
+        }
+
+        return [entityDefinitions];
+    }
+
+    function IsMultiSelect (attribute) {
+        return (attribute["@odata.type"] || "").indexOf("MultiSelectPicklist") !== -1 ||
+            (attribute.AttributeTypeName && attribute.AttributeTypeName.Value === "MultiSelectPicklistType");
+    }
+
+    function GetMembers (options) {
+        var names = {};
+
+        return options.map(function (option) {
+            var value = String(option.Value).replace("-", "_");
+            var name = ToIdentifier(GetLabel(option), "Value_" + value);
+
+            // Labels don't have to be unique, the value makes them unique
+            if (names[name]) {
+                name = name + "_" + value;
+            }
+
+            names[name] = true;
+
+            return { name: name, value: option.Value };
+        });
+    }
+
+    function GetOptionSets (entityDefinitions) {
+        var definitions = GetDefinitions(entityDefinitions);
+        var optionSets = {};
+
+        for (var i = 0; i < definitions.length; i++) {
+            var definition = definitions[i];
+            var attributes = definition.Attributes || [];
+
+            for (var j = 0; j < attributes.length; j++) {
+                var attribute = attributes[j];
+                var optionSet = attribute.OptionSet || attribute.GlobalOptionSet;
+
+                if (!optionSet || !optionSet.Options || !optionSet.Options.length) {
+                    continue;
+                }
+
+                optionSets[definition.LogicalName + "." + attribute.LogicalName] = {
+                    name: ToIdentifier(definition.LogicalName + "_" + attribute.LogicalName, "optionset"),
+                    multiSelect: IsMultiSelect(attribute),
+                    members: GetMembers(optionSet.Options)
+                };
+            }
+        }
+
+        return optionSets;
+    }
+
+    function GetIncludedEntities (model, entities) {
+        var included = {};
+        var names = entities && entities.length ? entities : Object.keys(model.entityTypes);
+
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+
+            if (!model.entityTypes[name]) {
+                throw new Error("Entity '" + name + "' was not found in the CSDL document!");
+            }
+
+            // Base types have to be included, as the entity interfaces extend them
+            while (name && model.entityTypes[name] && !included[name]) {
+                included[name] = true;
+                name = model.entityTypes[name].baseType;
+            }
+        }
+
+        return included;
+    }
+
+    function CreateTypeMapper (model, included) {
+        function Map (type) {
+            var collection = /^Collection\((.+)\)$/.exec(type);
+
+            if (collection) {
+                return "Array<" + Map(collection[1]) + ">";
+            }
+
+            if (PrimitiveTypes[type]) {
+                return PrimitiveTypes[type];
+            }
+
+            if (model.enumTypes[type]) {
+                return "Enums." + type;
+            }
+
+            if (model.complexTypes[type]) {
+                return "ComplexTypes." + type;
+            }
+
+            if (included[type]) {
+                return "Entities." + type;
+            }
+
+            return "any";
+        }
+
+        return Map;
+    }
+
+    function WriteEnum (lines, indent, name, members) {
+        lines.push(indent + "const enum " + name + " {");
+
+        members.forEach(function (member, index) {
+            lines.push(indent + "    " + member.name + " = " + member.value + (index < members.length - 1 ? "," : ""));
+        });
+
+        lines.push(indent + "}");
+    }
+
+    function WriteInterface (lines, indent, type, map, optionSets) {
+        var extension = type.baseType && map(type.baseType) !== "any" ? " extends " + map(type.baseType).replace(/^\w+\./, "") : "";
+
+        lines.push(indent + "interface " + type.name + extension + " {");
+
+        type.properties.forEach(function (property) {
+            var optionSet = optionSets[type.name + "." + property.name];
+            var tsType = optionSet && !optionSet.multiSelect ? "OptionSets." + optionSet.name : map(property.type);
+
+            lines.push(indent + "    " + FormatKey(property.name) + "?: " + tsType + (property.nullable && tsType !== "any" ? " | null" : "") + ";");
+        });
+
+        type.navigationProperties.forEach(function (property) {
+            lines.push(indent + "    " + FormatKey(property.name) + "?: " + map(property.type) + ";");
+
+            // Single valued navigation properties are set using @odata.bind
+            if (property.type.indexOf("Collection(") !== 0) {
+                lines.push(indent + "    " + FormatKey(property.name + "@odata.bind") + "?: string;");
+            }
+        });
+
+        lines.push(indent + "}");
+    }
+
+    function WriteNamespace (lines, name, write) {
+        var content = [];
+
+        write(content);
+
+        if (!content.length) {
+            return;
+        }
+
+        lines.push("");
+        lines.push("        namespace " + name + " {");
+        Array.prototype.push.apply(lines, content);
+        lines.push("        }");
+    }
+
+    function WriteHeader (lines, command, moduleName) {
+        lines.push("// Generated by " + command + " from CSDL metadata, changes will be overwritten");
+        lines.push("import \"" + (moduleName || "xrm-webapi-client") + "\";");
+        lines.push("");
+        lines.push("declare module \"" + (moduleName || "xrm-webapi-client") + "\" {");
+        lines.push("    namespace WebApiClient {");
+    }
+
+    function WriteFooter (lines) {
+        lines.push("    }");
+        lines.push("}");
+        lines.push("");
+    }
+
+    function MapParameterType (type) {
+        var collection = /^Collection\((.+)\)$/.exec(type);
+
+        if (collection) {
+            return "Array<" + MapParameterType(collection[1]) + ">";
+        }
+
+        return PrimitiveTypes[type] || "any";
+    }
+
+    function Sorted (map) {
+        return Object.keys(map).sort().map(function (key) {
+            return map[key];
+        });
+    }
+
+    /**
+     * @description Generates TypeScript declarations for the entities of a CSDL document, such as the response of the $metadata endpoint.
+     * The declarations augment the WebApiClient typings with an interface per entity, which types Create, Retrieve and Update by entityName.
+     * @param {String} csdl CSDL XML document
+     * @param {Object} [options]
+     * @param {Object|Array<Object>} [options.entityDefinitions] EntityDefinitions JSON including the attributes with their option sets. Used for generating option set enums
+     * @param {Array<String>} [options.entities] Logical names of the entities to generate, defaults to all entities
+     * @param {String} [options.moduleName] Name of the module to augment, defaults to "xrm-webapi-client"
+     * @return {String} - The declarations
+     */
+    function GenerateEntityTypings (csdl, options) {
+        var params = options || {};
+        var model = ParseCsdl(csdl);
+        var included = GetIncludedEntities(model, params.entities);
+        var optionSets = GetOptionSets(params.entityDefinitions);
+        var map = CreateTypeMapper(model, included);
+        var entities = Sorted(model.entityTypes).filter(function (type) {
+            return included[type.name];
+        });
+        var lines = [];
+
+        WriteHeader(lines, "webapiclient-typings", params.moduleName);
+        lines.push("        interface EntityMap {");
+
+        entities.forEach(function (type) {
+            if (!type.abstract) {
+                lines.push("            " + FormatKey(type.name) + ": Entities." + type.name + ";");
+            }
+        });
+
+        lines.push("        }");
+
+        WriteNamespace(lines, "Entities", function (content) {
+            entities.forEach(function (type) {
+                WriteInterface(content, "            ", type, map, optionSets);
+            });
+        });
+
+        WriteNamespace(lines, "ComplexTypes", function (content) {
+            Sorted(model.complexTypes).forEach(function (type) {
+                WriteInterface(content, "            ", type, map, optionSets);
+            });
+        });
+
+        WriteNamespace(lines, "Enums", function (content) {
+            Sorted(model.enumTypes).forEach(function (type) {
+                WriteEnum(content, "            ", type.name, type.members.map(function (member, index) {
+                    return { name: ToIdentifier(member.name, "Value_" + index), value: isNaN(member.value) ? index : member.value };
+                }));
+            });
+        });
+
+        WriteNamespace(lines, "OptionSets", function (content) {
+            Sorted(optionSets).forEach(function (optionSet) {
+                WriteEnum(content, "            ", optionSet.name, optionSet.members);
+            });
+        });
+
+        WriteFooter(lines);
+
+        return lines.join("\n");
+    }
+
+    /**
+     * @description Generates TypeScript declarations for request definitions, as returned by WebApiClient.Requests.Register.
+     * Each request is declared in the Requests namespace, parameters are typed on the payload of actions and the urlParams of functions.
+     * @param {Array<Object>} definitions Request definitions
+     * @param {Object} [options]
+     * @param {Array<String>} [options.exclude] Names of requests that are already declared, such as "WhoAmIRequest"
+     * @param {String} [options.moduleName] Name of the module to augment, defaults to "xrm-webapi-client"
+     * @return {String} - The declarations
+     */
+    function GenerateRequestTypings (definitions, options) {
+        var params = options || {};
+        var exclude = params.exclude || [];
+        var lines = [];
+
+        WriteHeader(lines, "webapiclient-requests", params.moduleName);
+        lines.push("        namespace Requests {");
+
+        definitions.filter(function (definition) {
+            return exclude.indexOf(definition.name + "Request") === -1;
+        })
+        .forEach(function (definition, index) {
+            var name = definition.name + "Request";
+            var parameters = definition.parameters || [];
+
+            if (index > 0) {
+                lines.push("");
+            }
+
+            if (!parameters.length) {
+                lines.push("            const " + name + ": Request;");
+                return;
+            }
+
+            lines.push("            interface " + definition.name + "Parameters {");
+
+            parameters.forEach(function (parameter) {
+                lines.push("                " + FormatKey(parameter.name) + (parameter.optional ? "?" : "") + ": " + MapParameterType(parameter.type) + ";");
+            });
+
+            lines.push("            }");
+            lines.push("");
+            lines.push("            interface " + name + " extends Request {");
+            lines.push("                with(param: RequestParameters & { " + (definition.method === "GET" ? "urlParams" : "payload") + "?: " + definition.name + "Parameters }): this;");
+            lines.push("            }");
+            lines.push("");
+            lines.push("            const " + name + ": " + name + ";");
+        });
+
+        lines.push("        }");
+        WriteFooter(lines);
+
+        return lines.join("\n");
+    }
+
+    module.exports = {
+        GenerateEntityTypings: GenerateEntityTypings,
+        GenerateRequestTypings: GenerateRequestTypings
+    };
+} ());
@@ -31,6 +31,22 @@
     // Attach response to core
     WebApiClient.Response = require("./WebApiClient.Response.js");
 
+    // Attach query builder to core
+    WebApiClient.Query = require("./WebApiClient.Query.js");
+
+    // Attach fetchXml builder to core
+    WebApiClient.FetchXml = require("./WebApiClient.FetchXml.js");
+
+    // Attach transports to core
+    WebApiClient.Transports = require("./WebApiClient.Transports.js");
+
+    // Attach error types to core
+    var Errors = require("./WebApiClient.Errors.js");
+
+    WebApiClient.AbortError = Errors.AbortError;
+    WebApiClient.WebApiError = Errors.WebApiError;
+    WebApiClient.ConcurrencyError = Errors.ConcurrencyError;
+
     // Export complete WebApiClient
     module.exports = WebApiClient;
 } ());
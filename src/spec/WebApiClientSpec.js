@@ -34,7 +34,8 @@ describe("WebApiClient", function() {
         ApiVersion: WebApiClient.ApiVersion,
         ReturnAllPages: WebApiClient.ReturnAllPages,
         PrettifyErrors: WebApiClient.PrettifyErrors,
-        Async: WebApiClient.Async
+        Async: WebApiClient.Async,
+        ClientUrl: WebApiClient.ClientUrl
     };
 
     beforeEach(function() {
@@ -363,6 +364,13 @@ describe("WebApiClient", function() {
         it("should use Xrm.Page.context if global context not available", function() {
             expect(WebApiClient.GetApiUrl()).toBe(fakeUrl + "/api/data/v" + WebApiClient.ApiVersion + "/");
         });
+
+        it("should prefer a configured client url over the context", function() {
+            var client = WebApiClient.CreateClient({ ClientUrl: "https://other.crm4.dynamics.com" });
+
+            expect(client.GetApiUrl()).toBe("https://other.crm4.dynamics.com/api/data/v" + client.ApiVersion + "/");
+            expect(WebApiClient.GetApiUrl()).toBe(fakeUrl + "/api/data/v" + WebApiClient.ApiVersion + "/");
+        });
     });
 
     describe("SetNames", function() {
@@ -746,6 +754,186 @@ describe("WebApiClient", function() {
         });
     });
 
+    describe("Upsert", function() {
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+
+        function RespondWith (status, headers) {
+            xhr.respondWith("PATCH", new RegExp("^" + RegExp.escape(apiUrl + "new_items(")), function(request) {
+                headers.push(request.requestHeaders);
+                request.respond(status, { "Content-Type": "application/json" }, JSON.stringify({ new_itemid: "1", new_name: "Item" }));
+            });
+        }
+
+        it("should create record and report it", function(done) {
+            var headers = [];
+
+            RespondWith(201, headers);
+
+            WebApiClient.Upsert({ entityName: "new_item", entityId: "1", entity: { new_name: "Item" }, headers: [{ key: "Prefer", value: "odata.include-annotations=*" }] })
+                .then(function(response) {
+                    expect(response.created).toBe(true);
+                    expect(response.entity.new_name).toBe("Item");
+                    expect(headers[0].Prefer).toBe("return=representation,odata.include-annotations=*");
+                    expect(headers[0]["If-Match"]).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should only update record by alternate key if creating is prevented", function(done) {
+            var headers = [];
+
+            RespondWith(200, headers);
+
+            WebApiClient.Upsert({ entityName: "new_item", alternateKey: [{ property: "new_name", value: "Item" }], entity: { new_name: "Item" }, preventCreate: true })
+                .then(function(response) {
+                    expect(response.created).toBe(false);
+                    expect(headers[0]["If-Match"]).toBe("*");
+                    expect(headers[0].Prefer).toBe("return=representation");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should support preventing updates on Update", function(done) {
+            var headers = [];
+
+            RespondWith(204, headers);
+
+            WebApiClient.Update({ entityName: "new_item", entityId: "1", entity: { new_name: "Item" }, preventUpdate: true })
+                .then(function() {
+                    expect(headers[0]["If-None-Match"]).toBe("*");
+                    expect(headers[0].Prefer).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should be usable in batches", function() {
+            var request = WebApiClient.Upsert({ entityName: "new_item", entityId: "1", entity: { new_name: "Item" }, preventUpdate: true, asBatch: true });
+
+            expect(request instanceof WebApiClient.BatchRequest).toBe(true);
+            expect(request.method).toBe("PATCH");
+            expect(request.headers).toContain({ key: "If-None-Match", value: "*" });
+            expect(request.headers).toContain({ key: "Prefer", value: "return=representation" });
+        });
+
+        it("should fail if creating and updating are prevented", function() {
+            expect(function() {
+                WebApiClient.Upsert({ entityName: "new_item", entityId: "1", entity: {}, preventCreate: true, preventUpdate: true });
+            }).toThrowError("preventCreate and preventUpdate can not be combined!");
+
+            expect(function() {
+                WebApiClient.Upsert({ entityName: "new_item", entityId: "1" });
+            }).toThrowError("Upsert object has to be passed!");
+        });
+    });
+
+    describe("Concurrency", function() {
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+        var etag = "W/\"12345\"";
+
+        it("should send etag of retrieved records on update", function(done) {
+            var requests = [];
+
+            xhr.respondWith("PATCH", new RegExp("^" + RegExp.escape(apiUrl + "new_items(1)")), function(request) {
+                requests.push(request);
+                request.respond(204, {}, "");
+            });
+
+            WebApiClient.Update({ entityName: "new_item", entityId: "1", entity: { "@odata.etag": etag, new_name: "Item" } })
+                .then(function() {
+                    expect(requests[0].requestHeaders["If-Match"]).toBe(etag);
+                    expect(JSON.parse(requests[0].requestBody)).toEqual({ new_name: "Item" });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should reject with concurrency error if record was changed", function(done) {
+            var headers = [];
+
+            xhr.respondWith("DELETE", new RegExp("^" + RegExp.escape(apiUrl + "new_items(1)")), function(request) {
+                headers.push(request.requestHeaders);
+                request.respond(412, { "Content-Type": "application/json" }, JSON.stringify({ error: { code: "0x80060882", message: "The version of the existing record doesn't match the RowVersion property provided." } }));
+            });
+
+            WebApiClient.Delete({ entityName: "new_item", entityId: "1", etag: etag })
+                .then(function(response) {
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(headers[0]["If-Match"]).toBe(etag);
+                    expect(error instanceof WebApiClient.ConcurrencyError).toBe(true);
+                    expect(error instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(error.name).toBe("ConcurrencyError");
+                    expect(error.status).toBe(412);
+                    expect(error.code).toBe("0x80060882");
+                })
+                .finally(done);
+        });
+
+        it("should return not modified result on conditional retrieve", function(done) {
+            var headers = [];
+
+            xhr.respondWith("GET", new RegExp("^" + RegExp.escape(apiUrl + "new_items(1)")), function(request) {
+                headers.push(request.requestHeaders);
+                request.respond(304, { "ETag": etag }, "");
+            });
+
+            WebApiClient.Retrieve({ entityName: "new_item", entityId: "1", etag: etag })
+                .then(function(response) {
+                    expect(headers[0]["If-None-Match"]).toBe(etag);
+                    expect(response).toEqual({ notModified: true, "@odata.etag": etag });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should return record on conditional retrieve if it was modified", function() {
+            xhr.respondWith("GET", new RegExp("^" + RegExp.escape(apiUrl + "new_items(1)")), function(request) {
+                request.respond(200, { "Content-Type": "application/json" }, JSON.stringify({ "@odata.etag": "W/\"12346\"", new_itemid: "1" }));
+            });
+
+            var response = WebApiClient.Retrieve({ entityName: "new_item", entityId: "1", etag: etag, async: false });
+
+            expect(response.notModified).toBeUndefined();
+            expect(response["@odata.etag"]).toBe("W/\"12346\"");
+        });
+
+        it("should ignore etag of retrieved records if creating or updating is prevented", function() {
+            var retrieved = { "@odata.etag": etag, new_name: "Item" };
+
+            var createOnly = WebApiClient.Update({ entityName: "new_item", entityId: "1", entity: retrieved, preventUpdate: true, asBatch: true });
+            var updateOnly = WebApiClient.Upsert({ entityName: "new_item", entityId: "1", entity: retrieved, preventCreate: true, asBatch: true });
+
+            expect(createOnly.headers).toContain({ key: "If-None-Match", value: "*" });
+            expect(createOnly.headers.filter(function(header) { return header.key === "If-Match"; }).length).toBe(0);
+            expect(createOnly.payload).toEqual({ new_name: "Item" });
+            expect(updateOnly.headers).toContain({ key: "If-Match", value: "*" });
+        });
+
+        it("should fail for invalid etag usages", function() {
+            expect(function() {
+                WebApiClient.Retrieve({ entityName: "new_item", etag: etag });
+            }).toThrowError("Etag can only be passed for retrieving single records!");
+
+            expect(function() {
+                WebApiClient.Update({ entityName: "new_item", entityId: "1", entity: {}, etag: etag, preventUpdate: true });
+            }).toThrowError("etag and preventUpdate can not be combined!");
+        });
+    });
+
     describe("Delete", function() {
         it("should fail if no entity Id passed", function(){
             expect(function() {
@@ -1048,39 +1236,40 @@ describe("WebApiClient", function() {
 
 
         it("should stringify batch with changeset and plain requests properly", function() {
-            var expected = '--batch_AAA123\n' +
-            'Content-Type: multipart/mixed;boundary=changeset_BBB456\n' +
-            '\n' +
-            '--changeset_BBB456\n' +
-            'Content-Type: application/http\n' +
-            'Content-Transfer-Encoding:binary\n' +
-            'Content-ID: 1\n' +
-            '\n' +
-            'POST ' + fakeUrl + '/api/data/v8.0/tasks HTTP/1.1\n' +
-            'Content-Type: application/json;type=entry\n' +
-            '\n' +
-            '{"subject":"Task 1 in batch","regardingobjectid_account_task@odata.bind":"' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)"}\n' +
-            '--changeset_BBB456\n' +
-            'Content-Type: application/http\n' +
-            'Content-Transfer-Encoding:binary\n' +
-            'Content-ID: 2\n' +
-            '\n' +
-            'POST ' + fakeUrl + '/api/data/v8.0/tasks HTTP/1.1\n' +
-            'Content-Type: application/json;type=entry\n' +
-            '\n' +
-            '{"subject":"Task 2 in batch","regardingobjectid_account_task@odata.bind":"' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)"}\n' +
-            '--changeset_BBB456--\n' +
-            '\n' +
-            '--batch_AAA123\n' +
-            'Content-Type: application/http\n' +
-            'Content-Transfer-Encoding:binary\n' +
-            '\n' +
-            'GET ' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)/Account_Tasks?$select=subject HTTP/1.1\n' +
-            'Accept: application/json\n' +
-            '\n' +
-            '--batch_AAA123--\n';
-
-            var batch = new WebApiClient.Batch();
+            var expected = '--batch_AAA123\r\n' +
+            'Content-Type: multipart/mixed; boundary=changeset_BBB456\r\n' +
+            '\r\n' +
+            '--changeset_BBB456\r\n' +
+            'Content-Type: application/http\r\n' +
+            'Content-Transfer-Encoding: binary\r\n' +
+            'Content-ID: 1\r\n' +
+            '\r\n' +
+            'POST ' + fakeUrl + '/api/data/v8.0/tasks HTTP/1.1\r\n' +
+            'Content-Type: application/json;type=entry\r\n' +
+            '\r\n' +
+            '{"subject":"Task 1 in batch","regardingobjectid_account_task@odata.bind":"' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)"}\r\n' +
+            '--changeset_BBB456\r\n' +
+            'Content-Type: application/http\r\n' +
+            'Content-Transfer-Encoding: binary\r\n' +
+            'Content-ID: 2\r\n' +
+            '\r\n' +
+            'POST ' + fakeUrl + '/api/data/v8.0/tasks HTTP/1.1\r\n' +
+            'Content-Type: application/json;type=entry\r\n' +
+            '\r\n' +
+            '{"subject":"Task 2 in batch","regardingobjectid_account_task@odata.bind":"' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)"}\r\n' +
+            '--changeset_BBB456--\r\n' +
+            '\r\n' +
+            '--batch_AAA123\r\n' +
+            'Content-Type: application/http\r\n' +
+            'Content-Transfer-Encoding: binary\r\n' +
+            '\r\n' +
+            'GET ' + fakeUrl + '/api/data/v8.0/accounts(00000000-0000-0000-000000000001)/Account_Tasks?$select=subject HTTP/1.1\r\n' +
+            'Accept: application/json\r\n' +
+            '\r\n' +
+            '\r\n' +
+            '--batch_AAA123--\r\n';
+
+            var batch = new WebApiClient.Batch({name: "batch_AAA123"});
 
             var changeSet = new WebApiClient.ChangeSet({name: "changeset_BBB456"});
 
@@ -1147,6 +1336,344 @@ describe("WebApiClient", function() {
             expect(stringified.indexOf("{}") !== -1).toBe(true);
         });
 
+        it("should resolve references to preceding requests of a change set", function() {
+            var changeSet = new WebApiClient.ChangeSet({
+                name: "changeset_BBB456",
+                requests: [
+                    WebApiClient.Create({ entityName: "account", entity: { name: "Contoso" }, referenceName: "newAccount", asBatch: true }),
+                    WebApiClient.Create({
+                        entityName: "contact",
+                        entity: { lastname: "Doe", "parentcustomerid_account@odata.bind": WebApiClient.BatchRequest.ref("newAccount") },
+                        referenceName: "newContact",
+                        asBatch: true
+                    }),
+                    WebApiClient.SendRequest("POST", WebApiClient.BatchRequest.ref("newAccount") + "/Account_Tasks", { subject: "Call" }, {
+                        headers: [{ key: "MSCRMCallerID", value: WebApiClient.BatchRequest.ref("newContact") }],
+                        asBatch: true
+                    })
+                ]
+            });
+
+            var payload = changeSet.stringify();
+
+            expect(WebApiClient.BatchRequest.ref("newAccount")).toBe("${ref:newAccount}");
+            expect(payload).toContain('{"lastname":"Doe","parentcustomerid_account@odata.bind":"$1"}');
+            expect(payload).toContain("POST $1/Account_Tasks HTTP/1.1\r\n");
+            expect(payload).toContain("MSCRMCallerID: $2\r\n");
+            expect(changeSet.requests[1].payload["parentcustomerid_account@odata.bind"]).toBe("${ref:newAccount}");
+        });
+
+        it("should only allow references to preceding requests of a change set", function() {
+            function Stringify (requests) {
+                return function() {
+                    new WebApiClient.ChangeSet({ requests: requests }).stringify();
+                };
+            }
+
+            var account = function() {
+                return WebApiClient.Create({ entityName: "account", entity: { name: "Contoso" }, referenceName: "newAccount", asBatch: true });
+            };
+            var contact = function() {
+                return WebApiClient.Create({ entityName: "contact", entity: { "parentcustomerid_account@odata.bind": WebApiClient.BatchRequest.ref("newAccount") }, asBatch: true });
+            };
+
+            expect(Stringify([contact(), account()])).toThrowError("Reference 'newAccount' has to be the name of a preceding request in the same change set!");
+            expect(Stringify([contact()])).toThrowError("Reference 'newAccount' has to be the name of a preceding request in the same change set!");
+            expect(Stringify([account(), account()])).toThrowError(/^Reference name 'newAccount' is used by multiple requests of change set/);
+            expect(Stringify([account(), contact()])).not.toThrow();
+            expect(function() { WebApiClient.BatchRequest.ref(); }).toThrowError("Name of the referenced request has to be passed!");
+        });
+
+        it("should not assign content IDs that were set by the caller", function() {
+            function Create (contentId) {
+                return new WebApiClient.BatchRequest({ method: "POST", url: fakeUrl + "/api/data/v8.0/tasks", payload: { subject: "Call" }, contentId: contentId });
+            }
+
+            var changeSet = new WebApiClient.ChangeSet({ requests: [Create("2"), Create(), Create()] });
+            var payload = changeSet.stringify();
+
+            expect(changeSet.requests.map(function(request) { return String(request.contentId); })).toEqual(["2", "1", "3"]);
+            expect(payload.match(/Content-ID: \d+/g)).toEqual(["Content-ID: 2", "Content-ID: 1", "Content-ID: 3"]);
+            expect(function() {
+                new WebApiClient.ChangeSet({ requests: [Create("1"), Create("1")] }).stringify();
+            }).toThrowError(/^Content ID '1' is used by multiple requests of change set/);
+        });
+
+        it("should split batches without separating change sets", function() {
+            function ChangeSet (count) {
+                var requests = [];
+
+                for (var i = 0; i < count; i++) {
+                    requests.push(WebApiClient.Create({ entityName: "task", entity: { subject: "Task " + i }, asBatch: true }));
+                }
+
+                return new WebApiClient.ChangeSet({ requests: requests });
+            }
+
+            function Get (id) {
+                return WebApiClient.Retrieve({ entityName: "task", entityId: id, asBatch: true });
+            }
+
+            var changeSets = [ChangeSet(2), ChangeSet(2), ChangeSet(1)];
+            var requests = [Get("1"), Get("2"), Get("3")];
+            var batch = new WebApiClient.Batch({ changeSets: changeSets, requests: requests, headers: [{ key: "Prefer", value: "odata.maxpagesize=10" }], async: false });
+
+            var batches = batch.split({ maxOperations: 4 });
+
+            expect(batches.length).toBe(2);
+            expect(batches[0].changeSets).toEqual([changeSets[0], changeSets[1]]);
+            expect(batches[0].requests).toEqual([]);
+            expect(batches[1].changeSets).toEqual([changeSets[2]]);
+            expect(batches[1].requests).toEqual(requests);
+            expect(batches[1].name).toBe(batch.name);
+            expect(batches[1].async).toBe(false);
+            expect(batches[1].headers).toEqual(batch.headers);
+            expect(batches[1].headers).not.toBe(batch.headers);
+
+            expect(batch.split().length).toBe(1);
+            expect(batch.split({ maxPayloadSize: batch.buildPayload().length }).length).toBe(1);
+            expect(batch.split({ maxPayloadSize: batch.buildPayload().length - 1 }).length).toBe(2);
+
+            expect(function() { batch.split({ maxOperations: 1 }); }).toThrowError(/contains 2 requests, but batches are limited to 1 operations!$/);
+            expect(function() { batch.split({ maxPayloadSize: 10 }); }).toThrowError(/exceeds the maximum batch payload size of 10!$/);
+        });
+
+        it("should send split batches and merge their responses in original order", function(done) {
+            var boundary = "batchresponse_c1bd45c1-dd81-470d-b897-e965846aad2f";
+            var bodies = [];
+
+            xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/$batch", function(request) {
+                var id = /tasks\((\d+)\)/.exec(request.requestBody)[1];
+                var isChangeSet = request.requestBody.indexOf("changeset_") !== -1;
+                var response = "--" + boundary + "\r\n";
+
+                bodies.push(request.requestBody);
+
+                if (isChangeSet) {
+                    response += "Content-Type: multipart/mixed; boundary=changesetresponse_" + id + "\r\n\r\n" +
+                        "--changesetresponse_" + id + "\r\n" +
+                        "Content-Type: application/http\r\n" +
+                        "Content-Transfer-Encoding: binary\r\n" +
+                        "Content-ID: 1\r\n\r\n" +
+                        "HTTP/1.1 204 No Content\r\n" +
+                        "OData-EntityId: " + fakeUrl + "/api/data/v8.0/tasks(" + id + ")\r\n\r\n" +
+                        "--changesetresponse_" + id + "--\r\n";
+                }
+                else {
+                    response += "Content-Type: application/http\r\n" +
+                        "Content-Transfer-Encoding: binary\r\n\r\n" +
+                        "HTTP/1.1 200 OK\r\n" +
+                        "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                        JSON.stringify({ activityid: id }) + "\r\n";
+                }
+
+                request.respond(200, { "Content-Type": "multipart/mixed; boundary=" + boundary }, response + "--" + boundary + "--\r\n");
+            });
+
+            var batch = new WebApiClient.Batch({
+                changeSets: [new WebApiClient.ChangeSet({ requests: [WebApiClient.Update({ entityName: "task", entityId: "1", entity: { subject: "1" }, asBatch: true })] })],
+                requests: [
+                    WebApiClient.Retrieve({ entityName: "task", entityId: "2", asBatch: true }),
+                    WebApiClient.Retrieve({ entityName: "task", entityId: "3", asBatch: true })
+                ],
+                maxOperations: 1,
+                concurrency: 2
+            });
+
+            WebApiClient.SendBatch(batch)
+                .then(function(response) {
+                    expect(bodies.length).toBe(3);
+                    expect(response instanceof WebApiClient.BatchResponse).toBe(true);
+                    expect(response.isFaulted).toBe(false);
+                    expect(response.changeSetResponses.length).toBe(1);
+                    expect(response.changeSetResponses[0].responses[0].headers["OData-EntityId"]).toBe(fakeUrl + "/api/data/v8.0/tasks(1)");
+                    expect(response.batchResponses.map(function(part) { return part.payload.activityid; })).toEqual(["2", "3"]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        describe("Response Correlation", function() {
+            var boundary = "batchresponse_c1bd45c1-dd81-470d-b897-e965846aad2f";
+            var changeSetBoundary = "changesetresponse_ff83b4f1-ab48-430c-b81c-926a2c596abc";
+
+            function CreateBatch () {
+                return new WebApiClient.Batch({
+                    changeSets: [
+                        new WebApiClient.ChangeSet({
+                            requests: [
+                                WebApiClient.Create({ entityName: "task", entity: { subject: "Task 1" }, asBatch: true }),
+                                WebApiClient.Create({ entityName: "task", entity: { subject: "Task 2" }, asBatch: true })
+                            ]
+                        })
+                    ],
+                    requests: [WebApiClient.Retrieve({ entityName: "task", entityId: "1", asBatch: true })]
+                });
+            }
+
+            function Respond (body) {
+                xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/$batch", [200, { "Content-Type": "multipart/mixed; boundary=" + boundary }, body]);
+            }
+
+            function ChangeSetPart (contentId, id) {
+                return "--" + changeSetBoundary + "\r\n" +
+                    "Content-Type: application/http\r\n" +
+                    "Content-Transfer-Encoding: binary\r\n" +
+                    "Content-ID: " + contentId + "\r\n\r\n" +
+                    "HTTP/1.1 204 No Content\r\n" +
+                    "OData-EntityId: " + fakeUrl + "/api/data/v8.0/tasks(" + id + ")\r\n\r\n";
+            }
+
+            it("should assign responses to their requests", function(done) {
+                var batch = CreateBatch();
+
+                // Responses inside the change set are matched by Content-ID, not by position
+                Respond("--" + boundary + "\r\n" +
+                    "Content-Type: multipart/mixed; boundary=" + changeSetBoundary + "\r\n\r\n" +
+                    ChangeSetPart(2, "b") +
+                    ChangeSetPart(1, "a") +
+                    "--" + changeSetBoundary + "--\r\n" +
+                    "--" + boundary + "\r\n" +
+                    "Content-Type: application/http\r\n" +
+                    "Content-Transfer-Encoding: binary\r\n\r\n" +
+                    "HTTP/1.1 200 OK\r\n" +
+                    "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                    '{"subject":"Task 1","activityid":"1"}\r\n' +
+                    "--" + boundary + "--\r\n");
+
+                WebApiClient.SendBatch(batch)
+                    .then(function(response) {
+                        var first = response.getResult(batch.changeSets[0].requests[0]);
+                        var retrieve = response.getResult(batch.requests[0]);
+
+                        expect(response.results.length).toBe(3);
+                        expect(first.status).toBe(204);
+                        expect(first.entityId).toBe("a");
+                        expect(first.error).toBeNull();
+                        expect(first.changeSet).toBe(batch.changeSets[0].name);
+                        expect(response.getResult(2).entityId).toBe("b");
+                        expect(retrieve.status).toBe(200);
+                        expect(retrieve.payload.subject).toBe("Task 1");
+                        expect(retrieve.changeSet).toBeNull();
+                        expect(response.getResult("3")).toBeNull();
+                    })
+                    .catch(function(error) {
+                        expect(error).toBeUndefined();
+                    })
+                    .finally(done);
+            });
+
+            it("should assign errors of failed change sets to all of their requests", function(done) {
+                var batch = CreateBatch();
+
+                Respond("--" + boundary + "\r\n" +
+                    "Content-Type: application/http\r\n" +
+                    "Content-Transfer-Encoding: binary\r\n\r\n" +
+                    "HTTP/1.1 400 Bad Request\r\n" +
+                    "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                    JSON.stringify({ error: { code: "0x80040237", message: "Duplicate record" } }) + "\r\n" +
+                    "--" + boundary + "--\r\n");
+
+                WebApiClient.SendBatch(batch)
+                    .then(function(response) {
+                        var results = response.results;
+
+                        expect(response.isFaulted).toBe(true);
+                        expect(results[0].status).toBe(400);
+                        expect(results[1].status).toBe(400);
+                        expect(results[1].error instanceof WebApiClient.WebApiError).toBe(true);
+                        expect(results[1].error.code).toBe("0x80040237");
+                        expect(results[1].error.url).toBe(batch.changeSets[0].requests[1].url);
+                        expect(results[2].request).toBe(batch.requests[0]);
+                        expect(results[2].status).toBe(0);
+                        expect(results[2].error.message).toBe("Request was not processed, as a preceding request of the batch failed");
+                    })
+                    .catch(function(error) {
+                        expect(error).toBeUndefined();
+                    })
+                    .finally(done);
+            });
+
+            it("should continue on errors and partition the results if requested", function(done) {
+                var batch = CreateBatch();
+                var prefer;
+
+                batch.continueOnError = true;
+
+                xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/$batch", function(request) {
+                    prefer = request.requestHeaders.Prefer;
+
+                    request.respond(200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                        "--" + boundary + "\r\n" +
+                        "Content-Type: application/http\r\n" +
+                        "Content-Transfer-Encoding: binary\r\n\r\n" +
+                        "HTTP/1.1 400 Bad Request\r\n" +
+                        "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                        JSON.stringify({ error: { code: "0x80040237", message: "Duplicate record" } }) + "\r\n" +
+                        "--" + boundary + "\r\n" +
+                        "Content-Type: application/http\r\n" +
+                        "Content-Transfer-Encoding: binary\r\n\r\n" +
+                        "HTTP/1.1 200 OK\r\n" +
+                        "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                        '{"subject":"Task 1","activityid":"1"}\r\n' +
+                        "--" + boundary + "--\r\n");
+                });
+
+                WebApiClient.SendBatch(batch)
+                    .then(function(response) {
+                        expect(prefer).toBe("odata.continue-on-error");
+                        expect(response.succeeded.length).toBe(1);
+                        expect(response.succeeded[0].request).toBe(batch.requests[0]);
+                        expect(response.failed.length).toBe(2);
+                        expect(response.failed[0].request).toBe(batch.changeSets[0].requests[0]);
+                        expect(response.failed[0].status).toBe(400);
+                        expect(response.failed[0].error.code).toBe("0x80040237");
+                    })
+                    .catch(function(error) {
+                        expect(error).toBeUndefined();
+                    })
+                    .finally(done);
+            });
+
+            it("should not change the headers of the batch", function(done) {
+                var batch = CreateBatch();
+                var headers = [{ key: "MSCRMCallerID", value: "00000000-0000-0000-0000-000000000001" }];
+                var prefer = [];
+
+                batch.headers = headers;
+                batch.continueOnError = true;
+
+                xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/$batch", function(request) {
+                    prefer.push(request.requestHeaders.Prefer);
+
+                    request.respond(200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                        "--" + boundary + "\r\n" +
+                        "Content-Type: application/http\r\n" +
+                        "Content-Transfer-Encoding: binary\r\n\r\n" +
+                        "HTTP/1.1 400 Bad Request\r\n" +
+                        "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                        JSON.stringify({ error: { code: "0x80040237", message: "Duplicate record" } }) + "\r\n" +
+                        "--" + boundary + "--\r\n");
+                });
+
+                WebApiClient.SendBatch(batch)
+                    .then(function() {
+                        return WebApiClient.SendBatch(batch);
+                    })
+                    .then(function() {
+                        expect(batch.headers).toBe(headers);
+                        expect(headers).toEqual([{ key: "MSCRMCallerID", value: "00000000-0000-0000-0000-000000000001" }]);
+                        expect(prefer).toEqual(["odata.continue-on-error", "odata.continue-on-error"]);
+                    })
+                    .catch(function(error) {
+                        expect(error).toBeUndefined();
+                    })
+                    .finally(done);
+            });
+        });
+
         it ("should parse response properly", function() {
             var responseText = '--batchresponse_c1bd45c1-dd81-470d-b897-e965846aad2f\n' +
                 'Content-Type: multipart/mixed; boundary=changesetresponse_ff83b4f1-ab48-430c-b81c-926a2c596abc\n' +
@@ -1359,6 +1886,124 @@ describe("WebApiClient", function() {
               expect(batchResponse.errors.length).toBe(2);
         });
 
+        it ("should parse responses with any line breaks, boundaries and bodies", function() {
+            var responseText = 'Preamble\r\n' +
+                '--batch=1 (a)\r\n' +
+                'Content-Type: multipart/mixed; boundary=cs_1\r\n' +
+                '\r\n' +
+                '--cs_1\r\n' +
+                'Content-Type: application/http\r\n' +
+                'Content-Transfer-Encoding: binary\r\n' +
+                'Content-ID: create-account\r\n' +
+                '\r\n' +
+                'HTTP/1.1 201 Created\r\n' +
+                'Content-Type: application/json; odata.metadata=minimal\r\n' +
+                'odata-entityid: [Organization URI]/api/data/v9.0/accounts(00000000-0000-0000-0000-000000000001)\r\n' +
+                '\r\n' +
+                '{"name":"--cs_1\\r\\n--batch=1 (a)"}\r\n' +
+                '--cs_1--\r\n' +
+                '--batch=1 (a)\n' +
+                'Content-Type: application/http\n' +
+                '\n' +
+                'HTTP/1.1 200 OK\n' +
+                'Content-Type: application/json\n' +
+                '\n' +
+                '[1,2]\n' +
+                '--batch=1 (a)\r\n' +
+                'Content-Type: application/http\r\n' +
+                '\r\n' +
+                'HTTP/1.1 204 No Content\r\n' +
+                '\r\n' +
+                '\r\n' +
+                '--batch=1 (a)\r\n' +
+                'Content-Type: application/http\r\n' +
+                '\r\n' +
+                'HTTP/1.1 400 Bad Request\r\n' +
+                'Content-Type: text/plain\r\n' +
+                '\r\n' +
+                'Invalid request\r\n' +
+                '--batch=1 (a)--\r\n' +
+                'Epilogue';
+
+            var batchResponse = new WebApiClient.BatchResponse({
+                xhr: {
+                    responseText: responseText,
+                    getResponseHeader: function() {
+                        return 'multipart/mixed; boundary="batch=1 (a)"';
+                    }
+                }
+            });
+
+            expect(batchResponse.name).toBe("batch=1 (a)");
+            expect(batchResponse.parts.length).toBe(4);
+
+            var created = batchResponse.changeSetResponses[0].responses[0];
+            expect(batchResponse.changeSetResponses[0].responses.length).toBe(1);
+            expect(created.contentId).toBe("create-account");
+            expect(created.status).toBe("201");
+            expect(created.payload).toEqual({ name: "--cs_1\r\n--batch=1 (a)" });
+
+            expect(batchResponse.batchResponses[0].payload).toEqual([1, 2]);
+            expect(batchResponse.batchResponses[1].status).toBe("204");
+            expect(batchResponse.batchResponses[1].payload).toBe(null);
+            expect(batchResponse.batchResponses[2].statusText).toBe("Bad Request");
+            expect(batchResponse.batchResponses[2].payload).toBe("Invalid request");
+
+            expect(batchResponse.isFaulted).toBe(true);
+            expect(batchResponse.errors).toEqual([{ message: "Invalid request" }]);
+        });
+
+        it ("should parse multipart bodies that are received in chunks", function() {
+            var Multipart = require("../js/WebApiClient.Multipart.js");
+            var body = 'Preamble\r\n' +
+                '--batch_1\r\n' +
+                'Content-Type: application/http\r\n\r\n' +
+                'HTTP/1.1 200 OK\r\n\r\n' +
+                '{"name":"--batch_1"}\r\n' +
+                '--batch_1\n' +
+                'Content-Type: application/http\n\n' +
+                'HTTP/1.1 204 No Content\n\n' +
+                '\r\n' +
+                '--batch_1--\r\n' +
+                'Epilogue';
+            var parts = [];
+            var parser = Multipart.CreateParser("batch_1", function(part) {
+                parts.push(part);
+            });
+
+            // Split the body after every character, so that chunks end inside delimiters and line breaks
+            body.split("").forEach(function(chunk, index) {
+                parser.write(chunk);
+
+                if (index === body.indexOf("--batch_1\n") + "--batch_1\n".length - 1) {
+                    expect(parts.length).toBe(1);
+                }
+            });
+
+            parser.end();
+
+            expect(parts).toEqual(Multipart.Split(body, "batch_1"));
+            expect(parts).toEqual([
+                'Content-Type: application/http\r\n\r\nHTTP/1.1 200 OK\r\n\r\n{"name":"--batch_1"}',
+                'Content-Type: application/http\n\nHTTP/1.1 204 No Content\n\n'
+            ]);
+        });
+
+        it ("should close batches that only contain change sets", function() {
+            var batch = new WebApiClient.Batch({
+                changeSets: [
+                    new WebApiClient.ChangeSet({
+                        requests: [ WebApiClient.Create({ entityName: "account", entity: { name: "Contoso" }, asBatch: true }) ]
+                    })
+                ]
+            });
+
+            var payload = batch.buildPayload();
+
+            expect(payload).not.toMatch(/[^\r]\n/);
+            expect(payload.substring(payload.length - batch.name.length - 6)).toBe("--" + batch.name + "--\r\n");
+        });
+
         it ("should fail if no batch passed", function(){
             expect(function(){
                 WebApiClient.SendBatch();
@@ -1383,7 +2028,7 @@ describe("WebApiClient", function() {
             }).not.toThrow();
         });
 
-        it ("should automatically increase change set name if none passed", function() {
+        it ("should generate unique change set and batch names if none passed", function() {
             var changeSet1 = new WebApiClient.ChangeSet();
             var changeSet2 = new WebApiClient.ChangeSet();
 
@@ -1391,6 +2036,20 @@ describe("WebApiClient", function() {
             expect(changeSet2.name.indexOf("changeset_")).toBe(0);
 
             expect(changeSet1.name).not.toBe(changeSet2.name);
+
+            expect(new WebApiClient.Batch().name).toMatch(/^batch_[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(new WebApiClient.Batch().name).not.toBe(new WebApiClient.Batch().name);
+        });
+
+        it ("should fail if a boundary occurs in a payload", function() {
+            var batch = new WebApiClient.Batch({
+                name: "batch_1",
+                requests: [ WebApiClient.Create({ entityName: "account", entity: { description: "--batch_1" }, asBatch: true }) ]
+            });
+
+            expect(function() {
+                batch.buildPayload();
+            }).toThrowError("Boundary batch_1 occurs in the payload of a part, please use a different name for the batch or change set!");
         });
 
         it("should be possible to initialize response without xhr", function() {
@@ -1829,7 +2488,7 @@ describe("WebApiClient", function() {
                     expect(response).toBeUndefined();
                 })
                 .catch(function(error) {
-                    expect(error).replace("\r", "").replace("\n", "")
+                    expect(error.message.replace("\r", "").replace("\n", ""))
                         .toBe("Internal Server Error: The function parameter 'EntityMoniker' cannot be found.Parameter name: parameterName");
                 })
                 // Wait for promise
@@ -1860,7 +2519,7 @@ describe("WebApiClient", function() {
 
                     var expectedError = JSON.stringify(json);
 
-                    expect(error.replace("\r\n", "")).toBe(expectedError.replace("\r\n", ""));
+                    expect(error.message.replace("\r\n", "")).toBe(expectedError.replace("\r\n", ""));
                 })
                 // Wait for promise
                 .finally(done);
@@ -1883,6 +2542,78 @@ describe("WebApiClient", function() {
 
             xhr.respond();
         });
+
+        it("should reject with WebApiError containing response details", function(done){
+            var errorUrl = fakeUrl + "/api/data/v8.0/accounts(00000000-0000-0000-0000-000000000002)";
+
+            xhr.respondWith("GET", errorUrl,
+                [404, { "Content-Type": "application/json", "REQ_ID": "1234" }, JSON.stringify({ error: { code: "0x80040217", message: "account With Id = 00000000-0000-0000-0000-000000000002 Does Not Exist", innererror: { type: "System.ServiceModel.FaultException" } } })]
+            );
+
+            WebApiClient.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000002"})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(error instanceof Error).toBe(true);
+                    expect(error.status).toBe(404);
+                    expect(error.statusText).toBe("Not Found");
+                    expect(error.code).toBe("0x80040217");
+                    expect(error.message).toBe("Not Found: account With Id = 00000000-0000-0000-0000-000000000002 Does Not Exist");
+                    expect(error.innererror.type).toBe("System.ServiceModel.FaultException");
+                    expect(error.method).toBe("GET");
+                    expect(error.url).toBe(errorUrl);
+                    expect(error.headers["req_id"]).toBe("1234");
+                })
+                .finally(done);
+        });
+
+        it("should not fail on non JSON error responses", function(done){
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/faults",
+                [502, { "Content-Type": "text/html" }, "<html><body>Bad Gateway</body></html>"]
+            );
+
+            WebApiClient.Retrieve({entityName: "fault"})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(error.status).toBe(502);
+                    expect(error.message).toBe("Bad Gateway");
+                    expect(error.code).toBeUndefined();
+                    expect(error.responseText).toBe("<html><body>Bad Gateway</body></html>");
+                })
+                .finally(done);
+        });
+
+        it("should not fail on empty error responses", function(done){
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/emptyerrors",
+                [500, { "Content-Type": "application/json" }, ""]
+            );
+
+            WebApiClient.Retrieve({entityName: "emptyerror"})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(error.status).toBe(500);
+                    expect(error.message).toBe("Internal Server Error");
+                })
+                .finally(done);
+        });
+
+        it("should throw WebApiError on sync requests", function(){
+            try {
+                WebApiClient.Retrieve({entityName: "error", async: false});
+                fail("Request should have failed");
+            } catch (e) {
+                expect(e instanceof WebApiClient.WebApiError).toBe(true);
+                expect(e.status).toBe(500);
+            }
+        });
     });
 
     describe("Configure", function() {
@@ -1927,6 +2658,2167 @@ describe("WebApiClient", function() {
         });
     });
 
+    describe("Clients", function() {
+        it("should create clients with isolated configuration", function() {
+            var client = WebApiClient.CreateClient({ ApiVersion: "9.0", Token: "456" });
+
+            expect(client.ApiVersion).toBe("9.0");
+            expect(client.Token).toBe("456");
+
+            expect(WebApiClient.ApiVersion).toBe("8.0");
+            expect(WebApiClient.Token).not.toBe("456");
+        });
+
+        it("should not share default headers between clients", function() {
+            var client = WebApiClient.CreateClient();
+            var clientHeaderCount = client.GetDefaultHeaders().length;
+            var globalHeaderCount = WebApiClient.GetDefaultHeaders().length;
+
+            client.AppendToDefaultHeaders({key: "clientHeader", value: "clientValue"});
+
+            expect(client.GetDefaultHeaders().length).toBe(clientHeaderCount + 1);
+            expect(WebApiClient.GetDefaultHeaders().length).toBe(globalHeaderCount);
+        });
+
+        it("should share types with the global instance", function() {
+            var client = WebApiClient.CreateClient();
+
+            expect(client.Batch).toBe(WebApiClient.Batch);
+            expect(client.Requests).toBe(WebApiClient.Requests);
+            expect(client.Promise).toBe(WebApiClient.Promise);
+        });
+
+        it("should send requests using its own configuration", function(done) {
+            var client = WebApiClient.CreateClient({ ApiVersion: "9.0" });
+
+            xhr.respondWith("GET", new RegExp(RegExp.escape(fakeUrl + "/api/data/v9.0/accounts(00000000-0000-0000-0000-000000000001)")),
+                [200, { "Content-Type": "application/json" }, JSON.stringify(contact)]
+            );
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toEqual(contact);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                // Wait for promise
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should build request urls for its own api version when executing", function() {
+            var client = WebApiClient.CreateClient({ ApiVersion: "9.0" });
+
+            expect(WebApiClient.Requests.WhoAmIRequest.buildUrl(client)).toBe(fakeUrl + "/api/data/v9.0/WhoAmI()");
+        });
+    });
+
+    describe("Transports", function() {
+        it("should use xhr transport by default", function() {
+            expect(WebApiClient.Transport).toBe(WebApiClient.Transports.Xhr);
+        });
+
+        it("should pass merged headers and serialized payload to custom transports", function(done) {
+            var sentRequest;
+            var client = WebApiClient.CreateClient({
+                Transport: {
+                    send: function (request) {
+                        sentRequest = request;
+
+                        return WebApiClient.Promise.resolve({
+                            status: 204,
+                            statusText: "No Content",
+                            responseText: "",
+                            getResponseHeader: function () {
+                                return "Fake-Account-Url";
+                            }
+                        });
+                    }
+                }
+            });
+
+            client.Create({entityName: "account", entity: account, headers: [{key: "Prefer", value: "return=representation"}]})
+                .then(function(response){
+                    expect(response).toBe("Fake-Account-Url");
+                    expect(sentRequest.method).toBe("POST");
+                    expect(sentRequest.url).toBe(fakeUrl + "/api/data/v8.0/accounts");
+                    expect(sentRequest.payload).toBe(JSON.stringify(account));
+                    expect(sentRequest.headers[0]).toEqual({key: "Prefer", value: "return=representation"});
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should send requests using fetch transport", function(done) {
+            var originalFetch = typeof(fetch) !== "undefined" ? fetch : undefined;
+            var client = WebApiClient.CreateClient({ Transport: WebApiClient.Transports.Fetch });
+
+            fetch = function (url, options) {
+                expect(url).toBe(fakeUrl + "/api/data/v8.0/accounts(00000000-0000-0000-0000-000000000001)");
+                expect(options.method).toBe("GET");
+                expect(options.headers.Accept).toBe("application/json");
+
+                return WebApiClient.Promise.resolve({
+                    status: 200,
+                    statusText: "OK",
+                    headers: {
+                        get: function () {
+                            return "application/json";
+                        }
+                    },
+                    text: function () {
+                        return WebApiClient.Promise.resolve(JSON.stringify(account));
+                    }
+                });
+            };
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toEqual(account);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(function() {
+                    fetch = originalFetch;
+                    done();
+                });
+        });
+
+        it("should reject with error if fetch transport fails on network level", function(done) {
+            var originalFetch = typeof(fetch) !== "undefined" ? fetch : undefined;
+            var client = WebApiClient.CreateClient({ Transport: WebApiClient.Transports.Fetch });
+
+            fetch = function () {
+                return WebApiClient.Promise.reject(new Error("Failed to fetch"));
+            };
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof Error).toBe(true);
+                })
+                .finally(function() {
+                    fetch = originalFetch;
+                    done();
+                });
+        });
+
+        it("should throw on synchronous requests if transport does not support them", function() {
+            var client = WebApiClient.CreateClient({ Transport: WebApiClient.Transports.Fetch });
+
+            expect(function() {
+                client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", async: false});
+            }).toThrow();
+        });
+    });
+
+    describe("Middlewares", function() {
+        it("should allow to modify outgoing requests", function(done) {
+            var client = WebApiClient.CreateClient();
+
+            spyOn(XMLHttpRequest.prototype, 'setRequestHeader').and.callThrough();
+
+            client.Use(function (request) {
+                request.url = request.url.replace("/proxied/", "/api/data/v8.0/");
+                request.headers.push({key: "x-correlation-id", value: "123"});
+            });
+
+            client.SendRequest("GET", fakeUrl + "/proxied/accounts(00000000-0000-0000-0000-000000000001)")
+                .then(function(response){
+                    expect(response).toEqual(account);
+                    expect(XMLHttpRequest.prototype.setRequestHeader).toHaveBeenCalledWith("x-correlation-id", "123");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should allow to transform responses", function(done) {
+            var client = WebApiClient.CreateClient();
+
+            client.Use({
+                response: function (response, request) {
+                    return { request: request.method, result: response };
+                }
+            });
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toEqual({ request: "GET", result: account });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should allow to recover from errors", function(done) {
+            var client = WebApiClient.CreateClient();
+            var inspected;
+
+            client.Use({
+                error: function (error) {
+                    inspected = error;
+                }
+            });
+
+            client.Use({
+                error: function (error, request) {
+                    return "Recovered " + request.method;
+                }
+            });
+
+            client.Retrieve({entityName: "error"})
+                .then(function(response){
+                    expect(inspected instanceof Error).toBe(true);
+                    expect(response).toBe("Recovered GET");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should be applied to automatic paging requests", function(done) {
+            var client = WebApiClient.CreateClient();
+            var urls = [];
+
+            client.Use(function (request) {
+                urls.push(request.url);
+            });
+
+            client.Retrieve({entityName: "account", queryParams: "?$select=pagingtestfirst", returnAllPages: true})
+                .then(function(response){
+                    expect(response.value.length).toBe(2);
+                    expect(urls.length).toBe(2);
+                    expect(urls[1]).toBe(fakeUrl + "/api/data/v8.0/accounts?$select=pagingtestsecond");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should be applied to synchronous requests", function() {
+            var client = WebApiClient.CreateClient({ Async: false });
+
+            client.Use({
+                response: function (response) {
+                    response.intercepted = true;
+                }
+            });
+
+            var response = client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001"});
+
+            expect(response.intercepted).toBe(true);
+        });
+
+        it("should throw on invalid middlewares", function() {
+            expect(function() {
+                WebApiClient.CreateClient().Use("middleware");
+            }).toThrow();
+        });
+    });
+
+    describe("Retries", function() {
+        var throttledUrl = fakeUrl + "/api/data/v8.0/throttles(00000000-0000-0000-0000-000000000001)";
+        var retryPolicy = { baseDelay: 1, maxDelay: 5 };
+
+        function RespondThrottled (count, headers) {
+            var calls = 0;
+
+            xhr.respondWith("GET", throttledUrl, function (request) {
+                calls++;
+
+                if (calls <= count) {
+                    request.respond(429, headers || { "Content-Type": "application/json" }, JSON.stringify({ error: { code: "0x80072322", message: "Number of requests exceeded the limit" } }));
+                } else {
+                    request.respond(200, { "Content-Type": "application/json" }, JSON.stringify(account));
+                }
+            });
+
+            return function () {
+                return calls;
+            };
+        }
+
+        it("should not retry by default", function(done) {
+            var calls = RespondThrottled(1);
+
+            WebApiClient.Retrieve({entityName: "throttle", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeDefined();
+                    expect(calls()).toBe(1);
+                })
+                .finally(done);
+        });
+
+        it("should retry throttled requests", function(done) {
+            var calls = RespondThrottled(2);
+
+            WebApiClient.Retrieve({entityName: "throttle", entityId: "00000000-0000-0000-0000-000000000001", retryPolicy: retryPolicy})
+                .then(function(response){
+                    expect(response).toEqual(account);
+                    expect(calls()).toBe(3);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should honour Retry-After header", function(done) {
+            var calls = RespondThrottled(1, { "Content-Type": "application/json", "Retry-After": "0" });
+            var client = WebApiClient.CreateClient({ RetryPolicy: { baseDelay: 60000 } });
+
+            client.Retrieve({entityName: "throttle", entityId: "00000000-0000-0000-0000-000000000001"})
+                .then(function(response){
+                    expect(response).toEqual(account);
+                    expect(calls()).toBe(2);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should reject when running out of attempts", function(done) {
+            var calls = RespondThrottled(5);
+
+            WebApiClient.Retrieve({entityName: "throttle", entityId: "00000000-0000-0000-0000-000000000001", retryPolicy: { maxAttempts: 3, baseDelay: 1 }})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeDefined();
+                    expect(calls()).toBe(3);
+                })
+                .finally(done);
+        });
+
+        it("should retry batches", function(done) {
+            var calls = 0;
+
+            xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/$batch", function (request) {
+                calls++;
+
+                if (calls === 1) {
+                    request.respond(503, { "Content-Type": "application/json" }, JSON.stringify({}));
+                } else {
+                    request.respond(200, { "Content-Type": "multipart/mixed; boundary=batchresponse_a41f8ebb-a8c5-4723-9afa-27a673952fd9" }, "--batchresponse_a41f8ebb-a8c5-4723-9afa-27a673952fd9--\r\n");
+                }
+            });
+
+            var batch = new WebApiClient.Batch({
+                requests: [ WebApiClient.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", asBatch: true}) ],
+                retryPolicy: retryPolicy
+            });
+
+            WebApiClient.SendBatch(batch)
+                .then(function(response){
+                    expect(response instanceof WebApiClient.BatchResponse).toBe(true);
+                    expect(calls).toBe(2);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+    });
+
+    describe("Timeouts and Cancellation", function() {
+        var pendingTransport = {
+            send: function () {
+                return new WebApiClient.Promise(function () {});
+            }
+        };
+
+        function CreateSignal () {
+            var listeners = [];
+
+            return {
+                aborted: false,
+                addEventListener: function (type, listener) {
+                    listeners.push(listener);
+                },
+                removeEventListener: function (type, listener) {
+                    listeners.splice(listeners.indexOf(listener), 1);
+                },
+                abort: function () {
+                    this.aborted = true;
+
+                    for (var i = 0; i < listeners.length; i++) {
+                        listeners[i]();
+                    }
+                }
+            };
+        }
+
+        it("should reject with timeout error when request takes too long", function(done) {
+            var client = WebApiClient.CreateClient({ Transport: pendingTransport });
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", timeout: 10})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                    expect(error.isTimeout).toBe(true);
+                })
+                .finally(done);
+        });
+
+        it("should not time out when response arrives in time", function(done) {
+            WebApiClient.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", timeout: 10000})
+                .then(function(response){
+                    expect(response).toEqual(account);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should not change the parameters passed by the caller", function(done) {
+            var sentHeaders = [];
+            var client = WebApiClient.CreateClient({
+                Token: "123",
+                Transport: {
+                    send: function (request) {
+                        sentHeaders.push(request.headers);
+
+                        return WebApiClient.Promise.resolve({
+                            status: 204,
+                            statusText: "No Content",
+                            responseText: "",
+                            getResponseHeader: function () {
+                                return null;
+                            }
+                        });
+                    }
+                }
+            });
+            var headers = [{ key: "MSCRMCallerID", value: "00000000-0000-0000-0000-000000000001" }];
+            var params = { entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", headers: headers, timeout: 10000 };
+
+            client.Delete(params)
+                .then(function() {
+                    return client.Delete(params);
+                })
+                .then(function() {
+                    var authorization = sentHeaders[1].filter(function(header) {
+                        return header.key === "Authorization";
+                    });
+
+                    expect(params.headers).toBe(headers);
+                    expect(headers.length).toBe(1);
+                    expect(params.hasOwnProperty("_deadline")).toBe(false);
+                    expect(authorization).toEqual([{ key: "Authorization", value: "Bearer 123" }]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should reject with abort error when signal is aborted", function(done) {
+            var client = WebApiClient.CreateClient({ Transport: pendingTransport });
+            var signal = CreateSignal();
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", signal: signal})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                    expect(error.isTimeout).toBe(false);
+                })
+                .finally(done);
+
+            signal.abort();
+        });
+
+        it("should not send request when signal is already aborted", function(done) {
+            var signal = CreateSignal();
+            var sent = false;
+            var client = WebApiClient.CreateClient({ Transport: {
+                send: function () {
+                    sent = true;
+                    return pendingTransport.send();
+                }
+            }});
+
+            signal.abort();
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", signal: signal})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                    expect(sent).toBe(false);
+                })
+                .finally(done);
+        });
+
+        it("should pass signal to transport", function(done) {
+            var signal = CreateSignal();
+            var client = WebApiClient.CreateClient({ Transport: {
+                send: function (request) {
+                    return new WebApiClient.Promise(function (resolve, reject) {
+                        request.signal.addEventListener("abort", function () {
+                            reject(new Error("Transport aborted"));
+                        });
+                    });
+                }
+            }});
+
+            client.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", signal: signal})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                })
+                .finally(done);
+
+            signal.abort();
+        });
+
+        it("should abort pending retries", function(done) {
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/throttles(00000000-0000-0000-0000-000000000001)",
+                [429, { "Content-Type": "application/json", "Retry-After": "60" }, JSON.stringify({})]
+            );
+
+            WebApiClient.Retrieve({entityName: "throttle", entityId: "00000000-0000-0000-0000-000000000001", retryPolicy: {}, timeout: 50})
+                .then(function(response){
+                    expect(response).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                    expect(error.isTimeout).toBe(true);
+                })
+                .finally(done);
+        });
+
+        it("should throw abort error for aborted sync requests", function() {
+            var signal = CreateSignal();
+
+            signal.abort();
+
+            expect(function() {
+                WebApiClient.Retrieve({entityName: "account", entityId: "00000000-0000-0000-0000-000000000001", async: false, signal: signal});
+            }).toThrowError(WebApiClient.AbortError);
+        });
+    });
+
+    describe("Query", function() {
+        var Query = WebApiClient.Query;
+
+        it("should return empty string if no options set", function() {
+            expect(new Query().build()).toBe("");
+        });
+
+        it("should build select, orderby, top and count", function() {
+            var query = new Query()
+                .select("name", "revenue")
+                .select(["accountnumber"])
+                .orderBy("revenue", true)
+                .orderBy("name")
+                .top(10)
+                .count();
+
+            expect(query.build()).toBe("?$select=name,revenue,accountnumber&$orderby=revenue%20desc,name%20asc&$top=10&$count=true");
+        });
+
+        it("should format and escape filter values", function() {
+            expect(Query.eq("name", "O'Brien & Sons")).toBe("name eq 'O''Brien & Sons'");
+            expect(Query.gt("revenue", 1000)).toBe("revenue gt 1000");
+            expect(Query.eq("donotemail", false)).toBe("donotemail eq false");
+            expect(Query.ne("revenue", null)).toBe("revenue ne null");
+            expect(Query.eq("_parentaccountid_value", Query.guid("{00000000-0000-0000-0000-000000000001}"))).toBe("_parentaccountid_value eq 00000000-0000-0000-0000-000000000001");
+            expect(Query.ge("createdon", new Date(Date.UTC(2017, 0, 1)))).toBe("createdon ge 2017-01-01T00:00:00.000Z");
+            expect(Query.contains("name", "Works")).toBe("contains(name,'Works')");
+        });
+
+        it("should reject invalid literals", function() {
+            expect(function() { Query.guid("no-guid"); }).toThrow();
+            expect(function() { Query.date("no-date"); }).toThrow();
+            expect(function() { new Query().top(-1); }).toThrow();
+        });
+
+        it("should combine filters", function() {
+            var filter = Query.or(
+                Query.and(Query.eq("name", "Adventure Works"), Query.gt("revenue", 1000)),
+                Query.not(Query.startsWith("name", "Contoso"))
+            );
+
+            expect(filter).toBe("((name eq 'Adventure Works') and (revenue gt 1000)) or (not (startswith(name,'Contoso')))");
+
+            var query = new Query()
+                .filter(Query.eq("name", "O'Brien & Sons"))
+                .filter(Query.ne("revenue", null));
+
+            expect(query.build()).toBe("?$filter=(name%20eq%20'O''Brien%20%26%20Sons')%20and%20(revenue%20ne%20null)");
+        });
+
+        it("should build nested expands", function() {
+            var query = new Query()
+                .select("name")
+                .expand("primarycontactid", new Query().select("fullname"))
+                .expand("Account_Tasks", function(tasks) {
+                    tasks.select("subject").filter(Query.eq("statecode", 0)).orderBy("createdon").top(5);
+                })
+                .expand("owninguser");
+
+            expect(query.build()).toBe("?$select=name&$expand=primarycontactid($select=fullname),Account_Tasks($select=subject;$filter=statecode%20eq%200;$orderby=createdon%20asc;$top=5),owninguser");
+        });
+
+        it("should be usable in Retrieve", function(done) {
+            var query = new Query()
+                .select("name", "revenue")
+                .filter(Query.eq("name", "O'Brien"));
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/accounts?$select=name,revenue&$filter=name%20eq%20'O''Brien'",
+                [200, { "Content-Type": "application/json" }, JSON.stringify({ value: [account] })]
+            );
+
+            WebApiClient.Retrieve({entityName: "account", query: query})
+                .then(function(response){
+                    expect(response.value).toEqual([account]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should append to existing query string", function(done) {
+            var fetchXml = "<fetch mapping='logical'><entity name='account'><attribute name='name'/></entity></fetch>";
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/accounts?fetchXml=" + escape(fetchXml) + "&$count=true",
+                [200, { "Content-Type": "application/json" }, JSON.stringify({ value: [account] })]
+            );
+
+            WebApiClient.Retrieve({entityName: "account", fetchXml: fetchXml, query: new Query().count()})
+                .then(function(response){
+                    expect(response.value).toEqual([account]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+    });
+
+    describe("FetchXml", function() {
+        var FetchXml = WebApiClient.FetchXml;
+
+        it("should build fetchXml", function() {
+            var fetchXml = new FetchXml("account", { top: 10, distinct: true })
+                .attributes("name", "revenue")
+                .where("statecode", "eq", 0)
+                .where("name", "like", "O'Brien & <Sons>%")
+                .filter("or", function(filter) {
+                    filter.condition("revenue", "gt", 1000)
+                        .condition("donotemail", "eq", false)
+                        .filter("and", function(nested) {
+                            nested.condition("industrycode", "in", [1, 2])
+                                .condition("createdon", "between", [new Date(Date.UTC(2017, 0, 1)), new Date(Date.UTC(2018, 0, 1))]);
+                        });
+                })
+                .order("name", true)
+                .link("contact", "contactid", "primarycontactid", { alias: "pc", type: "outer" }, function(contact) {
+                    contact.attribute("fullname").where("lastname", "not-null");
+                });
+
+            expect(fetchXml.build()).toBe('<fetch mapping="logical" top="10" distinct="true"><entity name="account">' +
+                '<attribute name="name"/><attribute name="revenue"/>' +
+                '<filter type="and"><condition attribute="statecode" operator="eq" value="0"/><condition attribute="name" operator="like" value="O&apos;Brien &amp; &lt;Sons&gt;%"/></filter>' +
+                '<filter type="or"><condition attribute="revenue" operator="gt" value="1000"/><condition attribute="donotemail" operator="eq" value="0"/>' +
+                '<filter type="and"><condition attribute="industrycode" operator="in"><value>1</value><value>2</value></condition>' +
+                '<condition attribute="createdon" operator="between"><value>2017-01-01T00:00:00.000Z</value><value>2018-01-01T00:00:00.000Z</value></condition></filter></filter>' +
+                '<order attribute="name" descending="true"/>' +
+                '<link-entity name="contact" from="contactid" to="primarycontactid" alias="pc" link-type="outer"><attribute name="fullname"/><filter type="and"><condition attribute="lastname" operator="not-null"/></filter></link-entity>' +
+                '</entity></fetch>');
+
+            expect(FetchXml.validate(fetchXml)).toEqual([]);
+        });
+
+        it("should build aggregate fetchXml", function() {
+            var fetchXml = new FetchXml("opportunity", { aggregate: true })
+                .attribute("estimatedvalue", { alias: "total", aggregate: "sum" })
+                .attribute("createdon", { alias: "month", groupby: true, dategrouping: "month" })
+                .order("month", false, true);
+
+            expect(fetchXml.build()).toBe('<fetch mapping="logical" aggregate="true"><entity name="opportunity">' +
+                '<attribute name="estimatedvalue" alias="total" aggregate="sum"/>' +
+                '<attribute name="createdon" alias="month" groupby="true" dategrouping="month"/>' +
+                '<order alias="month"/></entity></fetch>');
+
+            expect(FetchXml.validate(fetchXml)).toEqual([]);
+        });
+
+        it("should reject invalid builder input", function() {
+            expect(function() { new FetchXml(); }).toThrow();
+            expect(function() { new FetchXml("account").where("statuscode", "in", 1); }).toThrow();
+            expect(function() { new FetchXml("account").filter("xor", function() {}); }).toThrow();
+            expect(function() { new FetchXml("account").link("contact"); }).toThrow();
+        });
+
+        it("should report structural mistakes", function() {
+            expect(FetchXml.validate("<fetch><entity name='account'>")).toEqual(["FetchXml is not well-formed"]);
+            expect(FetchXml.validate("<query/>")).toEqual(["Root element has to be 'fetch'"]);
+            expect(FetchXml.validate("<fetch/>")).toEqual(["Fetch needs exactly one entity"]);
+            expect(FetchXml.validate("<fetch top='5' count='10'><entity name='account'/></fetch>")).toEqual(["Top can not be combined with paging attributes page and count"]);
+            expect(FetchXml.validate("<fetch><entity name='account'><condition attribute='name' operator='eq' value='a'/></entity></fetch>"))
+                .toEqual(["Element 'condition' is not allowed inside 'entity'"]);
+            expect(FetchXml.validate("<fetch><entity name='account'><link-entity name='contact'/><filter><condition operator='between'><value>1</value></condition></filter></entity></fetch>"))
+                .toEqual(["Link entity needs name, from and to attributes", "Condition is missing the attribute", "Condition with operator 'between' needs exactly two values"]);
+            expect(FetchXml.validate("<fetch aggregate='true'><entity name='account'><attribute name='revenue'/><all-attributes/></entity></fetch>"))
+                .toEqual(["Attribute 'revenue' needs an alias and either an aggregate or groupby in aggregate queries", "All attributes can not be used in aggregate queries"]);
+        });
+
+        it("should not send invalid fetchXml if validation is requested", function() {
+            expect(function() {
+                WebApiClient.Retrieve({entityName: "account", fetchXml: "<fetch><entity name='account'></fetch>", validateFetchXml: true});
+            }).toThrowError(/FetchXml is invalid/);
+        });
+
+        it("should send fetchXml unknown to validation if not requested", function() {
+            var fetchXml = "<fetch><entity name='account'><filter><link-entity name='contact' from='parentcustomerid' to='accountid' link-type='any'/></filter><unknown/></entity></fetch>";
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/accounts?fetchXml=" + escape(fetchXml),
+                [200, { "Content-Type": "application/json" }, JSON.stringify({ value: [account] })]
+            );
+
+            var response = WebApiClient.Retrieve({entityName: "account", fetchXml: fetchXml, async: false});
+
+            expect(response.value).toEqual([account]);
+            expect(FetchXml.validate(fetchXml)).toEqual(["Element 'unknown' is not allowed inside 'entity'"]);
+        });
+
+        it("should be usable in Retrieve", function(done) {
+            var fetchXml = new FetchXml("account").attributes("accountid", "name");
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/accounts?fetchXml=" + escape(fetchXml.build()),
+                [200, { "Content-Type": "application/json" }, JSON.stringify({ value: [account] })]
+            );
+
+            WebApiClient.Retrieve({fetchXml: fetchXml})
+                .then(function(response){
+                    expect(response.value).toEqual([account]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+    });
+
+    describe("RetrieveIterator", function() {
+        var cookieFetch = '<fetch count="11" version="1.0" output-format="xml-platform" mapping="logical" distinct="false">  <entity name="account">    <attribute name="name" />    <attribute name="primarycontactid" />    <attribute name="telephone1" />    <attribute name="accountid" />    <order attribute="name" descending="false" />  </entity></fetch>';
+
+        it("should yield pages one by one", function(done) {
+            var iterator = WebApiClient.RetrieveIterator({entityName: "account", queryParams: "?$select=pagingtestfirst"});
+            var pages = [];
+
+            function Read () {
+                return iterator.next()
+                    .then(function(result) {
+                        if (result.done) {
+                            return;
+                        }
+
+                        pages.push(result.value);
+
+                        return Read();
+                    });
+            }
+
+            Read()
+                .then(function() {
+                    expect(pages.length).toBe(2);
+                    expect(pages[0].value).toEqual([{ Name: "Adventure Works1" }]);
+                    expect(pages[1].value).toEqual([{ Name: "Adventure Works2" }]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should not merge pages even if all pages are configured", function(done) {
+            WebApiClient.ReturnAllPages = true;
+
+            var iterator = WebApiClient.RetrieveIterator({entityName: "account", queryParams: "?$select=pagingtestfirst"});
+
+            iterator.next()
+                .then(function(result) {
+                    expect(result.done).toBe(false);
+                    expect(result.value.value.length).toBe(1);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should yield records when using fetchXml paging cookies", function(done) {
+            var iterator = WebApiClient.RetrieveIterator({entityName: "account", fetchXml: cookieFetch, yieldRecords: true});
+            var records = [];
+
+            function Read () {
+                return iterator.next()
+                    .then(function(result) {
+                        if (result.done) {
+                            return;
+                        }
+
+                        records.push(result.value);
+
+                        return Read();
+                    });
+            }
+
+            Read()
+                .then(function() {
+                    expect(records).toEqual([{ Name: "Adventure Works1" }, { Name: "Adventure Works2" }]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should keep rejecting after a page failed", function(done) {
+            var requests = 0;
+            var firstError;
+
+            xhr.respondWith("GET", new RegExp(RegExp.escape(fakeUrl + "/api/data/v8.0/new_items")), function(request) {
+                requests++;
+                request.respond(500, { "Content-Type": "application/json" }, JSON.stringify({ error: { code: "0x80040216", message: "Unexpected error" } }));
+            });
+
+            var iterator = WebApiClient.RetrieveIterator({entityName: "new_item"});
+
+            iterator.next()
+                .then(function(result) {
+                    expect(result).toBeUndefined();
+                }, function(error) {
+                    firstError = error;
+
+                    return iterator.next();
+                })
+                .then(function(result) {
+                    expect(result).toBeUndefined();
+                }, function(error) {
+                    expect(firstError instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(error).toBe(firstError);
+                    expect(requests).toBe(1);
+                })
+                .finally(done);
+        });
+
+        it("should stop at max records", function(done) {
+            var requests = 0;
+            var client = WebApiClient.CreateClient();
+
+            client.Use({
+                request: function() {
+                    requests++;
+                }
+            });
+
+            var iterator = client.RetrieveIterator({entityName: "account", queryParams: "?$select=pagingtestfirst", yieldRecords: true, maxRecords: 1});
+
+            iterator.next()
+                .then(function(result) {
+                    expect(result.value).toEqual({ Name: "Adventure Works1" });
+
+                    return iterator.next();
+                })
+                .then(function(result) {
+                    expect(result.done).toBe(true);
+                    expect(requests).toBe(1);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should pass pages to onPage callback", function(done) {
+            var pages = [];
+
+            WebApiClient.Retrieve({
+                entityName: "account",
+                fetchXml: cookieFetch,
+                onPage: function(page, pageNumber) {
+                    pages.push(pageNumber);
+
+                    return WebApiClient.Promise.resolve();
+                }
+            })
+                .then(function(result) {
+                    expect(pages).toEqual([1, 2]);
+                    expect(result).toEqual({ pageCount: 2, recordCount: 2 });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should stop when onPage returns false", function(done) {
+            WebApiClient.Retrieve({
+                entityName: "account",
+                queryParams: "?$select=pagingtestfirst",
+                onPage: function() {
+                    return false;
+                }
+            })
+                .then(function(result) {
+                    expect(result).toEqual({ pageCount: 1, recordCount: 1 });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+    });
+
+    describe("Set Name Resolution", function() {
+        var metadataCalls;
+
+        beforeEach(function() {
+            metadataCalls = 0;
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/EntityDefinitions?$select=LogicalName,EntitySetName", function (request) {
+                metadataCalls++;
+
+                request.respond(200, { "Content-Type": "application/json" }, JSON.stringify({
+                    value: [
+                        { LogicalName: "new_box", EntitySetName: "new_boxes" },
+                        { LogicalName: "contactleads", EntitySetName: "contactleadscollection" }
+                    ]
+                }));
+            });
+
+            xhr.respondWith("GET", fakeUrl + "/api/data/v8.0/new_boxes(00000000-0000-0000-0000-000000000001)",
+                [200, { "Content-Type": "application/json" }, JSON.stringify(account)]
+            );
+        });
+
+        it("should use plural rules by default", function() {
+            var client = WebApiClient.CreateClient();
+
+            expect(client.GetSetName("new_box")).toBe("new_boxs");
+            expect(metadataCalls).toBe(0);
+        });
+
+        it("should load set names once and use them for requests", function(done) {
+            var client = WebApiClient.CreateClient({ ResolveSetNames: true });
+
+            WebApiClient.Promise.all([
+                client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001"}),
+                client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001"})
+            ])
+                .then(function(responses){
+                    expect(responses).toEqual([account, account]);
+
+                    return client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001"});
+                })
+                .then(function(response){
+                    expect(response).toEqual(account);
+                    expect(metadataCalls).toBe(1);
+                    expect(client.GetSetName("contactleads")).toBe("contactleadscollection");
+                    expect(client.GetSetName("account")).toBe("accounts");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should resolve set names for associate and requests", function(done) {
+            var client = WebApiClient.CreateClient({ ResolveSetNames: true });
+            var urls = [];
+
+            client.Use(function(request) {
+                urls.push(request.url);
+            });
+
+            xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/new_boxes(00000000-0000-0000-0000-000000000001)/new_box_contactleads/$ref",
+                [204, { "Content-Type": "application/json" }, ""]
+            );
+
+            client.Associate({
+                relationShip: "new_box_contactleads",
+                source: { entityName: "contactleads", entityId: "00000000-0000-0000-0000-000000000002" },
+                target: { entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001" }
+            })
+                .then(function(){
+                    var request = new client.Requests.Request().with({ name: "new_Ship", bound: true, entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000003" });
+
+                    expect(request.buildUrl(client)).toBe(fakeUrl + "/api/data/v8.0/new_boxes(00000000-0000-0000-0000-000000000003)/Microsoft.Dynamics.CRM.new_Ship()");
+                    expect(urls[1]).toBe(fakeUrl + "/api/data/v8.0/new_boxes(00000000-0000-0000-0000-000000000001)/new_box_contactleads/$ref");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should load set names synchronously", function() {
+            var client = WebApiClient.CreateClient({ ResolveSetNames: true, Async: false });
+
+            var response = client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001"});
+
+            expect(response).toEqual(account);
+            expect(metadataCalls).toBe(1);
+        });
+
+        it("should require loaded set names for batch requests", function(done) {
+            var client = WebApiClient.CreateClient({ ResolveSetNames: true });
+
+            expect(function() {
+                client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001", asBatch: true});
+            }).toThrow();
+
+            client.LoadSetNames()
+                .then(function(setNames){
+                    expect(setNames.new_box).toBe("new_boxes");
+
+                    var request = client.Retrieve({entityName: "new_box", entityId: "00000000-0000-0000-0000-000000000001", asBatch: true});
+
+                    expect(request.url).toBe(fakeUrl + "/api/data/v8.0/new_boxes(00000000-0000-0000-0000-000000000001)");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+    });
+
+    describe("Metadata", function() {
+        var calls;
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+
+        function RespondMetadata (url, body) {
+            xhr.respondWith("GET", apiUrl + url, function (request) {
+                calls++;
+                request.respond(200, { "Content-Type": "application/json" }, JSON.stringify(body));
+            });
+        }
+
+        function CreateStorage () {
+            var items = {};
+
+            return {
+                get length () {
+                    return Object.keys(items).length;
+                },
+                key: function (index) {
+                    return Object.keys(items)[index];
+                },
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = value;
+                },
+                removeItem: function (key) {
+                    delete items[key];
+                }
+            };
+        }
+
+        beforeEach(function() {
+            calls = 0;
+
+            RespondMetadata("EntityDefinitions(LogicalName='account')?$select=EntitySetName,PrimaryIdAttribute", { EntitySetName: "accounts", PrimaryIdAttribute: "accountid" });
+            RespondMetadata("EntityDefinitions(LogicalName='account')/Attributes/Microsoft.Dynamics.CRM.LookupAttributeMetadata?$select=LogicalName,Targets&$filter=IsCustomAttribute eq true", { value: [{ LogicalName: "new_parentid", Targets: ["account"] }] });
+            RespondMetadata("EntityDefinitions(LogicalName='account')/Attributes(LogicalName='industrycode')/Microsoft.Dynamics.CRM.PicklistAttributeMetadata?$select=LogicalName&$expand=OptionSet,GlobalOptionSet", { LogicalName: "industrycode", OptionSet: { Options: [{ Value: 1 }] }, GlobalOptionSet: null });
+            RespondMetadata("GlobalOptionSetDefinitions(Name='new_colors')", { Name: "new_colors", Options: [{ Value: 2 }] });
+            RespondMetadata("EntityDefinitions(LogicalName='account')/OneToManyRelationships?$select=SchemaName", { value: [{ SchemaName: "account_tasks" }] });
+            RespondMetadata("RelationshipDefinitions/Microsoft.Dynamics.CRM.ManyToManyRelationshipMetadata", { value: [{ SchemaName: "contactleads_association" }] });
+        });
+
+        it("should retrieve entity definitions with select", function(done) {
+            var client = WebApiClient.CreateClient();
+
+            client.Metadata.getEntity({ logicalName: "account", select: ["EntitySetName", "PrimaryIdAttribute"] })
+                .then(function(entity){
+                    expect(entity.EntitySetName).toBe("accounts");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should retrieve attributes, option sets and relationships", function(done) {
+            var metadata = WebApiClient.CreateClient().Metadata;
+
+            WebApiClient.Promise.all([
+                metadata.getAttributes({ logicalName: "account", attributeType: "Lookup", select: "LogicalName,Targets", filter: "IsCustomAttribute eq true" }),
+                metadata.getOptionSet({ logicalName: "account", attributeName: "industrycode" }),
+                metadata.getOptionSet({ name: "new_colors" }),
+                metadata.getRelationships({ logicalName: "account", type: "OneToMany", select: ["SchemaName"] }),
+                metadata.getRelationships({ type: "ManyToMany" })
+            ])
+                .then(function(results){
+                    expect(results[0]).toEqual([{ LogicalName: "new_parentid", Targets: ["account"] }]);
+                    expect(results[1]).toEqual({ Options: [{ Value: 1 }] });
+                    expect(results[2].Name).toBe("new_colors");
+                    expect(results[3]).toEqual([{ SchemaName: "account_tasks" }]);
+                    expect(results[4]).toEqual([{ SchemaName: "contactleads_association" }]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should cache results per client", function(done) {
+            var client = WebApiClient.CreateClient();
+            var otherClient = WebApiClient.CreateClient();
+            var parameters = { logicalName: "account", select: ["EntitySetName", "PrimaryIdAttribute"] };
+
+            WebApiClient.Promise.all([client.Metadata.getEntity(parameters), client.Metadata.getEntity(parameters)])
+                .then(function(){
+                    return client.Metadata.getEntity(parameters);
+                })
+                .then(function(){
+                    expect(calls).toBe(1);
+
+                    return otherClient.Metadata.getEntity(parameters);
+                })
+                .then(function(){
+                    expect(calls).toBe(2);
+
+                    client.Metadata.clearCache();
+
+                    return client.Metadata.getEntity(parameters);
+                })
+                .then(function(){
+                    expect(calls).toBe(3);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should not cache if ttl is 0", function(done) {
+            var client = WebApiClient.CreateClient({ MetadataCacheTtl: 0 });
+
+            client.Metadata.getOptionSet({ name: "new_colors" })
+                .then(function(){
+                    return client.Metadata.getOptionSet({ name: "new_colors" });
+                })
+                .then(function(){
+                    expect(calls).toBe(2);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should persist cache in storage", function(done) {
+            var storage = CreateStorage();
+            var client = WebApiClient.CreateClient({ MetadataStorage: storage });
+
+            client.Metadata.getOptionSet({ name: "new_colors" })
+                .then(function(){
+                    expect(storage.length).toBe(1);
+
+                    // A new client, for example after reloading the page, reads from storage
+                    var reloaded = WebApiClient.CreateClient({ MetadataStorage: storage, Async: false });
+                    var optionSet = reloaded.Metadata.getOptionSet({ name: "new_colors" });
+
+                    expect(optionSet.Name).toBe("new_colors");
+                    expect(calls).toBe(1);
+
+                    reloaded.Metadata.clearCache();
+
+                    expect(storage.length).toBe(0);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should only clear entries of its own organization from storage", function(done) {
+            var storage = CreateStorage();
+            var client = WebApiClient.CreateClient({ MetadataStorage: storage });
+
+            storage.setItem("WebApiClient.Metadata:https://other.crm.dynamics.com/api/data/v9.0/GlobalOptionSetDefinitions(Name='new_colors')#", "{}");
+            storage.setItem("unrelated", "value");
+
+            client.Metadata.getOptionSet({ name: "new_colors" })
+                .then(function(){
+                    expect(storage.length).toBe(3);
+
+                    client.Metadata.clearCache();
+
+                    expect(storage.length).toBe(2);
+                    expect(storage.getItem("unrelated")).toBe("value");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should cache results per headers", function(done) {
+            var client = WebApiClient.CreateClient();
+            var german = { name: "new_colors", headers: [{ key: "Accept-Language", value: "1031" }] };
+
+            client.Metadata.getOptionSet({ name: "new_colors" })
+                .then(function(){
+                    return client.Metadata.getOptionSet(german);
+                })
+                .then(function(){
+                    return client.Metadata.getOptionSet(german);
+                })
+                .then(function(){
+                    expect(calls).toBe(2);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should validate parameters", function() {
+            expect(function() { WebApiClient.Metadata.getEntity({}); }).toThrow();
+            expect(function() { WebApiClient.Metadata.getOptionSet({ logicalName: "account" }); }).toThrow();
+            expect(function() { WebApiClient.Metadata.getRelationships({ logicalName: "account" }); }).toThrow();
+        });
+    });
+
+    describe("Typings Generator", function() {
+        var GenerateTypings = require("../js/WebApiClient.Typings.js").GenerateEntityTypings;
+        var csdl = '<?xml version="1.0" encoding="utf-8"?>' +
+            '<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx"><edmx:DataServices>' +
+            '<Schema Namespace="Microsoft.Dynamics.CRM" Alias="mscrm" xmlns="http://docs.oasis-open.org/odata/ns/edm">' +
+            '<EntityType Name="crmbaseentity" Abstract="true"/>' +
+            '<EntityType Name="account" BaseType="mscrm.crmbaseentity"><Key><PropertyRef Name="accountid"/></Key>' +
+            '<Property Name="accountid" Type="Edm.Guid" Nullable="false"/><Property Name="name" Type="Edm.String"/>' +
+            '<Property Name="industrycode" Type="Edm.Int32"/><Property Name="categories" Type="Collection(Edm.String)"/>' +
+            '<NavigationProperty Name="primarycontactid" Type="mscrm.contact"/>' +
+            '<NavigationProperty Name="contact_customer_accounts" Type="Collection(Microsoft.Dynamics.CRM.contact)"/></EntityType>' +
+            '<!-- <EntityType Name="ignored"/> -->' +
+            '<EntityType Name="contact" BaseType="mscrm.crmbaseentity"><Property Name="fullname" Type="Edm.String"/></EntityType>' +
+            '<EnumType Name="RollupType"><Member Name="None" Value="0"/><Member Name="Related" Value="1"/></EnumType>' +
+            '<EntityContainer Name="System"><EntitySet Name="accounts" EntityType="Microsoft.Dynamics.CRM.account"/></EntityContainer>' +
+            '</Schema></edmx:DataServices></edmx:Edmx>';
+        var definitions = {
+            value: [{
+                LogicalName: "account",
+                Attributes: [{
+                    LogicalName: "industrycode",
+                    OptionSet: {
+                        Options: [
+                            { Value: 1, Label: { UserLocalizedLabel: { Label: "Accounting" } } },
+                            { Value: 2, Label: { UserLocalizedLabel: { Label: "Brokers (Finance)" } } },
+                            { Value: 3, Label: { UserLocalizedLabel: { Label: "Accounting" } } }
+                        ]
+                    }
+                }]
+            }]
+        };
+
+        it("should generate entity interfaces and entity map", function() {
+            var typings = GenerateTypings(csdl);
+
+            expect(typings).toContain('declare module "xrm-webapi-client" {');
+            expect(typings).toContain("            account: Entities.account;");
+            expect(typings).toContain("            contact: Entities.contact;");
+            expect(typings).not.toContain("crmbaseentity: Entities.crmbaseentity;");
+            expect(typings).not.toContain("ignored");
+            expect(typings).toContain("interface account extends crmbaseentity {");
+            expect(typings).toContain("accountid?: string;");
+            expect(typings).toContain("name?: string | null;");
+            expect(typings).toContain("industrycode?: number | null;");
+            expect(typings).toContain("categories?: Array<string> | null;");
+            expect(typings).toContain("primarycontactid?: Entities.contact;");
+            expect(typings).toContain('"primarycontactid@odata.bind"?: string;');
+            expect(typings).toContain("contact_customer_accounts?: Array<Entities.contact>;");
+            expect(typings).not.toContain('"contact_customer_accounts@odata.bind"');
+            expect(typings).toContain("const enum RollupType {\n                None = 0,\n                Related = 1\n            }");
+        });
+
+        it("should generate option set enums from entity definitions", function() {
+            var typings = GenerateTypings(csdl, { entityDefinitions: definitions });
+
+            expect(typings).toContain("industrycode?: OptionSets.account_industrycode | null;");
+            expect(typings).toContain("const enum account_industrycode {\n                Accounting = 1,\n                Brokers_Finance = 2,\n                Accounting_3 = 3\n            }");
+        });
+
+        it("should only generate requested entities and their base types", function() {
+            var typings = GenerateTypings(csdl, { entities: ["contact"], moduleName: "custom-client" });
+
+            expect(typings).toContain('declare module "custom-client" {');
+            expect(typings).toContain("interface contact extends crmbaseentity {");
+            expect(typings).toContain("interface crmbaseentity {");
+            expect(typings).not.toContain("interface account");
+            expect(function() { GenerateTypings(csdl, { entities: ["lead"] }); }).toThrow();
+        });
+
+        it("should reject invalid documents", function() {
+            expect(function() { GenerateTypings(""); }).toThrow();
+            expect(function() { GenerateTypings("<edmx:Edmx><Schema></edmx:Edmx>"); }).toThrow();
+            expect(function() { GenerateTypings("<edmx:Edmx></edmx:Edmx>"); }).toThrow();
+        });
+    });
+
+    describe("Request Registration", function() {
+        var Typings = require("../js/WebApiClient.Typings.js");
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+        var csdl = '<?xml version="1.0" encoding="utf-8"?>' +
+            '<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx"><edmx:DataServices>' +
+            '<Schema Namespace="Microsoft.Dynamics.CRM" Alias="mscrm" xmlns="http://docs.oasis-open.org/odata/ns/edm">' +
+            '<EntityType Name="crmbaseentity" Abstract="true"/><EntityType Name="account" BaseType="mscrm.crmbaseentity"/>' +
+            '<Function Name="WhoAmI"><ReturnType Type="mscrm.WhoAmIResponse" Nullable="false"/></Function>' +
+            '<Function Name="new_GetScore"><Parameter Name="Name" Type="Edm.String" Nullable="false"/><ReturnType Type="Edm.Int32"/></Function>' +
+            '<Action Name="new_Approve" IsBound="true"><Parameter Name="entity" Type="mscrm.account" Nullable="false"/>' +
+            '<Parameter Name="Comment" Type="Edm.String" Nullable="false"><Annotation Term="Org.OData.Core.V1.OptionalParameter"/></Parameter>' +
+            '<Parameter Name="Level" Type="Edm.Int32" Nullable="false"/></Action>' +
+            '<Action Name="new_Import" IsBound="true"><Parameter Name="entityset" Type="Collection(mscrm.account)" Nullable="false"/>' +
+            '<Parameter Name="Targets" Type="Collection(mscrm.crmbaseentity)" Nullable="false"/></Action>' +
+            '<Action Name="new_Unexposed"/>' +
+            '<EntityContainer Name="System"><EntitySet Name="accounts" EntityType="Microsoft.Dynamics.CRM.account"/>' +
+            '<FunctionImport Name="WhoAmI" Function="Microsoft.Dynamics.CRM.WhoAmI"/>' +
+            '<FunctionImport Name="new_GetScore" Function="Microsoft.Dynamics.CRM.new_GetScore"/></EntityContainer>' +
+            '</Schema></edmx:DataServices></edmx:Edmx>';
+        var whoAmI = WebApiClient.Requests.WhoAmIRequest;
+
+        afterEach(function() {
+            ["new_GetScoreRequest", "new_ApproveRequest", "new_ImportRequest", "new_UnexposedRequest", "new_CustomRequest"].forEach(function(name) {
+                delete WebApiClient.Requests[name];
+            });
+
+            WebApiClient.Requests.WhoAmIRequest = whoAmI;
+        });
+
+        it("should register actions and functions from CSDL", function() {
+            var registered = WebApiClient.Requests.Register(csdl);
+
+            expect(registered).toEqual(["new_ApproveRequest", "new_GetScoreRequest", "new_ImportRequest"]);
+            expect(WebApiClient.Requests.WhoAmIRequest).toBe(whoAmI);
+            expect(WebApiClient.Requests.new_UnexposedRequest).toBeUndefined();
+
+            var approve = WebApiClient.Requests.new_ApproveRequest;
+
+            expect(approve instanceof WebApiClient.Requests.Request).toBe(true);
+            expect(approve.method).toBe("POST");
+            expect(approve.bound).toBe(true);
+            expect(approve.entityName).toBe("account");
+            expect(approve.parameters).toEqual([
+                { name: "Comment", type: "Edm.String", kind: "primitive", optional: true },
+                { name: "Level", type: "Edm.Int32", kind: "primitive", optional: false }
+            ]);
+            expect(approve.with({ entityId: "{00000000-0000-0000-0000-000000000001}" }).buildUrl())
+                .toBe(apiUrl + "accounts(00000000-0000-0000-0000-000000000001)/Microsoft.Dynamics.CRM.new_Approve()");
+
+            expect(WebApiClient.Requests.new_GetScoreRequest.method).toBe("GET");
+            expect(WebApiClient.Requests.new_GetScoreRequest.bound).toBe(false);
+            expect(WebApiClient.Requests.new_ImportRequest.buildUrl()).toBe(apiUrl + "accounts/Microsoft.Dynamics.CRM.new_Import()");
+        });
+
+        it("should overwrite existing requests if requested", function() {
+            var registered = WebApiClient.Requests.Register(csdl, { overwrite: true });
+
+            expect(registered).toContain("WhoAmIRequest");
+            expect(WebApiClient.Requests.WhoAmIRequest).not.toBe(whoAmI);
+            expect(WebApiClient.Requests.WhoAmIRequest.buildUrl()).toBe(apiUrl + "WhoAmI()");
+        });
+
+        it("should register definitions and execute them", function(done) {
+            WebApiClient.Requests.Register([{ name: "new_Custom", method: "POST", parameters: [] }]);
+
+            xhr.respondWith("POST", apiUrl + "new_Custom()", function(request) {
+                expect(JSON.parse(request.requestBody)).toEqual({ Value: 1 });
+                request.respond(200, { "Content-Type": "application/json" }, JSON.stringify({ Result: "ok" }));
+            });
+
+            WebApiClient.Execute(WebApiClient.Requests.new_CustomRequest.with({ payload: { Value: 1 } }))
+                .then(function(response) {
+                    expect(response.Result).toBe("ok");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should reject invalid definitions", function() {
+            expect(function() { WebApiClient.Requests.Register([{ name: "new_Custom" }]); }).toThrow();
+            expect(function() { WebApiClient.Requests.Register("<Schema>"); }).toThrow();
+        });
+
+        it("should return XML responses as text", function(done) {
+            xhr.respondWith("GET", apiUrl + "$metadata", [200, { "Content-Type": "application/xml" }, csdl]);
+
+            WebApiClient.SendRequest("GET", apiUrl + "$metadata", null)
+                .then(function(response) {
+                    expect(response).toBe(csdl);
+                    expect(WebApiClient.Requests.Register(response).length).toBe(3);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should generate request typings", function() {
+            var typings = Typings.GenerateRequestTypings([
+                { name: "WhoAmI", method: "GET", parameters: [] },
+                { name: "new_GetScore", method: "GET", parameters: [{ name: "Ids", type: "Collection(Edm.Guid)", optional: true }] },
+                { name: "new_Approve", method: "POST", parameters: [{ name: "Level", type: "Edm.Int32", optional: false }, { name: "Target", type: "Microsoft.Dynamics.CRM.account", optional: false }] }
+            ], { exclude: ["WhoAmIRequest"] });
+
+            expect(typings).not.toContain("WhoAmIRequest");
+            expect(typings).toContain("interface new_GetScoreParameters {\n                Ids?: Array<string>;\n            }");
+            expect(typings).toContain("with(param: RequestParameters & { urlParams?: new_GetScoreParameters }): this;");
+            expect(typings).toContain("interface new_ApproveParameters {\n                Level: number;\n                Target: any;\n            }");
+            expect(typings).toContain("with(param: RequestParameters & { payload?: new_ApproveParameters }): this;");
+            expect(typings).toContain("const new_ApproveRequest: new_ApproveRequest;");
+        });
+    });
+
+    describe("Function Parameters", function() {
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+
+        function BuildUrl (parameters, urlParams) {
+            return WebApiClient.Requests.Request.prototype.with({
+                method: "GET",
+                name: "new_Test",
+                parameters: parameters,
+                urlParams: urlParams
+            }).buildUrl();
+        }
+
+        function GetValue (url) {
+            return decodeURIComponent(url.substring(url.indexOf("?@p1=") + 5));
+        }
+
+        it("should serialize primitive values", function() {
+            expect(BuildUrl([{ name: "Name", type: "Edm.String" }], { Name: "O'Brien & Sons" }))
+                .toBe(apiUrl + "new_Test(Name=@p1)?@p1='O''Brien%20%26%20Sons'");
+            expect(GetValue(BuildUrl([{ name: "Id", type: "Edm.Guid" }], { Id: "{00000000-0000-0000-0000-000000000001}" }))).toBe("00000000-0000-0000-0000-000000000001");
+            expect(GetValue(BuildUrl([{ name: "On", type: "Edm.DateTimeOffset" }], { On: new Date(Date.UTC(2018, 0, 2, 3, 4, 5)) }))).toBe("2018-01-02T03:04:05.000Z");
+            expect(GetValue(BuildUrl([{ name: "On", type: "Edm.Date" }], { On: new Date(Date.UTC(2018, 0, 2)) }))).toBe("2018-01-02");
+            expect(GetValue(BuildUrl([{ name: "Count", type: "Edm.Int32" }], { Count: 3 }))).toBe("3");
+            expect(GetValue(BuildUrl([{ name: "Flag", type: "Edm.Boolean" }], { Flag: false }))).toBe("false");
+            expect(GetValue(BuildUrl([{ name: "Name", type: "Edm.String" }], { Name: null }))).toBe("null");
+        });
+
+        it("should serialize enums, entity references, collections and complex types", function() {
+            expect(GetValue(BuildUrl([{ name: "EntityFilters", type: "Microsoft.Dynamics.CRM.EntityFilters", kind: "enum" }], { EntityFilters: "Entity,Attributes" })))
+                .toBe("Microsoft.Dynamics.CRM.EntityFilters'Entity,Attributes'");
+            expect(GetValue(BuildUrl([{ name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }], { Target: { entityName: "account", entityId: "{00000000-0000-0000-0000-000000000001}" } })))
+                .toBe('{"@odata.id":"accounts(00000000-0000-0000-0000-000000000001)"}');
+            expect(GetValue(BuildUrl([{ name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }], { Target: { "@odata.id": "contacts(1)" } })))
+                .toBe('{"@odata.id":"contacts(1)"}');
+            expect(GetValue(BuildUrl([{ name: "Ids", type: "Collection(Edm.Guid)" }], { Ids: ["{1}", "2"] }))).toBe('["1","2"]');
+            expect(GetValue(BuildUrl([{ name: "Codes", type: "Collection(Microsoft.Dynamics.CRM.TimeCode)", kind: "enum" }], { Codes: ["Available", "Busy"] }))).toBe('["Available","Busy"]');
+            expect(GetValue(BuildUrl([{ name: "Paging", type: "Microsoft.Dynamics.CRM.PagingInfo", kind: "complex" }], { Paging: { PageNumber: 1, Count: 10 } }))).toBe('{"PageNumber":1,"Count":10}');
+        });
+
+        it("should keep values of undeclared parameters and serialized entity references", function() {
+            expect(BuildUrl(null, { Name: "'raw'" })).toBe(apiUrl + "new_Test(Name=@p1)?@p1='raw'");
+            expect(BuildUrl([{ name: "Other", type: "Edm.String" }], { Name: "'raw'" })).toBe(apiUrl + "new_Test(Name=@p1)?@p1='raw'");
+            expect(GetValue(BuildUrl([{ name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" }], { Target: "{'@odata.id':'accounts(1)'}" })))
+                .toBe("{'@odata.id':'accounts(1)'}");
+        });
+
+        it("should keep values that were serialized by the caller", function() {
+            expect(BuildUrl([{ name: "Name", type: "Edm.String" }], { Name: "'O''Brien'" })).toBe(apiUrl + "new_Test(Name=@p1)?@p1='O''Brien'");
+            expect(BuildUrl([{ name: "EntityFilters", type: "Microsoft.Dynamics.CRM.EntityFilters", kind: "enum" }], { EntityFilters: "Microsoft.Dynamics.CRM.EntityFilters'Entity'" }))
+                .toBe(apiUrl + "new_Test(EntityFilters=@p1)?@p1=Microsoft.Dynamics.CRM.EntityFilters'Entity'");
+            expect(BuildUrl([{ name: "Ids", type: "Collection(Edm.Guid)" }], { Ids: '["1"]' })).toBe(apiUrl + 'new_Test(Ids=@p1)?@p1=["1"]');
+        });
+
+        it("should serialize plain values of built-in requests", function() {
+            var url = WebApiClient.Requests.RetrieveLocLabelsRequest.with({
+                urlParams: {
+                    EntityMoniker: { entityName: "savedquery", entityId: "31089fd8-596a-47be-9c9c-3ff82c7a8f8c" },
+                    AttributeName: "name",
+                    IncludeUnpublished: true
+                }
+            }).buildUrl();
+
+            expect(url).toBe(apiUrl + "RetrieveLocLabels(EntityMoniker=@p1,AttributeName=@p2,IncludeUnpublished=@p3)?@p1=" +
+                encodeURIComponent('{"@odata.id":"savedqueries(31089fd8-596a-47be-9c9c-3ff82c7a8f8c)"}') + "&@p2='name'&@p3=true");
+        });
+
+        it("should serialize parameters of built-in requests", function() {
+            var url = WebApiClient.Requests.RetrieveAllEntitiesRequest.with({
+                urlParams: { EntityFilters: "Entity", RetrieveAsIfPublished: true }
+            }).buildUrl();
+
+            expect(url).toBe(apiUrl + "RetrieveAllEntities(EntityFilters=@p1,RetrieveAsIfPublished=@p2)?@p1=" + encodeURIComponent("Microsoft.Dynamics.CRM.EntityFilters'Entity'") + "&@p2=true");
+        });
+    });
+
+    describe("Parameter Validation", function() {
+        var request = WebApiClient.Requests.Request.prototype.with({
+            method: "POST",
+            name: "new_Validate",
+            validate: true,
+            parameters: [
+                { name: "Target", type: "Microsoft.Dynamics.CRM.crmbaseentity", kind: "entity" },
+                { name: "Level", type: "Edm.Int32" },
+                { name: "Owners", type: "Collection(Edm.Guid)" },
+                { name: "Comment", type: "Edm.String", optional: true }
+            ]
+        });
+        var valid = {
+            Target: { "@odata.id": "accounts(00000000-0000-0000-0000-000000000001)" },
+            Level: 1,
+            Owners: ["{00000000-0000-0000-0000-000000000002}"]
+        };
+
+        function Payload (changes) {
+            var payload = {};
+
+            [valid, changes].forEach(function(source) {
+                for (var key in source) {
+                    if (source.hasOwnProperty(key)) {
+                        payload[key] = source[key];
+                    }
+                }
+            });
+
+            return payload;
+        }
+
+        it("should list missing required parameters", function() {
+            expect(function() {
+                WebApiClient.Execute(request.with({ payload: { Level: 1 } }));
+            }).toThrowError("Request new_Validate has invalid parameters: Target is missing, Owners is missing!");
+        });
+
+        it("should list mistyped parameters", function() {
+            expect(function() {
+                WebApiClient.Execute(request.with({ payload: Payload({ Level: "1", Owners: "00000000-0000-0000-0000-000000000002" }) }));
+            }).toThrowError("Request new_Validate has invalid parameters: Level has to be of type Edm.Int32, Owners has to be of type Collection(Edm.Guid)!");
+
+            expect(request.with({ payload: Payload({ Owners: ["no guid"] }) }).validateParameters())
+                .toEqual(["Owners has to be of type Collection(Edm.Guid)"]);
+            expect(request.with({ payload: Payload({ Target: "accounts(1)" }) }).validateParameters())
+                .toEqual(["Target has to be of type Microsoft.Dynamics.CRM.crmbaseentity"]);
+        });
+
+        it("should allow omitting optional parameters", function() {
+            expect(request.with({ payload: Payload({}) }).validateParameters()).toEqual([]);
+            expect(request.with({ payload: Payload({ Comment: "Approved" }) }).validateParameters()).toEqual([]);
+            expect(request.with({ payload: Payload({ Comment: 1 }) }).validateParameters()).toEqual(["Comment has to be of type Edm.String"]);
+        });
+
+        it("should validate urlParams of functions", function() {
+            var retrieveAll = WebApiClient.Requests.RetrieveAllEntitiesRequest;
+
+            expect(retrieveAll.with({ urlParams: { EntityFilters: "Entity" } }).validateParameters())
+                .toEqual(["RetrieveAsIfPublished is missing"]);
+            expect(retrieveAll.with({ urlParams: { EntityFilters: "Entity", RetrieveAsIfPublished: "yes" } }).validateParameters())
+                .toEqual(["RetrieveAsIfPublished has to be of type Edm.Boolean"]);
+        });
+
+        it("should accept serialized values of urlParams", function() {
+            var retrieveAll = WebApiClient.Requests.RetrieveAllEntitiesRequest;
+            var wall = WebApiClient.Requests.RetrievePersonalWallRequest;
+
+            expect(retrieveAll.with({ urlParams: { EntityFilters: "Microsoft.Dynamics.CRM.EntityFilters'Entity'", RetrieveAsIfPublished: "true" } }).validateParameters())
+                .toEqual([]);
+            expect(wall.with({ urlParams: { PageNumber: "1", PageSize: 10, CommentsPerPost: 2, Keyword: "'news'" } }).validateParameters())
+                .toEqual([]);
+        });
+
+        it("should declare parameters for all predefined requests", function() {
+            var undeclared = Object.keys(WebApiClient.Requests).filter(function(key) {
+                var request = WebApiClient.Requests[key];
+
+                return /Request$/.test(key) && request instanceof WebApiClient.Requests.Request && !Array.isArray(request.parameters);
+            });
+
+            expect(undeclared).toEqual([]);
+            expect(WebApiClient.Requests.SetFeatureStatusRequest.with({ payload: { FeatureType: 1 } }).validateParameters())
+                .toEqual(["Status is missing"]);
+        });
+
+        it("should not validate requests without declared parameters", function() {
+            var undeclared = WebApiClient.Requests.Request.prototype.with({ method: "POST", name: "new_Undeclared", payload: { Level: "1" } });
+
+            expect(undeclared.validateParameters()).toEqual([]);
+        });
+
+        it("should validate registered requests by default", function() {
+            WebApiClient.Requests.Register([{ name: "new_ValidateRegistered", method: "POST", parameters: [{ name: "Level", type: "Edm.Int32" }] }], { overwrite: true });
+
+            expect(function() {
+                WebApiClient.Execute(WebApiClient.Requests.new_ValidateRegisteredRequest.with({ payload: { Level: "1" } }));
+            }).toThrowError("Request new_ValidateRegistered has invalid parameters: Level has to be of type Edm.Int32!");
+        });
+
+        it("should validate predefined requests only if requested", function(done) {
+            var setFeatureStatus = WebApiClient.Requests.SetFeatureStatusRequest.with({ payload: { FeatureType: 1 } });
+
+            xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/SetFeatureStatus()", [204, {}, ""]);
+
+            expect(function() {
+                WebApiClient.Execute(setFeatureStatus.with({ validate: true }));
+            }).toThrowError("Request SetFeatureStatus has invalid parameters: Status is missing!");
+
+            WebApiClient.Execute(setFeatureStatus)
+                .then(function(response) {
+                    expect(response).toBeDefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+
+        it("should skip validation if requested", function(done) {
+            xhr.respondWith("POST", fakeUrl + "/api/data/v8.0/new_Validate()", [204, {}, ""]);
+
+            WebApiClient.Execute(request.with({ payload: { Level: "1" }, validate: false }))
+                .then(function(response) {
+                    expect(response).toBeDefined();
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+
+            xhr.respond();
+        });
+    });
+
+    describe("Bulk Operations", function() {
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+        var batchUrl = apiUrl + "$batch";
+        var boundary = "batchresponse_c1bd45c1-dd81-470d-b897-e965846aad2f";
+
+        function ChangeSetResponse (ids) {
+            var changeSet = "changesetresponse_ff83b4f1-ab48-430c-b81c-926a2c596abc";
+            var body = "--" + boundary + "\r\n" +
+                "Content-Type: multipart/mixed; boundary=" + changeSet + "\r\n\r\n";
+
+            ids.forEach(function(id, index) {
+                body += "--" + changeSet + "\r\n" +
+                    "Content-Type: application/http\r\n" +
+                    "Content-Transfer-Encoding: binary\r\n" +
+                    "Content-ID: " + (index + 1) + "\r\n\r\n" +
+                    "HTTP/1.1 204 No Content\r\n" +
+                    "OData-Version: 4.0\r\n" +
+                    "OData-EntityId: " + apiUrl + "new_items(" + id + ")\r\n\r\n";
+            });
+
+            return body + "--" + changeSet + "--\r\n--" + boundary + "--\r\n";
+        }
+
+        function FailedBatchResponse () {
+            return "--" + boundary + "\r\n" +
+                "Content-Type: application/http\r\n" +
+                "Content-Transfer-Encoding: binary\r\n\r\n" +
+                "HTTP/1.1 400 Bad Request\r\n" +
+                "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" +
+                JSON.stringify({ error: { code: "0x80040237", message: "Duplicate record" } }) + "\r\n" +
+                "--" + boundary + "--\r\n";
+        }
+
+        function RespondWithBatch (body) {
+            return [200, { "Content-Type": "multipart/mixed; boundary=" + boundary }, body];
+        }
+
+        function Records (count) {
+            var records = [];
+
+            for (var i = 0; i < count; i++) {
+                records.push({ new_name: "Item " + i });
+            }
+
+            return records;
+        }
+
+        it("should create records in chunks using CreateMultiple", function(done) {
+            var payloads = [];
+
+            xhr.respondWith("POST", apiUrl + "new_items/Microsoft.Dynamics.CRM.CreateMultiple", function(request) {
+                var payload = JSON.parse(request.requestBody);
+
+                payloads.push(payload);
+                request.respond(200, { "Content-Type": "application/json" }, JSON.stringify({
+                    Ids: payload.Targets.map(function(target) { return "id-" + target.new_name; })
+                }));
+            });
+
+            WebApiClient.CreateMultiple({ entityName: "new_item", entities: Records(3), chunkSize: 2, concurrency: 2 })
+                .then(function(result) {
+                    expect(payloads.length).toBe(2);
+                    expect(payloads[0].Targets[0]).toEqual({ new_name: "Item 0", "@odata.type": "Microsoft.Dynamics.CRM.new_item" });
+                    expect(result.isFaulted).toBe(false);
+                    expect(result.failed).toEqual([]);
+                    expect(result.results.map(function(record) { return record.id; })).toEqual(["id-Item 0", "id-Item 1", "id-Item 2"]);
+                    expect(result.results[2].index).toBe(2);
+                    expect(result.results[2].record.new_name).toBe("Item 2");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should fall back to change sets if the action is not supported", function(done) {
+            var actionCalls = 0;
+            var batches = [];
+
+            xhr.respondWith("POST", apiUrl + "new_items/Microsoft.Dynamics.CRM.CreateMultiple", function(request) {
+                actionCalls++;
+                request.respond(404, { "Content-Type": "application/json" }, JSON.stringify({ error: { message: "Resource not found for the segment 'CreateMultiple'" } }));
+            });
+
+            xhr.respondWith("POST", batchUrl, function(request) {
+                batches.push(request.requestBody);
+                request.respond.apply(request, RespondWithBatch(ChangeSetResponse(batches.length === 1 ? ["1", "2"] : ["3"])));
+            });
+
+            var client = WebApiClient.CreateClient({ ClientUrl: fakeUrl });
+
+            client.CreateMultiple({ entityName: "new_item", entities: Records(3), chunkSize: 2 })
+                .then(function(result) {
+                    expect(actionCalls).toBe(1);
+                    expect(batches.length).toBe(2);
+                    expect(batches[0]).toContain("POST " + apiUrl + "new_items HTTP/1.1");
+                    expect(result.results.map(function(record) { return record.id; })).toEqual(["1", "2", "3"]);
+
+                    return client.CreateMultiple({ entityName: "new_item", entities: Records(1) });
+                })
+                .then(function() {
+                    expect(actionCalls).toBe(1);
+                    expect(batches.length).toBe(3);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should fall back if the first chunk fails with a routing error of older organizations", function(done) {
+            var batches = 0;
+            var routingError = {
+                error: {
+                    code: "0x80060888",
+                    message: "The request URI is not valid. Since the segment 'new_items' refers to a collection, this must be the last segment in the request URI or it must be followed by an function or action that can be bound to it otherwise all intermediate segments must refer to a single resource."
+                }
+            };
+            var duplicateError = {
+                error: {
+                    code: "0x80040237",
+                    message: "A record that has the attribute values Name already exists. The entity key new_name requires that this set of attributes contains unique values."
+                }
+            };
+
+            xhr.respondWith("POST", apiUrl + "new_items/Microsoft.Dynamics.CRM.CreateMultiple", function(request) {
+                var isDuplicate = JSON.parse(request.requestBody).Targets[0].new_name === "Duplicate";
+
+                request.respond(400, { "Content-Type": "application/json; odata.metadata=minimal" }, JSON.stringify(isDuplicate ? duplicateError : routingError));
+            });
+
+            xhr.respondWith("POST", batchUrl, function(request) {
+                batches++;
+                request.respond.apply(request, RespondWithBatch(ChangeSetResponse(["1", "2"])));
+            });
+
+            WebApiClient.CreateClient({ ClientUrl: fakeUrl }).CreateMultiple({ entityName: "new_item", entities: Records(2) })
+                .then(function(result) {
+                    expect(batches).toBe(1);
+                    expect(result.isFaulted).toBe(false);
+                    expect(result.results.map(function(record) { return record.id; })).toEqual(["1", "2"]);
+
+                    return WebApiClient.CreateClient({ ClientUrl: fakeUrl }).CreateMultiple({ entityName: "new_item", entities: [{ new_name: "Duplicate" }] });
+                })
+                .then(function(result) {
+                    expect(batches).toBe(1);
+                    expect(result.failed.length).toBe(1);
+                    expect(result.failed[0].error.code).toBe("0x80040237");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should reject if cancelled", function(done) {
+            var signal = {
+                aborted: true,
+                addEventListener: function () {},
+                removeEventListener: function () {}
+            };
+
+            WebApiClient.CreateMultiple({ entityName: "new_item", entities: Records(3), chunkSize: 2, signal: signal })
+                .then(function(result) {
+                    expect(result).toBeUndefined();
+                })
+                .catch(function(error) {
+                    expect(error instanceof WebApiClient.AbortError).toBe(true);
+                })
+                .finally(done);
+        });
+
+        it("should report failed chunks without rejecting", function(done) {
+            var calls = 0;
+
+            xhr.respondWith("POST", batchUrl, function(request) {
+                calls++;
+                request.respond.apply(request, RespondWithBatch(calls === 1 ? ChangeSetResponse(["1", "2"]) : FailedBatchResponse()));
+            });
+
+            WebApiClient.CreateMultiple({ entityName: "new_item", entities: Records(3), chunkSize: 2, mode: "batch" })
+                .then(function(result) {
+                    expect(result.isFaulted).toBe(true);
+                    expect(result.succeeded.length).toBe(2);
+                    expect(result.failed.length).toBe(1);
+                    expect(result.failed[0].index).toBe(2);
+                    expect(result.failed[0].error instanceof WebApiClient.WebApiError).toBe(true);
+                    expect(result.failed[0].error.status).toBe(400);
+                    expect(result.failed[0].error.code).toBe("0x80040237");
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should not create missing records when updating using change sets", function(done) {
+            var body;
+
+            xhr.respondWith("POST", batchUrl, function(request) {
+                body = request.requestBody;
+                request.respond.apply(request, RespondWithBatch(ChangeSetResponse(["a", "b"])));
+            });
+
+            WebApiClient.UpdateMultiple({ entityName: "new_item", entities: [{ new_itemid: "a", new_name: "A" }, { new_itemid: "{b}", new_name: "B" }], mode: "batch" })
+                .then(function(result) {
+                    expect(body).toContain("PATCH " + apiUrl + "new_items(a) HTTP/1.1");
+                    expect(body).toContain("PATCH " + apiUrl + "new_items(b) HTTP/1.1");
+                    expect(body).toContain("If-Match: *");
+                    expect(result.results.map(function(record) { return record.id; })).toEqual(["a", "b"]);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should delete and upsert records using the actions", function(done) {
+            var deletePayload;
+            var upsertPayload;
+
+            xhr.respondWith("POST", apiUrl + "DeleteMultiple", function(request) {
+                deletePayload = JSON.parse(request.requestBody);
+                request.respond(204, {}, "");
+            });
+
+            xhr.respondWith("POST", apiUrl + "new_items/Microsoft.Dynamics.CRM.UpsertMultiple", function(request) {
+                upsertPayload = JSON.parse(request.requestBody);
+                request.respond(200, { "Content-Type": "application/json" }, "{}");
+            });
+
+            WebApiClient.DeleteMultiple({ entityName: "new_item", entityIds: ["{a}", "b"] })
+                .then(function(result) {
+                    expect(deletePayload.Targets).toEqual([
+                        { "@odata.type": "Microsoft.Dynamics.CRM.new_item", new_itemid: "a" },
+                        { "@odata.type": "Microsoft.Dynamics.CRM.new_item", new_itemid: "b" }
+                    ]);
+                    expect(result.succeeded.length).toBe(2);
+
+                    return WebApiClient.UpsertMultiple({ entityName: "new_item", entities: [{ "@odata.id": "new_items(new_key='1')", new_key: "1" }], mode: "action" });
+                })
+                .then(function(result) {
+                    expect(upsertPayload.Targets[0]["@odata.id"]).toBe("new_items(new_key='1')");
+                    expect(result.isFaulted).toBe(false);
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should validate parameters", function() {
+            expect(function() { WebApiClient.CreateMultiple({ entities: [] }); }).toThrowError("Entity name and entities array have to be passed!");
+            expect(function() { WebApiClient.UpdateMultiple({ entityName: "new_item", entities: [{ new_name: "A" }] }); })
+                .toThrowError("Record at index 0 has no value for its primary id attribute new_itemid!");
+            expect(function() { WebApiClient.DeleteMultiple({ entityName: "new_item" }); }).toThrowError("Entity name and entity ids array have to be passed!");
+            expect(function() { WebApiClient.CreateMultiple({ entityName: "new_item", entities: [], mode: "fast" }); }).toThrowError("Bulk mode has to be one of auto, action or batch!");
+            expect(function() { WebApiClient.CreateMultiple({ entityName: "new_item", entities: [], async: false }); }).toThrowError("Bulk operations are only supported asynchronously!");
+        });
+    });
+
+    describe("Batch Builder", function() {
+        var apiUrl = fakeUrl + "/api/data/v8.0/";
+        var boundary = "batchresponse_c1bd45c1-dd81-470d-b897-e965846aad2f";
+
+        function Part (headers, status, body) {
+            return "Content-Type: application/http\r\n" +
+                "Content-Transfer-Encoding: binary\r\n" +
+                headers + "\r\n" +
+                "HTTP/1.1 " + status + "\r\n" +
+                (body ? "Content-Type: application/json; odata.metadata=minimal\r\n\r\n" + JSON.stringify(body) : "OData-EntityId: " + apiUrl + "accounts(a)\r\n\r\n") + "\r\n";
+        }
+
+        it("should queue calls and settle them with the results of their requests", function(done) {
+            var requestBody;
+
+            xhr.respondWith("POST", apiUrl + "$batch", function(request) {
+                var changeSet = "changesetresponse_1";
+
+                requestBody = request.requestBody;
+                request.respond(200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                    "--" + boundary + "\r\n" +
+                    "Content-Type: multipart/mixed; boundary=" + changeSet + "\r\n\r\n" +
+                    "--" + changeSet + "\r\n" + Part("Content-ID: 1\r\n", "204 No Content") +
+                    "--" + changeSet + "\r\n" + Part("Content-ID: 2\r\n", "200 OK", { QueueItemId: "q" }) +
+                    "--" + changeSet + "--\r\n" +
+                    "--" + boundary + "\r\n" + Part("", "400 Bad Request", { error: { code: "0x80040217", message: "Record not found" } }) +
+                    "--" + boundary + "\r\n" + Part("", "200 OK", { name: "Contoso" }) +
+                    "--" + boundary + "--\r\n");
+            });
+
+            var builder = new WebApiClient.BatchBuilder();
+            var order = builder.transaction("order");
+
+            var create = order.Create({ entityName: "account", entity: { name: "Contoso" }, referenceName: "account" });
+            var retrieve = builder.Retrieve({ entityName: "account", entityId: "a" });
+            var update = builder.Update({ entityName: "contact", entityId: "c", entity: { lastname: "Doe" } });
+            var execute = order.Execute(WebApiClient.Requests.AddToQueueRequest.with({
+                entityId: "56ae8258-4878-e511-80d4-00155d2a68d1",
+                payload: { Target: { activityid: "59ae8258-4878-e511-80d4-00155d2a68d1", "@odata.type": "Microsoft.Dynamics.CRM.letter" } }
+            }));
+
+            WebApiClient.Promise.all([
+                builder.send(),
+                create,
+                execute,
+                retrieve,
+                update.catch(function(error) {
+                    return error;
+                })
+            ])
+            .then(function(results) {
+                // Transactions share a change set, other writes get their own and GET requests are sent outside of change sets
+                expect(requestBody.match(/Content-Type: multipart\/mixed/g).length).toBe(2);
+                expect(requestBody.indexOf("PATCH " + apiUrl + "contacts(c)")).toBeLessThan(requestBody.indexOf("GET " + apiUrl + "accounts(a)"));
+
+                expect(results[0] instanceof WebApiClient.BatchResponse).toBe(true);
+                expect(results[1]).toBe(apiUrl + "accounts(a)");
+                expect(results[2]).toEqual({ QueueItemId: "q" });
+                expect(results[3]).toEqual({ name: "Contoso" });
+                expect(results[4] instanceof WebApiClient.WebApiError).toBe(true);
+                expect(results[4].code).toBe("0x80040217");
+            })
+            .catch(function(error) {
+                expect(error).toBeUndefined();
+            })
+            .finally(done);
+        });
+
+        it("should report created records of upserts", function(done) {
+            xhr.respondWith("POST", apiUrl + "$batch", [200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                "--" + boundary + "\r\n" +
+                "Content-Type: multipart/mixed; boundary=changesetresponse_1\r\n\r\n" +
+                "--changesetresponse_1\r\n" + Part("Content-ID: 1\r\n", "201 Created", { name: "Contoso" }) +
+                "--changesetresponse_1--\r\n" +
+                "--" + boundary + "--\r\n"]);
+
+            var builder = new WebApiClient.BatchBuilder();
+            var upsert = builder.Upsert({ entityName: "account", entityId: "a", entity: { name: "Contoso" } });
+
+            builder.send()
+                .then(function() {
+                    return upsert;
+                })
+                .then(function(result) {
+                    expect(result).toEqual({ created: true, entity: { name: "Contoso" } });
+                })
+                .catch(function(error) {
+                    expect(error).toBeUndefined();
+                })
+                .finally(done);
+        });
+
+        it("should resolve with the same values as regular calls", function(done) {
+            xhr.respondWith("POST", apiUrl + "$batch", [200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                "--" + boundary + "\r\n" +
+                "Content-Type: multipart/mixed; boundary=changesetresponse_1\r\n\r\n" +
+                "--changesetresponse_1\r\n" + Part("Content-ID: 1\r\n", "204 No Content") +
+                "--changesetresponse_1--\r\n" +
+                "--" + boundary + "\r\n" +
+                "Content-Type: multipart/mixed; boundary=changesetresponse_2\r\n\r\n" +
+                "--changesetresponse_2\r\n" + Part("Content-ID: 2\r\n", "204 No Content") +
+                "--changesetresponse_2--\r\n" +
+                "--" + boundary + "\r\n" +
+                "Content-Type: multipart/mixed; boundary=changesetresponse_3\r\n\r\n" +
+                "--changesetresponse_3\r\n" + Part("Content-ID: 3\r\n", "204 No Content") +
+                "--changesetresponse_3--\r\n" +
+                "--" + boundary + "\r\n" +
+                "Content-Type: application/http\r\n" +
+                "Content-Transfer-Encoding: binary\r\n\r\n" +
+                "HTTP/1.1 304 Not Modified\r\n" +
+                "ETag: W/\"12345\"\r\n\r\n\r\n" +
+                "--" + boundary + "--\r\n"]);
+
+            var builder = new WebApiClient.BatchBuilder();
+
+            WebApiClient.Promise.all([
+                builder.Update({ entityName: "contact", entityId: "c", entity: { lastname: "Doe" } }),
+                builder.Delete({ entityName: "contact", entityId: "d" }),
+                builder.Disassociate({
+                    relationShip: "contact_customer_accounts",
+                    source: { entityName: "account", entityId: "a" },
+                    target: { entityName: "contact", entityId: "c" }
+                }),
+                builder.Retrieve({ entityName: "contact", entityId: "c", etag: "W/\"12345\"" }),
+                builder.send()
+            ])
+            .then(function(results) {
+                expect(results[0]).toBe("No Content");
+                expect(results[1]).toBe("No Content");
+                expect(results[2]).toBe("No Content");
+                expect(results[3]).toEqual({ notModified: true, "@odata.etag": "W/\"12345\"" });
+            })
+            .catch(function(error) {
+                expect(error).toBeUndefined();
+            })
+            .finally(done);
+        });
+
+        it("should continue on errors unless configured otherwise", function(done) {
+            var prefer = [];
+
+            xhr.respondWith("POST", apiUrl + "$batch", function(request) {
+                prefer.push(request.requestHeaders.Prefer);
+                request.respond(200, { "Content-Type": "multipart/mixed; boundary=" + boundary },
+                    "--" + boundary + "\r\n" +
+                    "Content-Type: multipart/mixed; boundary=changesetresponse_1\r\n\r\n" +
+                    "--changesetresponse_1\r\n" + Part("Content-ID: 1\r\n", "400 Bad Request", { error: { code: "0x80040217", message: "Record not found" } }) +
+                    "--changesetresponse_1--\r\n" +
+                    "--" + boundary + "--\r\n");
+            });
+
+            var independent = new WebApiClient.BatchBuilder();
+            var first = independent.Delete({ entityName: "contact", entityId: "c" });
+            var second = independent.Delete({ entityName: "contact", entityId: "d" });
+
+            var stopping = new WebApiClient.BatchBuilder({ continueOnError: false });
+            var skipped = [
+                stopping.Delete({ entityName: "contact", entityId: "c" }),
+                stopping.Delete({ entityName: "contact", entityId: "d" })
+            ];
+
+            WebApiClient.Promise.all([
+                independent.send(),
+                first.catch(function(error) {
+                    return error;
+                }),
+                second.catch(function(error) {
+                    return error;
+                })
+            ])
+            .then(function(results) {
+                expect(prefer[0]).toBe("odata.continue-on-error");
+                expect(results[1].code).toBe("0x80040217");
+
+                return WebApiClient.Promise.all([stopping.send()].concat(skipped.map(function(call) {
+                    return call.catch(function(error) {
+                        return error;
+                    });
+                })));
+            })
+            .then(function(results) {
+                expect(prefer[1]).toBeUndefined();
+                expect(results[1].code).toBe("0x80040217");
+                expect(results[2].status).toBe(0);
+            })
+            .catch(function(error) {
+                expect(error).toBeUndefined();
+            })
+            .finally(done);
+        });
+
+        it("should reject all calls if the batch can not be sent", function(done) {
+            xhr.respondWith("POST", apiUrl + "$batch", [500, { "Content-Type": "application/json" }, JSON.stringify({ error: { code: "0x80040216", message: "Unexpected error" } })]);
+
+            var builder = new WebApiClient.BatchBuilder();
+            var call = builder.Delete({ entityName: "contact", entityId: "c" });
+            var sent = builder.send();
+
+            WebApiClient.Promise.all([
+                sent.catch(function(error) {
+                    return error;
+                }),
+                call.catch(function(error) {
+                    return error;
+                })
+            ])
+            .then(function(errors) {
+                expect(errors[0] instanceof WebApiClient.WebApiError).toBe(true);
+                expect(errors[1]).toBe(errors[0]);
+            })
+            .catch(function(error) {
+                expect(error).toBeUndefined();
+            })
+            .finally(done);
+        });
+
+        it("should only be sent once", function() {
+            var builder = new WebApiClient.BatchBuilder();
+
+            builder.send();
+
+            expect(function() {
+                builder.send();
+            }).toThrowError("Batch builder was already sent!");
+
+            expect(function() {
+                builder.Retrieve({ entityName: "account", entityId: "a" });
+            }).toThrowError("Calls can not be added after the batch was sent!");
+
+            expect(function() {
+                builder.transaction();
+            }).toThrowError("Name of the transaction has to be passed!");
+        });
+    });
+
     describe("API Version", function() {
         it("should default to 8.0", function() {
             expect(WebApiClient.ApiVersion).toEqual("8.0");
@@ -25,10 +25,192 @@ declare module WebApiClient {
         entityId: string;
     }
 
+    interface TransportRequest {
+        method: string;
+        url: string;
+        payload?: string;
+        headers: Array<Header>;
+        signal?: AbortSignalLike;
+    }
+
+    interface TransportResponse {
+        status: number;
+        statusText: string;
+        responseText: string;
+        getResponseHeader(name: string): string | null;
+        getAllResponseHeaders?(): string;
+    }
+
+    interface Transport {
+        send(request: TransportRequest): PromiseLike<TransportResponse>;
+        sendSync?(request: TransportRequest): TransportResponse;
+    }
+
+    namespace Transports {
+        let Xhr: Transport;
+        let Fetch: Transport;
+        let Node: Transport;
+    }
+
+    let Transport: Transport;
+
+    interface MiddlewareRequest {
+        method: string;
+        url: string;
+        payload?: any;
+        headers: Array<Header>;
+    }
+
+    interface Middleware {
+        request?(request: MiddlewareRequest): MiddlewareRequest | void | PromiseLike<MiddlewareRequest | void>;
+        response?(response: any, request: MiddlewareRequest): any;
+        error?(error: any, request: MiddlewareRequest): any;
+    }
+
+    interface AbortSignalLike {
+        readonly aborted: boolean;
+        addEventListener(type: "abort", listener: () => void): void;
+        removeEventListener(type: "abort", listener: () => void): void;
+    }
+
+    class AbortError extends Error {
+        name: "AbortError";
+        isTimeout: boolean;
+
+        constructor(message: string, isTimeout?: boolean);
+    }
+
+    interface WebApiErrorParameters {
+        message: string;
+        status?: number;
+        statusText?: string;
+        code?: string;
+        innererror?: any;
+        method?: string;
+        url?: string;
+        headers?: { [name: string]: string };
+        responseText?: string;
+    }
+
+    class WebApiError extends Error {
+        name: "WebApiError" | "ConcurrencyError";
+        status: number;
+        statusText: string;
+        code?: string;
+        innererror?: any;
+        method: string;
+        url: string;
+        headers: { [name: string]: string };
+        responseText?: string;
+
+        constructor(parameters: WebApiErrorParameters);
+    }
+
+    class ConcurrencyError extends WebApiError {
+        name: "ConcurrencyError";
+
+        constructor(parameters: WebApiErrorParameters);
+    }
+
+    interface NotModifiedResult {
+        notModified: true;
+        "@odata.etag": string;
+    }
+
+    interface RetryPolicy {
+        maxAttempts?: number;
+        baseDelay?: number;
+        maxDelay?: number;
+        jitter?: boolean;
+        statusCodes?: Array<number>;
+    }
+
+    let RetryPolicy: RetryPolicy | null;
+
+    interface Configuration {
+        ApiVersion?: string;
+        ReturnAllPages?: boolean;
+        PrettifyErrors?: boolean;
+        Async?: boolean;
+        ClientUrl?: string;
+        Token?: string;
+        Transport?: Transport;
+        RetryPolicy?: RetryPolicy | null;
+        ResolveSetNames?: boolean;
+        MetadataCacheTtl?: number | null;
+        MetadataStorage?: MetadataStorage | null;
+    }
+
+    interface MetadataStorage {
+        readonly length: number;
+        key(index: number): string | null;
+        getItem(key: string): string | null;
+        setItem(key: string, value: string): void;
+        removeItem(key: string): void;
+    }
+
+    let MetadataCacheTtl: number | null;
+
+    let MetadataStorage: MetadataStorage | null;
+
+    interface MetadataParameters {
+        async?: boolean;
+        headers?: Array<Header>;
+        select?: string | Array<string>;
+        filter?: string;
+        expand?: string | Array<string>;
+    }
+
+    interface EntityMetadataParameters extends MetadataParameters {
+        logicalName: string;
+    }
+
+    interface AttributeMetadataParameters extends EntityMetadataParameters {
+        attributeName?: string;
+        attributeType?: string;
+    }
+
+    interface OptionSetMetadataParameters {
+        async?: boolean;
+        headers?: Array<Header>;
+        name?: string;
+        logicalName?: string;
+        attributeName?: string;
+        attributeType?: string;
+    }
+
+    interface RelationshipMetadataParameters extends MetadataParameters {
+        logicalName?: string;
+        type?: "OneToMany" | "ManyToOne" | "ManyToMany";
+        schemaName?: string;
+    }
+
+    namespace Metadata {
+        function getEntity(parameters: EntityMetadataParameters): Promise<any> | any;
+        function getAttributes(parameters: AttributeMetadataParameters): Promise<any> | any;
+        function getOptionSet(parameters: OptionSetMetadataParameters): Promise<any> | any;
+        function getRelationships(parameters: RelationshipMetadataParameters): Promise<any> | any;
+        function clearCache(): void;
+    }
+
+    let ResolveSetNames: boolean;
+
+    interface LoadSetNamesParameters {
+        async?: boolean;
+        headers?: Array<Header>;
+        reload?: boolean;
+    }
+
+    function LoadSetNames(parameters?: LoadSetNamesParameters): Promise<{ [logicalName: string]: string }> | { [logicalName: string]: string };
+
     interface BaseParameters {
         async?: boolean;
         headers?: Array<Header>;
         asBatch?: boolean;
+        referenceName?: string;
+        retryPolicy?: RetryPolicy;
+        timeout?: number;
+        signal?: AbortSignalLike;
     }
 
     interface CreateParameters extends BaseParameters {
@@ -42,9 +224,139 @@ declare module WebApiClient {
         overriddenSetName?: string;        
         entityId?: string;
         alternateKey?: Array<Key>;
+        etag?: string;
         queryParams?: string;
-        fetchXml?: string;
+        query?: Query;
+        fetchXml?: string | FetchXml;
+        validateFetchXml?: boolean;
         returnAllPages?: boolean;
+        onPage?: (page: any, pageNumber: number) => boolean | void | PromiseLike<boolean | void>;
+        maxRecords?: number;
+    }
+
+    interface RetrieveIteratorParameters extends RetrieveParameters {
+        yieldRecords?: boolean;
+    }
+
+    interface RetrieveIterator {
+        next(): Promise<{ done: boolean, value: any }>;
+        return(value?: any): Promise<{ done: boolean, value: any }>;
+        [Symbol.asyncIterator](): RetrieveIterator;
+    }
+
+    interface PageResult {
+        pageCount: number;
+        recordCount: number;
+    }
+
+    interface QueryLiteral {
+        text: string;
+    }
+
+    type QueryValue = string | number | boolean | Date | QueryLiteral | null;
+
+    interface FetchXmlOptions {
+        top?: number;
+        count?: number;
+        page?: number;
+        pagingCookie?: string;
+        aggregate?: boolean;
+        distinct?: boolean;
+        returnTotalRecordCount?: boolean;
+        noLock?: boolean;
+    }
+
+    interface FetchXmlAttributeOptions {
+        alias?: string;
+        aggregate?: string;
+        groupby?: boolean;
+        dategrouping?: string;
+        distinct?: boolean;
+    }
+
+    interface FetchXmlLinkOptions {
+        alias?: string;
+        type?: string;
+        intersect?: boolean;
+    }
+
+    class FetchXmlFilter {
+        type: string;
+
+        constructor(type?: string);
+
+        condition(attribute: string, operator: string, value?: any, entityName?: string): FetchXmlFilter;
+        filter(type: string, callback: (filter: FetchXmlFilter) => void): FetchXmlFilter;
+        build(): string;
+    }
+
+    class FetchXmlEntity {
+        name: string;
+
+        constructor(name: string);
+
+        attribute(name: string, options?: FetchXmlAttributeOptions): this;
+        attributes(...names: Array<string>): this;
+        attributes(names: Array<string>): this;
+        allAttributes(): this;
+        order(attribute: string, descending?: boolean, isAlias?: boolean): this;
+        where(attribute: string, operator: string, value?: any, entityName?: string): this;
+        filter(type: string, callback: (filter: FetchXmlFilter) => void): this;
+        link(name: string, from: string, to: string, options?: FetchXmlLinkOptions, callback?: (entity: FetchXmlEntity) => void): this;
+        link(name: string, from: string, to: string, callback?: (entity: FetchXmlEntity) => void): this;
+    }
+
+    class FetchXml extends FetchXmlEntity {
+        options: FetchXmlOptions;
+
+        constructor(entityName: string, options?: FetchXmlOptions);
+
+        build(): string;
+
+        static validate(fetchXml: string | FetchXml): Array<string>;
+    }
+
+    namespace FetchXml {
+        let Filter: typeof FetchXmlFilter;
+        let Entity: typeof FetchXmlEntity;
+    }
+
+    class Query {
+        selects: Array<string>;
+        filters: Array<string>;
+        orders: Array<string>;
+        expands: Array<{ property: string, query?: Query }>;
+        topCount: number | null;
+        withCount: boolean;
+
+        constructor();
+
+        select(...attributes: Array<string>): Query;
+        select(attributes: Array<string>): Query;
+        filter(expression: string): Query;
+        orderBy(attribute: string, descending?: boolean): Query;
+        top(count: number): Query;
+        count(enabled?: boolean): Query;
+        expand(property: string, query?: Query | ((query: Query) => void)): Query;
+        build(): string;
+
+        static guid(value: string): QueryLiteral;
+        static date(value: Date | string | number): QueryLiteral;
+        static raw(value: string): QueryLiteral;
+        static eq(field: string, value: QueryValue): string;
+        static ne(field: string, value: QueryValue): string;
+        static gt(field: string, value: QueryValue): string;
+        static ge(field: string, value: QueryValue): string;
+        static lt(field: string, value: QueryValue): string;
+        static le(field: string, value: QueryValue): string;
+        static contains(field: string, value: QueryValue): string;
+        static startsWith(field: string, value: QueryValue): string;
+        static endsWith(field: string, value: QueryValue): string;
+        static and(...expressions: Array<string>): string;
+        static and(expressions: Array<string>): string;
+        static or(...expressions: Array<string>): string;
+        static or(expressions: Array<string>): string;
+        static not(expression: string): string;
     }
 
     interface UpdateParameters extends BaseParameters {
@@ -53,6 +365,18 @@ declare module WebApiClient {
         entityId?: string;
         entity: object;
         alternateKey?: Array<Key>;
+        etag?: string;
+        preventCreate?: boolean;
+        preventUpdate?: boolean;
+    }
+
+    interface UpsertParameters extends UpdateParameters {
+        queryParams?: string;
+    }
+
+    interface UpsertResult {
+        created: boolean;
+        entity: any;
     }
 
     interface DeleteParameters extends BaseParameters {
@@ -60,6 +384,43 @@ declare module WebApiClient {
         overriddenSetName?: string;        
         entityId?: string;
         alternateKey?: Array<Key>;
+        etag?: string;
+        entity?: object;
+    }
+
+    interface BulkParameters {
+        entityName: string;
+        overriddenSetName?: string;
+        primaryIdAttribute?: string;
+        mode?: "auto" | "action" | "batch";
+        chunkSize?: number;
+        concurrency?: number;
+        async?: boolean;
+        headers?: Array<Header>;
+        signal?: AbortSignalLike;
+    }
+
+    interface BulkRecordsParameters extends BulkParameters {
+        entities: Array<object>;
+    }
+
+    interface BulkDeleteParameters extends BulkParameters {
+        entityIds: Array<string>;
+    }
+
+    interface BulkRecordResult {
+        index: number;
+        record: any;
+        success: boolean;
+        id?: string;
+        error?: WebApiError;
+    }
+
+    interface BulkResult {
+        results: Array<BulkRecordResult>;
+        succeeded: Array<BulkRecordResult>;
+        failed: Array<BulkRecordResult>;
+        isFaulted: boolean;
     }
 
     interface AssociationParameters extends BaseParameters {
@@ -74,6 +435,7 @@ declare module WebApiClient {
         payload?: string;
         headers?: Array<Header>;
         contentId?: string;
+        referenceName?: string;
     }
 
     class BatchRequest implements BatchRequestParameters {
@@ -82,15 +444,23 @@ declare module WebApiClient {
         payload?: string;
         headers?: Array<Header>;
         contentId?: string;
+        referenceName?: string;
 
         constructor(params: BatchRequestParameters);
+
+        static ref(name: string): string;
+
+        stringify(references?: { [referenceName: string]: string | number }): string;
     }
 
     interface ResponseParameters {
         rawData?: string;
         contentId?: string;
-        payload?: object;
+
+        // Parsed JSON for JSON bodies, text for other content types and null for empty bodies
+        payload?: any;
         status?: string;
+        statusText?: string;
 
         // Basically an object = associative array, access headers by name and get the value
         headers?: any;
@@ -99,8 +469,9 @@ declare module WebApiClient {
     class Response implements ResponseParameters {
         rawData?: string;
         contentId?: string;
-        payload?: object;
+        payload?: any;
         status?: string;
+        statusText?: string;
         headers?: any;
 
         constructor(parameters: ResponseParameters);
@@ -111,12 +482,28 @@ declare module WebApiClient {
         responses?: Array<Response>;
     }
 
+    interface BatchResult {
+        request: BatchRequest;
+        contentId?: string;
+        changeSet: string | null;
+        status: number;
+        statusText: string;
+        payload: any;
+        headers: { [key: string]: string };
+        entityId: string | null;
+        error: WebApiError | null;
+    }
+
     interface BatchResponseParameters {
         name?: string;
         changeSetResponses?: Array<ChangeSetResponse>;
         batchResponses?: Array<Response>;
         isFaulted?: boolean;
         errors?: Array<string>;
+        parts?: Array<ChangeSetResponse | Response>;
+        results?: Array<BatchResult>;
+        succeeded?: Array<BatchResult>;
+        failed?: Array<BatchResult>;
         xhr?: XMLHttpRequest;
     }
 
@@ -126,9 +513,17 @@ declare module WebApiClient {
         batchResponses?: Array<Response>;
         isFaulted?: boolean;
         errors?: Array<string>;
+        parts?: Array<ChangeSetResponse | Response>;
+        results?: Array<BatchResult>;
+        succeeded?: Array<BatchResult>;
+        failed?: Array<BatchResult>;
         xhr?: XMLHttpRequest;
 
         constructor(parameters: BatchResponseParameters);
+
+        correlate(batch: Batch): this;
+
+        getResult(request: BatchRequest | string | number): BatchResult | null;
     }
 
     interface ChangeSetParameters {
@@ -148,6 +543,15 @@ declare module WebApiClient {
         changeSets?: Array<ChangeSet>;
         requests?: Array<BatchRequest>;
         isOverLengthGet?: boolean;
+        maxOperations?: number;
+        maxPayloadSize?: number;
+        concurrency?: number;
+        continueOnError?: boolean;
+    }
+
+    interface BatchLimits {
+        maxOperations?: number;
+        maxPayloadSize?: number;
     }
 
     class Batch implements BatchParameters {
@@ -156,19 +560,109 @@ declare module WebApiClient {
         requests?: Array<BatchRequest>;
         headers?: Array<Header>;
         async?: boolean;
+        retryPolicy?: RetryPolicy;
+        timeout?: number;
+        signal?: AbortSignalLike;
         isOverLengthGet?: boolean;
+        maxOperations?: number;
+        maxPayloadSize?: number;
+        concurrency?: number;
+        continueOnError?: boolean;
 
         constructor(parameters: BatchParameters);
+
+        buildPayload(): string;
+
+        split(limits?: BatchLimits): Array<Batch>;
+    }
+
+    interface BatchBuilderCalls {
+        Create(parameters: CreateParameters): Promise<any>;
+        Retrieve(parameters: RetrieveParameters): Promise<any>;
+        Update(parameters: UpdateParameters): Promise<any>;
+        Upsert(parameters: UpsertParameters): Promise<UpsertResult>;
+        Delete(parameters: DeleteParameters): Promise<any>;
+        Associate(parameters: AssociationParameters): Promise<any>;
+        Disassociate(parameters: AssociationParameters): Promise<any>;
+        Execute(request: object): Promise<any>;
+        SendRequest(method: string, url: string, payload: object, parameters?: BaseParameters): Promise<any>;
     }
 
-    function Create(parameters: CreateParameters): Promise<string> | Promise<any> | string | any | BatchRequest;
+    class BatchBuilder implements BatchBuilderCalls {
+        parameters: BatchParameters;
+        calls: Array<{ request: BatchRequest, transaction: string | null }>;
+        isSent: boolean;
+
+        constructor(parameters?: BatchParameters);
+
+        Create(parameters: CreateParameters): Promise<any>;
+        Retrieve(parameters: RetrieveParameters): Promise<any>;
+        Update(parameters: UpdateParameters): Promise<any>;
+        Upsert(parameters: UpsertParameters): Promise<UpsertResult>;
+        Delete(parameters: DeleteParameters): Promise<any>;
+        Associate(parameters: AssociationParameters): Promise<any>;
+        Disassociate(parameters: AssociationParameters): Promise<any>;
+        Execute(request: object): Promise<any>;
+        SendRequest(method: string, url: string, payload: object, parameters?: BaseParameters): Promise<any>;
+
+        transaction(name: string): BatchBuilderCalls;
+
+        send(): Promise<BatchResponse>;
+    }
+
+    /**
+     * Maps entity logical names to entity interfaces. Empty by default, generated typings augment it for typing Create, Retrieve and Update by entityName
+     */
+    interface EntityMap { }
+
+    type EntityPayload<K> = K extends keyof EntityMap ? EntityMap[K] : object;
+
+    interface RetrieveMultipleResponse<T> {
+        value: Array<T>;
+        "@odata.context"?: string;
+        "@odata.count"?: number;
+        "@odata.nextLink"?: string;
+    }
+
+    interface TypedRetrieveParameters extends RetrieveParameters {
+        entityName: keyof EntityMap;
+        onPage?: undefined;
+    }
+
+    type RetrieveResult<P extends TypedRetrieveParameters> = P extends { entityId: string } | { alternateKey: Array<Key> }
+        ? (P extends { etag: string } ? EntityMap[P["entityName"]] | NotModifiedResult : EntityMap[P["entityName"]])
+        : RetrieveMultipleResponse<EntityMap[P["entityName"]]>;
+
+    function Create<K extends string = string>(parameters: CreateParameters & { entityName?: K, entity: EntityPayload<K> }): Promise<string> | Promise<any> | string | any | BatchRequest;
+
+    function Retrieve<P extends TypedRetrieveParameters>(parameters: P & { asBatch: true }): BatchRequest;
+
+    function Retrieve<P extends TypedRetrieveParameters>(parameters: P & { async: false }): RetrieveResult<P>;
+
+    function Retrieve<P extends TypedRetrieveParameters>(parameters: P): Promise<RetrieveResult<P>>;
 
     function Retrieve(parameters: RetrieveParameters): Promise<any> | any | BatchRequest; 
+
+    function RetrieveIterator(parameters: RetrieveIteratorParameters): RetrieveIterator;
     
-    function Update(parameters: UpdateParameters): Promise<string> | Promise<any> | string | any | BatchRequest;
+    function Update<K extends string = string>(parameters: UpdateParameters & { entityName?: K, entity: EntityPayload<K> }): Promise<string> | Promise<any> | string | any | BatchRequest;
+
+    function Upsert(parameters: UpsertParameters & { asBatch: true }): BatchRequest;
+
+    function Upsert(parameters: UpsertParameters & { async: false }): UpsertResult;
+
+    function Upsert(parameters: UpsertParameters): Promise<UpsertResult>;
 
     function Delete(parameters: DeleteParameters): Promise<string> | string | BatchRequest;
 
+    function CreateMultiple(parameters: BulkRecordsParameters): Promise<BulkResult>;
+
+    function UpdateMultiple(parameters: BulkRecordsParameters): Promise<BulkResult>;
+
+    function UpsertMultiple(parameters: BulkRecordsParameters): Promise<BulkResult>;
+
+    function DeleteMultiple(parameters: BulkDeleteParameters): Promise<BulkResult>;
+
     function Associate(parameters: AssociationParameters): Promise<string> | string | BatchRequest;
 
     function Disassociate(parameters: AssociationParameters): Promise<string> | string | BatchRequest;
@@ -180,30 +674,67 @@ declare module WebApiClient {
     function SendRequest(method: string, url: string, payload: object, parameters?: BaseParameters) : Promise<any> | any | BatchRequest;
 
     function GetApiUrl (): string;
+
+    function Configure(configuration: Configuration): void;
+
+    function Use(middleware: Middleware | ((request: MiddlewareRequest) => MiddlewareRequest | void)): void;
+
+    function CreateClient(configuration?: Configuration): typeof WebApiClient;
     
     namespace Requests {
+        interface RequestParameter {
+            name: string;
+            type: string;
+            kind?: "primitive" | "enum" | "entity" | "complex";
+            optional?: boolean;
+        }
+
+        interface RequestDefinition {
+            name: string;
+            method: string;
+            bound?: boolean;
+            boundToCollection?: boolean;
+            entityName?: string;
+            parameters?: Array<RequestParameter>;
+            returnType?: string;
+        }
+
+        interface RegisterOptions {
+            overwrite?: boolean;
+        }
+
+        function Register(csdl: string | Array<RequestDefinition>, options?: RegisterOptions): Array<string>;
+
         interface RequestParameters extends BaseParameters {
             method?: string;
             name?: string;
             bound?: boolean;
+            boundToCollection?: boolean;
             entityName?: string;
             entityId?: string;
             payload?: object;
             urlParams?: object;
+            parameters?: Array<RequestParameter>;
+            validate?: boolean;
         }
 
         class Request implements RequestParameters {
             method?: string;
             name?: string;
             bound?: boolean;
+            boundToCollection?: boolean;
             entityName?: string;
             entityId?: string;
             payload?: object;
             headers?: Array<Header>;
             urlParams?: object;
             async?: boolean;
+            parameters?: Array<RequestParameter>;
+            validate?: boolean;
 
             with(param: RequestParameters): this; 
+
+            validateParameters(): Array<string>;
         }
 
         class CalculateRollupFieldRequest extends Request { }
@@ -444,4 +975,5 @@ declare module WebApiClient {
     }
 }
 
+export { WebApiClient };
 export default WebApiClient;